@@ -1,13 +1,19 @@
 from fastapi import FastAPI, UploadFile, File
+from fastapi.responses import JSONResponse
 import tensorflow as tf
 import numpy as np
 from PIL import Image
 import io
+import os
+from class_names import CLASS_NAMES
 
 app = FastAPI()
 
 IMG_SIZE = 224
 NUM_CLASSES = 38
+MODEL_VERSION = os.environ.get("MODEL_VERSION", "mobilenetv2-plantvillage-v1")
+
+assert len(CLASS_NAMES) == NUM_CLASSES, "class_names.py does not match the model's output size"
 
 print("Loading CNN model...")
 
@@ -50,14 +56,22 @@ def is_leaf_image(image):
 # -------------------------------------
 
 @app.post("/predict")
-async def predict(file: UploadFile = File(...)):
+async def predict(file: UploadFile = File(...), top_k: int = 3):
     contents = await file.read()
-    image = Image.open(io.BytesIO(contents)).convert("RGB")
+    try:
+        image = Image.open(io.BytesIO(contents)).convert("RGB")
+    except Exception:
+        return JSONResponse(status_code=400, content={
+            "success": False,
+            "error_code": "BAD_IMAGE",
+            "error": "Uploaded file is not a readable image"
+        })
 
     # leaf validation
     if not is_leaf_image(image):
         return {
             "success": False,
+            "error_code": "NOT_A_LEAF",
             "error": "Uploaded image does not appear to be a plant leaf"
         }
 
@@ -65,10 +79,40 @@ async def predict(file: UploadFile = File(...)):
     img = np.array(image)
     img = np.expand_dims(img, axis=0)
 
-    pred = model.predict(img)
+    pred = model.predict(img)[0]
+    class_index = int(np.argmax(pred))
+
+    # highest-probability classes first
+    top_k = max(1, min(top_k, NUM_CLASSES))
+    top_indices = np.argsort(pred)[::-1][:top_k]
 
     return {
         "success": True,
-        "class_index": int(np.argmax(pred)),
-        "confidence": float(np.max(pred))
+        "class_index": class_index,
+        "class_name": CLASS_NAMES[class_index],
+        "confidence": float(pred[class_index]),
+        "model_version": MODEL_VERSION,
+        "top_k": [
+            {
+                "class_index": int(i),
+                "class_name": CLASS_NAMES[int(i)],
+                "confidence": float(pred[i])
+            }
+            for i in top_indices
+        ]
+    }
+
+@app.get("/health")
+async def health():
+    return {
+        "status": "ok",
+        "model_version": MODEL_VERSION
+    }
+
+@app.get("/info")
+async def info():
+    return {
+        "num_classes": NUM_CLASSES,
+        "model_version": MODEL_VERSION,
+        "class_names": CLASS_NAMES
     }
@@ -0,0 +1,142 @@
+/**
+ * Season templates used to generate a crop calendar from a sowing date.
+ *
+ * Each step happens `day` days after sowing. Steps with `repeat` become one
+ * recurring task (every `everyDays` days until `untilDay`). Pest/disease risk
+ * windows are scouting steps whose `risks` list the catalogue classes to
+ * look out for (see data/diseaseCatalog.js).
+ *
+ * Timings are typical for Indian growing conditions and deliberately avoid
+ * fixed doses: notes point farmers at their soil test and local extension
+ * recommendations.
+ *
+ * `cropName` is the plain name stored in crop preferences and post tags,
+ * spelled as in the disease catalogue where the crop is there; `names` are
+ * for display.
+ */
+
+const TEMPLATES = [
+    {
+        key: 'rice',
+        cropName: 'Rice',
+        names: { en: 'Rice (paddy)', hi: 'धान', te: 'వరి' },
+        aliases: ['paddy'],
+        durationDays: 120,
+        steps: [
+            { key: 'nursery', stage: 'sowing', day: 0, type: 'other', title: 'Sow rice nursery', notes: 'Treat seed before sowing and keep the nursery bed moist.' },
+            { key: 'transplant', stage: 'transplanting', day: 25, type: 'other', title: 'Transplant rice seedlings', notes: 'Transplant 2-3 seedlings per hill into puddled, levelled field.' },
+            { key: 'basal-fertilizer', stage: 'transplanting', day: 25, type: 'fertilizer', title: 'Apply basal fertiliser', notes: 'Full phosphorus and potash with a third of the nitrogen, as per soil test.' },
+            { key: 'water-check', stage: 'vegetative', day: 28, type: 'watering', title: 'Check standing water', notes: 'Keep 2-5 cm of water in the field; top up if it has dried.', repeat: { everyDays: 3, untilDay: 100 } },
+            { key: 'nitrogen-tillering', stage: 'tillering', day: 45, type: 'fertilizer', title: 'Top-dress nitrogen (tillering)', notes: 'Second split of nitrogen; drain the field lightly before applying.' },
+            { key: 'scouting', stage: 'vegetative', day: 35, type: 'inspection', title: 'Scout for stem borer and blast', notes: 'Look for dead hearts, white ears and spindle-shaped leaf spots.', repeat: { everyDays: 7, untilDay: 91 } },
+            { key: 'nitrogen-panicle', stage: 'panicle initiation', day: 65, type: 'fertilizer', title: 'Top-dress nitrogen (panicle initiation)', notes: 'Last split of nitrogen.' },
+            { key: 'drain', stage: 'maturity', day: 105, type: 'watering', title: 'Drain the field', notes: 'Stop irrigation about two weeks before harvest.' },
+            { key: 'harvest', stage: 'harvest', day: 120, type: 'harvest', title: 'Harvest rice', notes: 'Harvest when most grains are golden and firm.' }
+        ]
+    },
+    {
+        key: 'wheat',
+        cropName: 'Wheat',
+        names: { en: 'Wheat', hi: 'गेहूं', te: 'గోధుమ' },
+        aliases: [],
+        durationDays: 125,
+        steps: [
+            { key: 'sowing', stage: 'sowing', day: 0, type: 'other', title: 'Sow wheat', notes: 'Treat seed before sowing; sow in rows at the recommended seed rate.' },
+            { key: 'basal-fertilizer', stage: 'sowing', day: 0, type: 'fertilizer', title: 'Apply basal fertiliser', notes: 'Full phosphorus and potash with half of the nitrogen, as per soil test.' },
+            { key: 'irrigation-crown-root', stage: 'crown root initiation', day: 21, type: 'watering', title: 'Irrigate (crown root initiation)', notes: 'The most important irrigation for wheat; do not skip it.' },
+            { key: 'nitrogen-top-dress', stage: 'tillering', day: 25, type: 'fertilizer', title: 'Top-dress nitrogen', notes: 'Remaining nitrogen after the first irrigation.' },
+            { key: 'irrigation-tillering', stage: 'tillering', day: 42, type: 'watering', title: 'Irrigate (tillering)', notes: '' },
+            { key: 'irrigation-jointing', stage: 'jointing', day: 62, type: 'watering', title: 'Irrigate (jointing)', notes: '' },
+            { key: 'scouting', stage: 'vegetative', day: 45, type: 'inspection', title: 'Scout for rust and aphids', notes: 'Look for yellow/brown pustules on leaves and aphid colonies.', repeat: { everyDays: 7, untilDay: 95 } },
+            { key: 'irrigation-flowering', stage: 'flowering', day: 82, type: 'watering', title: 'Irrigate (flowering)', notes: '' },
+            { key: 'irrigation-milk', stage: 'milk', day: 100, type: 'watering', title: 'Irrigate (milk stage)', notes: 'Avoid irrigating in strong wind to prevent lodging.' },
+            { key: 'harvest', stage: 'harvest', day: 125, type: 'harvest', title: 'Harvest wheat', notes: 'Harvest when grains are hard and straw has turned golden.' }
+        ]
+    },
+    {
+        key: 'maize',
+        cropName: 'Maize',
+        names: { en: 'Maize (corn)', hi: 'मक्का', te: 'మొక్కజొన్న' },
+        aliases: ['corn', 'corn_(maize)'],
+        durationDays: 110,
+        steps: [
+            { key: 'sowing', stage: 'sowing', day: 0, type: 'other', title: 'Sow maize', notes: 'Sow on ridges with recommended spacing; treat seed first.' },
+            { key: 'basal-fertilizer', stage: 'sowing', day: 0, type: 'fertilizer', title: 'Apply basal fertiliser', notes: 'Full phosphorus and potash with a third of the nitrogen, as per soil test.' },
+            { key: 'irrigation', stage: 'vegetative', day: 10, type: 'watering', title: 'Irrigate maize', notes: 'Skip if it has rained well; never let the crop wilt at tasselling.', repeat: { everyDays: 10, untilDay: 95 } },
+            { key: 'thinning', stage: 'seedling', day: 15, type: 'other', title: 'Thin and gap-fill', notes: 'Keep one healthy plant per hill.' },
+            { key: 'scouting', stage: 'vegetative', day: 15, type: 'inspection', title: 'Scout for fall armyworm and leaf diseases', notes: 'Check leaf whorls for armyworm and leaves for rust pustules and long grey lesions.', repeat: { everyDays: 7, untilDay: 78 }, risks: ['Corn_(maize)___Common_rust', 'Corn_(maize)___Northern_Leaf_Blight', 'Corn_(maize)___Cercospora_leaf_spot'] },
+            { key: 'nitrogen-knee-high', stage: 'knee high', day: 25, type: 'fertilizer', title: 'Top-dress nitrogen (knee high)', notes: 'Second split of nitrogen, then earth up.' },
+            { key: 'nitrogen-tasselling', stage: 'tasselling', day: 45, type: 'fertilizer', title: 'Top-dress nitrogen (pre-tasselling)', notes: 'Last split of nitrogen.' },
+            { key: 'harvest', stage: 'harvest', day: 110, type: 'harvest', title: 'Harvest maize', notes: 'Harvest when husks are dry and kernels show a black layer at the base.' }
+        ]
+    },
+    {
+        key: 'tomato',
+        cropName: 'Tomato',
+        names: { en: 'Tomato', hi: 'टमाटर', te: 'టమాటా' },
+        aliases: [],
+        durationDays: 130,
+        steps: [
+            { key: 'nursery', stage: 'sowing', day: 0, type: 'other', title: 'Sow tomato nursery', notes: 'Use raised beds or trays; protect seedlings from heavy rain.' },
+            { key: 'transplant', stage: 'transplanting', day: 28, type: 'other', title: 'Transplant tomato seedlings', notes: 'Transplant in the evening and irrigate immediately.' },
+            { key: 'basal-fertilizer', stage: 'transplanting', day: 28, type: 'fertilizer', title: 'Apply basal fertiliser and compost', notes: 'Well-rotted manure plus phosphorus and potash, as per soil test.' },
+            { key: 'irrigation', stage: 'vegetative', day: 30, type: 'watering', title: 'Irrigate tomato', notes: 'Water at the base, not over the leaves, to keep blight down.', repeat: { everyDays: 4, untilDay: 125 } },
+            { key: 'scouting', stage: 'vegetative', day: 35, type: 'inspection', title: 'Scout for blight and leaf mould', notes: 'Check lower leaves for brown rings, water-soaked patches and yellow spots.', repeat: { everyDays: 7, untilDay: 119 }, risks: ['Tomato___Early_blight', 'Tomato___Late_blight', 'Tomato___Leaf_Mold', 'Tomato___Septoria_leaf_spot'] },
+            { key: 'staking', stage: 'vegetative', day: 45, type: 'other', title: 'Stake and prune tomato plants', notes: 'Remove the lowest leaves touching the soil.' },
+            { key: 'nitrogen-first', stage: 'flowering', day: 50, type: 'fertilizer', title: 'Top-dress nitrogen (flowering)', notes: '' },
+            { key: 'nitrogen-second', stage: 'fruiting', day: 70, type: 'fertilizer', title: 'Top-dress nitrogen (fruit set)', notes: '' },
+            { key: 'harvest', stage: 'harvest', day: 95, type: 'harvest', title: 'Start harvesting tomatoes', notes: 'Pick at the breaker stage for distant markets.' }
+        ]
+    },
+    {
+        key: 'potato',
+        cropName: 'Potato',
+        names: { en: 'Potato', hi: 'आलू', te: 'బంగాళదుంప' },
+        aliases: [],
+        durationDays: 105,
+        steps: [
+            { key: 'planting', stage: 'sowing', day: 0, type: 'other', title: 'Plant potato seed tubers', notes: 'Use healthy, sprouted seed tubers.' },
+            { key: 'basal-fertilizer', stage: 'sowing', day: 0, type: 'fertilizer', title: 'Apply basal fertiliser', notes: 'Full phosphorus and potash with half of the nitrogen, as per soil test.' },
+            { key: 'irrigation', stage: 'vegetative', day: 10, type: 'watering', title: 'Irrigate potato', notes: 'Light, frequent irrigation; keep furrows moist but not flooded.', repeat: { everyDays: 10, untilDay: 85 } },
+            { key: 'earthing-up', stage: 'vegetative', day: 30, type: 'fertilizer', title: 'Earth up and top-dress nitrogen', notes: 'Remaining nitrogen, then cover tubers with soil.' },
+            { key: 'scouting', stage: 'tuber formation', day: 35, type: 'inspection', title: 'Scout for late and early blight', notes: 'Check for dark water-soaked patches, especially after cool, foggy days.', repeat: { everyDays: 7, untilDay: 84 }, risks: ['Potato___Late_blight', 'Potato___Early_blight'] },
+            { key: 'dehaulm', stage: 'maturity', day: 95, type: 'other', title: 'Cut potato haulms', notes: 'Stop irrigation beforehand; harvest about 10 days later.' },
+            { key: 'harvest', stage: 'harvest', day: 105, type: 'harvest', title: 'Harvest potato', notes: 'Cure tubers in shade before storage.' }
+        ]
+    },
+    {
+        key: 'chilli',
+        cropName: 'Bell pepper',
+        names: { en: 'Chilli / Capsicum', hi: 'मिर्च', te: 'మిరప' },
+        aliases: ['chili', 'pepper', 'capsicum', 'pepper,_bell', 'bell pepper'],
+        durationDays: 150,
+        steps: [
+            { key: 'nursery', stage: 'sowing', day: 0, type: 'other', title: 'Sow chilli nursery', notes: 'Use raised beds; protect from damping off.' },
+            { key: 'transplant', stage: 'transplanting', day: 35, type: 'other', title: 'Transplant chilli seedlings', notes: '' },
+            { key: 'basal-fertilizer', stage: 'transplanting', day: 35, type: 'fertilizer', title: 'Apply basal fertiliser and compost', notes: 'Well-rotted manure plus phosphorus and potash, as per soil test.' },
+            { key: 'irrigation', stage: 'vegetative', day: 37, type: 'watering', title: 'Irrigate chilli', notes: 'Avoid waterlogging; it causes flower drop and root rot.', repeat: { everyDays: 5, untilDay: 140 } },
+            { key: 'scouting', stage: 'vegetative', day: 45, type: 'inspection', title: 'Scout for leaf spot, thrips and mites', notes: 'Check for small dark leaf spots, curled leaves and fine webbing.', repeat: { everyDays: 7, untilDay: 130 }, risks: ['Pepper,_bell___Bacterial_spot'] },
+            { key: 'nitrogen-first', stage: 'vegetative', day: 65, type: 'fertilizer', title: 'Top-dress nitrogen', notes: '' },
+            { key: 'nitrogen-second', stage: 'flowering', day: 95, type: 'fertilizer', title: 'Top-dress nitrogen (flowering)', notes: '' },
+            { key: 'harvest', stage: 'harvest', day: 100, type: 'harvest', title: 'Start picking chillies', notes: 'Pick every 7-10 days once fruits mature.' }
+        ]
+    }
+];
+
+export const CROP_TEMPLATES = Object.freeze(TEMPLATES.map(template => Object.freeze(template)));
+
+const normalize = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Find a template by key, alias or English name
+ * @param {string} crop - e.g. 'Paddy', 'corn', 'Tomato'
+ * @returns {Object|null}
+ */
+export const findCropTemplate = (crop) => {
+    const name = normalize(crop);
+    if (!name) return null;
+
+    return CROP_TEMPLATES.find(template =>
+        [template.key, template.names.en, ...template.aliases].some(candidate => normalize(candidate) === name)
+    ) || null;
+};
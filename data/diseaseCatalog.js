@@ -0,0 +1,159 @@
+/**
+ * Label catalogue for the PlantVillage CNN.
+ *
+ * The order of CLASS_NAMES must match ai_service/class_names.py exactly: the
+ * model only returns an index, and this list is what turns it back into a
+ * crop and disease. Display names are provided for every language the advice
+ * service supports ('en', 'hi', 'te').
+ */
+
+const CLASS_NAMES = [
+    'Apple___Apple_scab',
+    'Apple___Black_rot',
+    'Apple___Cedar_apple_rust',
+    'Apple___healthy',
+    'Blueberry___healthy',
+    'Cherry_(including_sour)___Powdery_mildew',
+    'Cherry_(including_sour)___healthy',
+    'Corn_(maize)___Cercospora_leaf_spot',
+    'Corn_(maize)___Common_rust',
+    'Corn_(maize)___Northern_Leaf_Blight',
+    'Corn_(maize)___healthy',
+    'Grape___Black_rot',
+    'Grape___Esca_(Black_Measles)',
+    'Grape___Leaf_blight',
+    'Grape___healthy',
+    'Orange___Haunglongbing',
+    'Peach___Bacterial_spot',
+    'Peach___healthy',
+    'Pepper,_bell___Bacterial_spot',
+    'Pepper,_bell___healthy',
+    'Potato___Early_blight',
+    'Potato___Late_blight',
+    'Potato___healthy',
+    'Raspberry___healthy',
+    'Soybean___healthy',
+    'Squash___Powdery_mildew',
+    'Strawberry___Leaf_scorch',
+    'Strawberry___healthy',
+    'Tomato___Bacterial_spot',
+    'Tomato___Early_blight',
+    'Tomato___Late_blight',
+    'Tomato___Leaf_Mold',
+    'Tomato___Septoria_leaf_spot',
+    'Tomato___Spider_mites',
+    'Tomato___Target_Spot',
+    'Tomato___Yellow_Leaf_Curl_Virus',
+    'Tomato___Tomato_mosaic_virus',
+    'Tomato___healthy'
+];
+
+const CROP_NAMES = {
+    'Apple': { en: 'Apple', hi: 'सेब', te: 'ఆపిల్' },
+    'Blueberry': { en: 'Blueberry', hi: 'ब्लूबेरी', te: 'బ్లూబెర్రీ' },
+    'Cherry_(including_sour)': { en: 'Cherry', hi: 'चेरी', te: 'చెర్రీ' },
+    'Corn_(maize)': { en: 'Maize', hi: 'मक्का', te: 'మొక్కజొన్న' },
+    'Grape': { en: 'Grape', hi: 'अंगूर', te: 'ద్రాక్ష' },
+    'Orange': { en: 'Orange', hi: 'संतरा', te: 'నారింజ' },
+    'Peach': { en: 'Peach', hi: 'आड़ू', te: 'పీచ్' },
+    'Pepper,_bell': { en: 'Bell pepper', hi: 'शिमला मिर्च', te: 'క్యాప్సికం' },
+    'Potato': { en: 'Potato', hi: 'आलू', te: 'బంగాళాదుంప' },
+    'Raspberry': { en: 'Raspberry', hi: 'रसभरी', te: 'రాస్ప్‌బెర్రీ' },
+    'Soybean': { en: 'Soybean', hi: 'सोयाबीन', te: 'సోయాబీన్' },
+    'Squash': { en: 'Squash', hi: 'कद्दू', te: 'గుమ్మడి' },
+    'Strawberry': { en: 'Strawberry', hi: 'स्ट्रॉबेरी', te: 'స్ట్రాబెర్రీ' },
+    'Tomato': { en: 'Tomato', hi: 'टमाटर', te: 'టమాటా' }
+};
+
+const DISEASE_NAMES = {
+    'Apple_scab': { en: 'Apple scab', hi: 'सेब का स्कैब', te: 'ఆపిల్ స్కాబ్ తెగులు' },
+    'Black_rot': { en: 'Black rot', hi: 'काला सड़न', te: 'నల్ల కుళ్ళు తెగులు' },
+    'Cedar_apple_rust': { en: 'Cedar apple rust', hi: 'सीडार सेब रतुआ', te: 'సెడార్ ఆపిల్ తుప్పు తెగులు' },
+    'Powdery_mildew': { en: 'Powdery mildew', hi: 'चूर्णिल आसिता', te: 'బూడిద తెగులు' },
+    'Cercospora_leaf_spot': { en: 'Cercospora leaf spot', hi: 'सर्कोस्पोरा पत्ती धब्बा', te: 'సెర్కోస్పోరా ఆకు మచ్చ తెగులు' },
+    'Common_rust': { en: 'Common rust', hi: 'सामान्य रतुआ', te: 'సాధారణ తుప్పు తెగులు' },
+    'Northern_Leaf_Blight': { en: 'Northern leaf blight', hi: 'उत्तरी पत्ती झुलसा', te: 'ఉత్తర ఆకు ఎండు తెగులు' },
+    'Esca_(Black_Measles)': { en: 'Esca (black measles)', hi: 'एस्का (काला खसरा)', te: 'ఎస్కా (నల్ల మచ్చ తెగులు)' },
+    'Leaf_blight': { en: 'Leaf blight', hi: 'पत्ती झुलसा', te: 'ఆకు ఎండు తెగులు' },
+    'Haunglongbing': { en: 'Huanglongbing (citrus greening)', hi: 'सिट्रस ग्रीनिंग (हुआंगलोंगबिंग)', te: 'సిట్రస్ గ్రీనింగ్ (హువాంగ్‌లాంగ్‌బింగ్)' },
+    'Bacterial_spot': { en: 'Bacterial spot', hi: 'जीवाणु धब्बा', te: 'బ్యాక్టీరియా మచ్చ తెగులు' },
+    'Early_blight': { en: 'Early blight', hi: 'अगेती झुलसा', te: 'ముందస్తు ఎండు తెగులు' },
+    'Late_blight': { en: 'Late blight', hi: 'पछेती झुलसा', te: 'ఆలస్య ఎండు తెగులు' },
+    'Leaf_scorch': { en: 'Leaf scorch', hi: 'पत्ती झुलसन', te: 'ఆకు మాడు తెగులు' },
+    'Leaf_Mold': { en: 'Leaf mold', hi: 'पत्ती फफूंद', te: 'ఆకు బూజు తెగులు' },
+    'Septoria_leaf_spot': { en: 'Septoria leaf spot', hi: 'सेप्टोरिया पत्ती धब्बा', te: 'సెప్టోరియా ఆకు మచ్చ తెగులు' },
+    'Spider_mites': { en: 'Spider mites', hi: 'मकड़ी घुन', te: 'నల్లి (సాలీడు పురుగులు)' },
+    'Target_Spot': { en: 'Target spot', hi: 'लक्ष्य धब्बा रोग', te: 'టార్గెట్ మచ్చ తెగులు' },
+    'Yellow_Leaf_Curl_Virus': { en: 'Yellow leaf curl virus', hi: 'पीला पत्ती मोड़क विषाणु', te: 'పసుపు ఆకు ముడత వైరస్' },
+    'Tomato_mosaic_virus': { en: 'Tomato mosaic virus', hi: 'टमाटर मोज़ेक विषाणु', te: 'టమాటా మొజాయిక్ వైరస్' },
+    'healthy': { en: 'Healthy', hi: 'स्वस्थ', te: 'ఆరోగ్యకరం' }
+};
+
+export const SUPPORTED_LANGUAGES = ['en', 'hi', 'te'];
+
+export const CLASS_CATALOG = Object.freeze(CLASS_NAMES.map((className, index) => {
+    const [cropKey, diseaseKey] = className.split('___');
+
+    return Object.freeze({
+        index,
+        className,
+        cropKey,
+        diseaseKey,
+        healthy: diseaseKey === 'healthy',
+        names: {
+            crop: CROP_NAMES[cropKey],
+            disease: DISEASE_NAMES[diseaseKey]
+        }
+    });
+}));
+
+/**
+ * Look up a catalogue entry by model output index
+ * @param {number} index
+ * @returns {Object|null}
+ */
+export const getClassByIndex = (index) => {
+    return Number.isInteger(index) ? CLASS_CATALOG[index] || null : null;
+};
+
+/**
+ * Look up a catalogue entry by its PlantVillage class name
+ * @param {string} className - e.g. 'Tomato___Leaf_Mold'
+ * @returns {Object|null}
+ */
+export const getClassByName = (className) => {
+    return CLASS_CATALOG.find(entry => entry.className === className) || null;
+};
+
+/**
+ * Human-readable crop and disease names for a catalogue entry
+ * @param {Object} entry - Catalogue entry
+ * @param {string} language - 'en', 'hi' or 'te' (falls back to English)
+ * @returns {Object} - { crop, disease }
+ */
+export const localizeClass = (entry, language = 'en') => {
+    const lang = SUPPORTED_LANGUAGES.includes(language) ? language : 'en';
+    return {
+        crop: entry.names.crop[lang],
+        disease: entry.names.disease[lang]
+    };
+};
+
+const normalize = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Find the catalogue entry for free-text crop and disease names, matching
+ * either the PlantVillage keys or the English display names
+ * @param {string} crop - e.g. 'Tomato' or 'Corn_(maize)'
+ * @param {string} disease - e.g. 'Leaf mold' or 'Leaf_Mold'
+ * @returns {Object|null}
+ */
+export const findClass = (crop, disease) => {
+    const cropName = normalize(crop);
+    const diseaseName = normalize(disease);
+
+    return CLASS_CATALOG.find(entry =>
+        [entry.cropKey, entry.names.crop.en].some(name => normalize(name) === cropName) &&
+        [entry.diseaseKey, entry.names.disease.en].some(name => normalize(name) === diseaseName)
+    ) || null;
+};
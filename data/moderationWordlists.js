@@ -0,0 +1,46 @@
+/**
+ * Wordlists for the community content filter (services/contentFilter.js).
+ *
+ * Terms are matched as whole words, case-insensitively, after light
+ * normalisation (l33t digits, repeated letters). Hindi and Telugu lists carry
+ * both native script and the common romanised spellings farmers type on
+ * Latin keyboards. `block` terms reject the text outright; `review` terms let
+ * it through hidden until a moderator looks at it.
+ *
+ * Extend a deployment's lists with MODERATION_BLOCK_WORDS and
+ * MODERATION_REVIEW_WORDS (comma-separated) rather than editing this file.
+ */
+
+export const WORDLISTS = {
+    en: {
+        block: [
+            'fuck', 'fucker', 'fucking', 'motherfucker', 'shit', 'bullshit', 'bitch', 'bastard',
+            'asshole', 'dickhead', 'cunt', 'whore', 'slut', 'retard'
+        ],
+        review: [
+            'idiot', 'stupid', 'moron', 'lottery', 'jackpot', 'bitcoin', 'crypto',
+            'guaranteed income', 'work from home', 'click here', 'free recharge', 'loan approved'
+        ]
+    },
+    hi: {
+        block: [
+            'चूतिया', 'मादरचोद', 'बहनचोद', 'भोसड़ी', 'रंडी', 'हरामी', 'हरामज़ादा', 'गांडू',
+            'chutiya', 'madarchod', 'behenchod', 'bhenchod', 'bhosdi', 'randi', 'harami', 'haramzada', 'gandu'
+        ],
+        review: [
+            'कमीना', 'बेवकूफ', 'लॉटरी', 'इनाम जीता',
+            'kamina', 'kameena', 'bewakoof', 'lottery jeeta', 'inaam jeeta'
+        ]
+    },
+    te: {
+        block: [
+            'దెంగు', 'లంజ', 'లంజకొడుకు', 'గుద్ద',
+            // 'dengu' and 'gudda' are left out: they collide with "dengue" and the Kannada word for hill
+            'lanja', 'lanjakoduku'
+        ],
+        review: [
+            'వెధవ', 'పిచ్చోడు', 'బుద్ధిలేని', 'లాటరీ',
+            'vedhava', 'vedava', 'pichodu', 'buddhileni'
+        ]
+    }
+};
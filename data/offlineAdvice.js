@@ -0,0 +1,268 @@
+/**
+ * Curated offline advice for every class in the disease catalogue.
+ *
+ * Used as the last resort when no LLM provider is reachable, so farmers always
+ * get something actionable. Content is in English; keys are PlantVillage
+ * class names from data/diseaseCatalog.js. Doses are typical label rates —
+ * farmers are always told to follow the product label.
+ */
+
+const HEALTHY_ADVICE = {
+    cause: 'No disease detected; the leaf looks healthy.',
+    symptoms: ['Uniform green colour', 'No spots, lesions or mould'],
+    immediate: 'No treatment needed; keep monitoring the crop weekly.',
+    chemical: null,
+    organic: 'Apply well-rotted compost to keep the soil healthy.',
+    prevention: 'Water at the base, keep the field weed-free and remove fallen leaves.'
+};
+
+const healthy = (extra = {}) => ({ ...HEALTHY_ADVICE, ...extra });
+
+export const OFFLINE_ADVICE = {
+    'Apple___Apple_scab': {
+        cause: 'Fungus Venturia inaequalis, spread by rain splash from infected fallen leaves in spring.',
+        symptoms: ['Olive-green to black velvety spots on leaves', 'Dark, corky scabs on fruit', 'Early leaf drop'],
+        immediate: 'Pick off badly spotted leaves and rake up fallen leaves under the tree.',
+        chemical: { product: 'Captan 50% WP', dose: 2, unit: 'g per litre of water' },
+        organic: 'Spray wettable sulphur (3 g per litre) at 7–10 day intervals in wet weather.',
+        prevention: 'Prune for open canopy airflow and destroy fallen leaves before spring.'
+    },
+    'Apple___Black_rot': {
+        cause: 'Fungus Botryosphaeria obtusa, surviving in dead wood, cankers and mummified fruit.',
+        symptoms: ['Purple-edged "frog-eye" spots on leaves', 'Rotting fruit with dark rings', 'Sunken cankers on branches'],
+        immediate: 'Cut out cankered branches and remove mummified fruit from the tree.',
+        chemical: { product: 'Captan 50% WP', dose: 2, unit: 'g per litre of water' },
+        organic: 'Spray 1% Bordeaux mixture before bud break and after petal fall.',
+        prevention: 'Remove dead wood every winter and keep the orchard floor clean.'
+    },
+    'Apple___Cedar_apple_rust': {
+        cause: 'Fungus Gymnosporangium juniperi-virginianae, which alternates between apple and juniper/cedar trees.',
+        symptoms: ['Bright yellow-orange spots on upper leaf surface', 'Small tube-like growths under the spots', 'Deformed fruit'],
+        immediate: 'Remove heavily infected leaves and any nearby cedar galls.',
+        chemical: { product: 'Myclobutanil 10% WP', dose: 0.5, unit: 'g per litre of water' },
+        organic: 'Spray wettable sulphur (3 g per litre) from pink bud stage.',
+        prevention: 'Remove junipers and cedars near the orchard or plant resistant varieties.'
+    },
+    'Apple___healthy': healthy({
+        prevention: 'Prune every winter, remove fallen leaves and fruit, and spray dormant oil before bud break.'
+    }),
+    'Blueberry___healthy': healthy({
+        organic: 'Mulch with pine bark or sawdust to keep the soil acidic and moist.'
+    }),
+    'Cherry_(including_sour)___Powdery_mildew': {
+        cause: 'Fungus Podosphaera clandestina, favoured by warm days, cool nights and high humidity.',
+        symptoms: ['White powdery patches on young leaves', 'Curled or distorted leaves', 'Powdery coating on fruit'],
+        immediate: 'Prune out infected shoots and improve airflow in the canopy.',
+        chemical: { product: 'Hexaconazole 5% EC', dose: 1, unit: 'ml per litre of water' },
+        organic: 'Spray wettable sulphur (2 g per litre) or potassium bicarbonate (5 g per litre).',
+        prevention: 'Avoid excess nitrogen fertiliser and prune for good air circulation.'
+    },
+    'Cherry_(including_sour)___healthy': healthy(),
+    'Corn_(maize)___Cercospora_leaf_spot': {
+        cause: 'Fungus Cercospora zeae-maydis (gray leaf spot), surviving on old maize residue.',
+        symptoms: ['Long, narrow grey-tan rectangular spots between leaf veins', 'Lesions merging and blighting leaves', 'Lower leaves affected first'],
+        immediate: 'Remove and destroy badly affected lower leaves.',
+        chemical: { product: 'Azoxystrobin 23% SC', dose: 1, unit: 'ml per litre of water' },
+        organic: 'Spray Trichoderma viride formulation (5 g per litre) on early lesions.',
+        prevention: 'Rotate with non-cereal crops and plough in maize residue after harvest.'
+    },
+    'Corn_(maize)___Common_rust': {
+        cause: 'Fungus Puccinia sorghi, spread by windborne spores in cool, humid weather.',
+        symptoms: ['Small brick-red to brown powdery pustules on both leaf surfaces', 'Pustules turning black late in the season', 'Yellowing of heavily infected leaves'],
+        immediate: 'Spray at the first sign of pustules if weather stays cool and wet.',
+        chemical: { product: 'Mancozeb 75% WP', dose: 2.5, unit: 'g per litre of water' },
+        organic: 'Spray neem oil (5 ml per litre) with a few drops of liquid soap.',
+        prevention: 'Grow rust-tolerant hybrids and avoid very late sowing.'
+    },
+    'Corn_(maize)___Northern_Leaf_Blight': {
+        cause: 'Fungus Exserohilum turcicum, favoured by moderate temperatures and long dew periods.',
+        symptoms: ['Long cigar-shaped grey-green lesions on leaves', 'Lesions turning tan with dark spore areas', 'Leaves drying from the bottom up'],
+        immediate: 'Remove infected lower leaves and avoid overhead irrigation.',
+        chemical: { product: 'Mancozeb 75% WP', dose: 2.5, unit: 'g per litre of water' },
+        organic: 'Spray Pseudomonas fluorescens formulation (10 g per litre).',
+        prevention: 'Use resistant hybrids, rotate crops and bury crop residue.'
+    },
+    'Corn_(maize)___healthy': healthy({
+        prevention: 'Rotate with legumes, plough in crop residue and scout weekly for pests.'
+    }),
+    'Grape___Black_rot': {
+        cause: 'Fungus Guignardia bidwellii, surviving in mummified berries and infected canes.',
+        symptoms: ['Brown circular leaf spots with dark borders', 'Berries shrivelling into hard black mummies', 'Black lesions on shoots'],
+        immediate: 'Remove mummified berries and infected leaves from the vine and ground.',
+        chemical: { product: 'Mancozeb 75% WP', dose: 2, unit: 'g per litre of water' },
+        organic: 'Spray 1% Bordeaux mixture from new shoot growth until berries colour.',
+        prevention: 'Prune for airflow and clear all mummies during winter pruning.'
+    },
+    'Grape___Esca_(Black_Measles)': {
+        cause: 'A complex of wood-rotting fungi entering through pruning wounds.',
+        symptoms: ['Tiger-stripe yellow and brown patches between leaf veins', 'Small dark spots on berries', 'Sudden wilting of shoots'],
+        immediate: 'Cut infected arms back to healthy wood and burn the prunings.',
+        chemical: { product: 'Thiophanate-methyl 70% WP', dose: 1, unit: 'g per litre of water, sprayed on pruning wounds' },
+        organic: 'Seal large pruning cuts with Trichoderma-based wound paste.',
+        prevention: 'Prune in dry weather and protect fresh pruning wounds immediately.'
+    },
+    'Grape___Leaf_blight': {
+        cause: 'Fungus Pseudocercospora vitis (Isariopsis leaf spot), favoured by warm humid weather.',
+        symptoms: ['Irregular dark brown spots on older leaves', 'Spots merging into large dead patches', 'Early leaf drop'],
+        immediate: 'Remove and destroy spotted leaves to reduce spores.',
+        chemical: { product: 'Copper oxychloride 50% WP', dose: 3, unit: 'g per litre of water' },
+        organic: 'Spray 1% Bordeaux mixture at 10–15 day intervals in humid spells.',
+        prevention: 'Keep the canopy open and avoid wetting leaves during irrigation.'
+    },
+    'Grape___healthy': healthy({
+        prevention: 'Prune for an open canopy and clear prunings and fallen leaves from the vineyard.'
+    }),
+    'Orange___Haunglongbing': {
+        cause: 'Bacterium Candidatus Liberibacter, spread by the Asian citrus psyllid insect.',
+        symptoms: ['Blotchy, uneven yellowing of leaves', 'Small, lopsided, bitter fruit', 'Twig dieback'],
+        immediate: 'Mark the tree and control psyllids on it and neighbouring trees; there is no cure.',
+        chemical: { product: 'Imidacloprid 17.8% SL (for psyllid control)', dose: 0.5, unit: 'ml per litre of water' },
+        organic: 'Spray neem oil (5 ml per litre) on new flushes to deter psyllids.',
+        prevention: 'Plant certified disease-free saplings and remove infected trees.'
+    },
+    'Peach___Bacterial_spot': {
+        cause: 'Bacterium Xanthomonas arboricola pv. pruni, spread by wind-driven rain.',
+        symptoms: ['Small water-soaked spots turning purple-brown on leaves', 'Spots dropping out leaving shot holes', 'Cracked, pitted fruit'],
+        immediate: 'Prune out infected twigs and avoid working in the orchard when wet.',
+        chemical: { product: 'Copper oxychloride 50% WP', dose: 3, unit: 'g per litre of water' },
+        organic: 'Spray 1% Bordeaux mixture at leaf fall and before bud break.',
+        prevention: 'Plant resistant varieties and avoid excess nitrogen.'
+    },
+    'Peach___healthy': healthy(),
+    'Pepper,_bell___Bacterial_spot': {
+        cause: 'Bacterium Xanthomonas, carried on seed and spread by rain splash.',
+        symptoms: ['Small dark water-soaked spots on leaves', 'Yellowing and leaf drop', 'Raised scabby spots on fruit'],
+        immediate: 'Remove infected leaves and stop overhead watering.',
+        chemical: { product: 'Copper oxychloride 50% WP', dose: 3, unit: 'g per litre of water' },
+        organic: 'Spray Bacillus subtilis formulation (5 g per litre) weekly.',
+        prevention: 'Use disease-free seed and rotate away from peppers and tomatoes for 2 years.'
+    },
+    'Pepper,_bell___healthy': healthy(),
+    'Potato___Early_blight': {
+        cause: 'Fungus Alternaria solani, favoured by warm weather and stressed plants.',
+        symptoms: ['Brown spots with concentric rings on older leaves', 'Yellowing around the spots', 'Lower leaves dying first'],
+        immediate: 'Remove spotted lower leaves and destroy them away from the field.',
+        chemical: { product: 'Mancozeb 75% WP', dose: 2.5, unit: 'g per litre of water' },
+        organic: 'Spray neem oil (5 ml per litre) or Trichoderma formulation on lower leaves.',
+        prevention: 'Rotate crops for 2–3 years and give balanced fertiliser to avoid plant stress.'
+    },
+    'Potato___Late_blight': {
+        cause: 'Water mould Phytophthora infestans, spreading fast in cool, wet, cloudy weather.',
+        symptoms: ['Dark water-soaked patches on leaves', 'White mould on leaf undersides in humid mornings', 'Brown rot in tubers'],
+        immediate: 'Spray at once and remove infected plants; the disease can destroy a field in days.',
+        chemical: { product: 'Metalaxyl 8% + Mancozeb 64% WP', dose: 2.5, unit: 'g per litre of water' },
+        organic: 'Spray 1% Bordeaux mixture as a protective cover before rain.',
+        prevention: 'Plant certified seed tubers, earth up well and avoid irrigation late in the day.'
+    },
+    'Potato___healthy': healthy({
+        prevention: 'Use certified seed tubers, earth up the rows and rotate crops every season.'
+    }),
+    'Raspberry___healthy': healthy(),
+    'Soybean___healthy': healthy({
+        prevention: 'Rotate with cereals, use treated seed and keep the field well drained.'
+    }),
+    'Squash___Powdery_mildew': {
+        cause: 'Fungi Podosphaera xanthii and Erysiphe, favoured by dry days and humid nights.',
+        symptoms: ['White powdery spots on upper leaf surface', 'Leaves yellowing and drying', 'Smaller fruit'],
+        immediate: 'Remove the worst affected leaves and spray the rest.',
+        chemical: { product: 'Hexaconazole 5% EC', dose: 1, unit: 'ml per litre of water' },
+        organic: 'Spray diluted milk (1 part milk to 9 parts water) or wettable sulphur (2 g per litre).',
+        prevention: 'Space plants well for airflow and grow tolerant varieties.'
+    },
+    'Strawberry___Leaf_scorch': {
+        cause: 'Fungus Diplocarpon earlianum, spread by water splash in warm, wet weather.',
+        symptoms: ['Many small dark purple spots on leaves', 'Leaf edges drying and looking scorched', 'Weak plants and lower yield'],
+        immediate: 'Remove infected leaves and avoid overhead watering.',
+        chemical: { product: 'Captan 50% WP', dose: 2, unit: 'g per litre of water' },
+        organic: 'Spray copper soap or 0.5% Bordeaux mixture after removing infected leaves.',
+        prevention: 'Renew beds every 2–3 years and use drip irrigation with mulch.'
+    },
+    'Strawberry___healthy': healthy({
+        organic: 'Mulch with straw to keep fruit off the soil and reduce rot.'
+    }),
+    'Tomato___Bacterial_spot': {
+        cause: 'Bacterium Xanthomonas, carried on seed and spread by rain splash and handling.',
+        symptoms: ['Small dark greasy spots on leaves', 'Yellow halos and leaf drop', 'Raised scabby spots on fruit'],
+        immediate: 'Remove infected leaves and do not handle plants when wet.',
+        chemical: { product: 'Copper oxychloride 50% WP', dose: 3, unit: 'g per litre of water' },
+        organic: 'Spray Bacillus subtilis formulation (5 g per litre) weekly.',
+        prevention: 'Use disease-free seed and rotate away from tomatoes and peppers for 2 years.'
+    },
+    'Tomato___Early_blight': {
+        cause: 'Fungus Alternaria solani, surviving in soil and crop debris.',
+        symptoms: ['Brown spots with target-like rings on older leaves', 'Yellowing around spots', 'Dark sunken spots near the fruit stem'],
+        immediate: 'Remove infected lower leaves and mulch to stop soil splash.',
+        chemical: { product: 'Mancozeb 75% WP', dose: 2.5, unit: 'g per litre of water' },
+        organic: 'Spray neem oil (5 ml per litre) or Trichoderma formulation every 10 days.',
+        prevention: 'Stake plants, mulch the soil and rotate crops for 2–3 years.'
+    },
+    'Tomato___Late_blight': {
+        cause: 'Water mould Phytophthora infestans, spreading fast in cool, wet weather.',
+        symptoms: ['Large dark greasy patches on leaves', 'White mould on leaf undersides', 'Firm brown rot on fruit'],
+        immediate: 'Remove and destroy infected plants immediately and spray the rest.',
+        chemical: { product: 'Metalaxyl 8% + Mancozeb 64% WP', dose: 2.5, unit: 'g per litre of water' },
+        organic: 'Spray 1% Bordeaux mixture as a protective cover before rain.',
+        prevention: 'Avoid planting near potatoes, space plants widely and water at the base.'
+    },
+    'Tomato___Leaf_Mold': {
+        cause: 'Fungus Passalora fulva, thriving in humid, poorly ventilated conditions.',
+        symptoms: ['Pale yellow patches on upper leaf surface', 'Olive-green velvety mould underneath', 'Leaves curling and dropping'],
+        immediate: 'Remove infected leaves and increase ventilation around plants.',
+        chemical: { product: 'Chlorothalonil 75% WP', dose: 2, unit: 'g per litre of water' },
+        organic: 'Spray baking soda solution (5 g per litre with a little soap).',
+        prevention: 'Keep humidity low, prune lower leaves and space plants well.'
+    },
+    'Tomato___Septoria_leaf_spot': {
+        cause: 'Fungus Septoria lycopersici, surviving on crop debris and weeds.',
+        symptoms: ['Many small round spots with grey centres and dark edges', 'Tiny black dots inside the spots', 'Lower leaves yellowing and falling'],
+        immediate: 'Pick off spotted lower leaves and destroy them.',
+        chemical: { product: 'Chlorothalonil 75% WP', dose: 2, unit: 'g per litre of water' },
+        organic: 'Spray copper soap or neem oil (5 ml per litre) weekly.',
+        prevention: 'Mulch, stake plants, remove weeds and rotate crops.'
+    },
+    'Tomato___Spider_mites': {
+        cause: 'Two-spotted spider mite (Tetranychus urticae), multiplying fast in hot, dry weather.',
+        symptoms: ['Fine yellow speckling on leaves', 'Fine webbing under leaves', 'Leaves turning bronze and drying'],
+        immediate: 'Spray the undersides of leaves with a strong jet of water.',
+        chemical: { product: 'Abamectin 1.9% EC', dose: 0.5, unit: 'ml per litre of water' },
+        organic: 'Spray neem oil (5 ml per litre) on leaf undersides every 5–7 days.',
+        prevention: 'Avoid water stress and dust, and remove weeds that host mites.'
+    },
+    'Tomato___Target_Spot': {
+        cause: 'Fungus Corynespora cassiicola, favoured by warm humid weather.',
+        symptoms: ['Brown spots with light centres and rings on leaves', 'Spots on stems', 'Sunken pits on fruit'],
+        immediate: 'Remove infected leaves and improve airflow by pruning.',
+        chemical: { product: 'Azoxystrobin 23% SC', dose: 1, unit: 'ml per litre of water' },
+        organic: 'Spray Bacillus subtilis or Trichoderma formulation every 7–10 days.',
+        prevention: 'Avoid overhead irrigation and clear crop debris after harvest.'
+    },
+    'Tomato___Yellow_Leaf_Curl_Virus': {
+        cause: 'Tomato yellow leaf curl virus, spread by whiteflies.',
+        symptoms: ['Upward curling, yellow-edged leaves', 'Stunted plants', 'Flowers dropping and poor fruit set'],
+        immediate: 'Uproot and destroy infected plants and control whiteflies; there is no cure.',
+        chemical: { product: 'Imidacloprid 17.8% SL (for whitefly control)', dose: 0.5, unit: 'ml per litre of water' },
+        organic: 'Hang yellow sticky traps and spray neem oil (5 ml per litre) to deter whiteflies.',
+        prevention: 'Raise seedlings under insect net and plant virus-tolerant varieties.'
+    },
+    'Tomato___Tomato_mosaic_virus': {
+        cause: 'Tomato mosaic virus, spread through infected seed, hands and tools.',
+        symptoms: ['Light and dark green mosaic pattern on leaves', 'Distorted, fern-like leaves', 'Uneven fruit ripening'],
+        immediate: 'Remove infected plants and wash hands and tools before touching healthy plants.',
+        chemical: null,
+        organic: 'Dip tools in skimmed milk or 10% bleach between plants.',
+        prevention: 'Use certified seed or resistant varieties and avoid tobacco use near plants.'
+    },
+    'Tomato___healthy': healthy({
+        prevention: 'Stake plants, mulch the soil, water at the base and rotate crops each season.'
+    })
+};
+
+// Fallback when the crop/disease cannot be matched to the catalogue at all
+export const GENERIC_ADVICE = {
+    cause: 'The exact cause could not be determined offline.',
+    symptoms: ['Check leaves, stems and fruit for spots, mould or insects'],
+    immediate: 'Remove visibly affected leaves and keep them away from healthy plants.',
+    chemical: null,
+    organic: 'Spray neem oil (5 ml per litre) as a general protective measure.',
+    prevention: 'Rotate crops, avoid overhead watering and keep the field clean.'
+};
@@ -0,0 +1,55 @@
+import User from '../models/User.js';
+import { verifyAccessToken } from '../services/tokenService.js';
+
+// Require a valid access token and attach the caller to req.user
+export const protect = async (req, res, next) => {
+    const header = req.headers.authorization || '';
+
+    if (!header.startsWith('Bearer ')) {
+        return res.status(401).json({ message: 'Not authorized, no token' });
+    }
+
+    let payload;
+    try {
+        payload = verifyAccessToken(header.slice(7));
+    } catch (error) {
+        return res.status(401).json({ message: 'Not authorized, token invalid' });
+    }
+
+    try {
+        const user = await User.findById(payload.sub);
+        if (!user) {
+            return res.status(401).json({ message: 'Not authorized, user not found' });
+        }
+
+        req.user = user;
+        next();
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// Attach req.user when a valid access token is sent, but let anonymous
+// callers through (req.user stays undefined)
+export const optionalAuth = async (req, res, next) => {
+    const header = req.headers.authorization || '';
+    if (!header.startsWith('Bearer ')) {
+        return next();
+    }
+
+    try {
+        const payload = verifyAccessToken(header.slice(7));
+        req.user = await User.findById(payload.sub) || undefined;
+    } catch (error) {
+        // Treat a bad token like no token on optional routes
+    }
+    next();
+};
+
+// Restrict a route to the given roles; use after `protect`
+export const authorize = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+        return res.status(403).json({ message: 'Not authorized for this action' });
+    }
+    next();
+};
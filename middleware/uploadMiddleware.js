@@ -0,0 +1,50 @@
+import multer from 'multer';
+import {
+    imageFileFilter,
+    describeUploadError,
+    MAX_UPLOAD_BYTES
+} from '../services/imagePreprocessor.js';
+
+export const MAX_IMAGES_PER_REQUEST = parseInt(process.env.ANALYZE_MAX_IMAGES, 10) || 5;
+
+const imageUpload = (files) => multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_UPLOAD_BYTES, files },
+    fileFilter: imageFileFilter
+});
+
+// Wrap a multer middleware so rejected uploads get a JSON error with a code
+const acceptImage = (middleware) => (req, res, next) => {
+    middleware(req, res, (error) => {
+        if (!error) return next();
+        const { status, code, message } = describeUploadError(error);
+        res.status(status).json({ success: false, code, message });
+    });
+};
+
+// Single photo in the "file" field -> req.file
+export const uploadImage = acceptImage(imageUpload(1).single('file'));
+
+// Up to MAX_IMAGES_PER_REQUEST photos in the "files" field -> req.files
+export const uploadImages = acceptImage(imageUpload(MAX_IMAGES_PER_REQUEST).array('files', MAX_IMAGES_PER_REQUEST));
+
+const MAX_CALENDAR_BYTES = 1024 * 1024;
+
+const calendarUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_CALENDAR_BYTES, files: 1 }
+}).single('file');
+
+// Single .ics file in the "file" field -> req.file; rejected uploads get a JSON error
+export const uploadCalendarFile = (req, res, next) => {
+    calendarUpload(req, res, (error) => {
+        if (!error) return next();
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({ message: 'Calendar files can be at most 1 MB' });
+        }
+        if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+            return res.status(400).json({ message: 'Upload a single .ics file in the "file" field' });
+        }
+        res.status(400).json({ message: error.message });
+    });
+};
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+const adviceCacheSchema = mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true // crop|disease|severity|language|confidenceBucket
+    },
+    crop: String,
+    disease: String,
+    severity: String,
+    language: String,
+    confidenceBucket: String,
+    advice: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    hits: {
+        type: Number,
+        default: 0
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// Let MongoDB drop stale advice on its own
+adviceCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AdviceCache = mongoose.model('AdviceCache', adviceCacheSchema);
+
+export default AdviceCache;
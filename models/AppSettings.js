@@ -1,4 +1,11 @@
 import mongoose from 'mongoose';
+import { NOTIFICATION_CHANNELS } from './Notification.js';
+
+// Channels a category of notifications goes out on; empty turns it off
+const channelList = (defaults) => ({
+    type: [{ type: String, enum: NOTIFICATION_CHANNELS }],
+    default: defaults
+});
 
 const appSettingsSchema = mongoose.Schema({
     user: {
@@ -18,6 +25,25 @@ const appSettingsSchema = mongoose.Schema({
         type: Boolean,
         default: false
     },
+    saveDiagnosisHistory: {
+        type: Boolean,
+        default: true // Store /api/analyze results and images in diagnosis history
+    },
+    notifications: {
+        tasks: channelList(['in_app']), // Upcoming and overdue calendar tasks
+        replies: channelList(['in_app']), // Answers, accepted answers, expert reviews
+        likes: channelList(['in_app']),
+        reminderLeadHours: {
+            type: Number, // How long before a task is due to remind
+            default: 24,
+            min: 1,
+            max: 168
+        },
+        pushToken: {
+            type: String, // Device registration token for push
+            default: ''
+        }
+    },
     updatedAt: {
         type: Date,
         default: Date.now
@@ -1,5 +1,48 @@
 import mongoose from 'mongoose';
 
+// See services/recurrenceService.js for how a rule expands into occurrences
+const recurrenceSchema = mongoose.Schema({
+    frequency: {
+        type: String,
+        enum: ['daily', 'weekly'],
+        required: true
+    },
+    interval: {
+        type: Number, // Every N days/weeks
+        default: 1,
+        min: 1
+    },
+    until: Date,
+    count: {
+        type: Number,
+        min: 1
+    }
+}, { _id: false });
+
+// Completion or skip of a single occurrence of a recurring task
+const exceptionSchema = mongoose.Schema({
+    date: {
+        type: Date,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['completed', 'skipped'],
+        required: true
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+// Where a task generated from a crop template came from (services/cropPlanService.js)
+const cropPlanSchema = mongoose.Schema({
+    crop: String, // Template key, e.g. 'rice'
+    step: String, // Template step key, e.g. 'basal-fertilizer'
+    sowingDate: Date
+}, { _id: false });
+
 const calendarTaskSchema = mongoose.Schema({
     user: {
         type: mongoose.Schema.Types.ObjectId,
@@ -10,9 +53,14 @@ const calendarTaskSchema = mongoose.Schema({
         type: String,
         required: true
     },
+    field: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Field',
+        default: null
+    },
     type: {
         type: String,
-        enum: ['watering', 'fertilizer', 'pesticide', 'harvest', 'other'],
+        enum: ['watering', 'fertilizer', 'pesticide', 'inspection', 'prevention', 'harvest', 'other'],
         default: 'other'
     },
     date: {
@@ -20,19 +68,50 @@ const calendarTaskSchema = mongoose.Schema({
         required: true
     },
     completed: {
-        type: Boolean,
+        type: Boolean, // One-off tasks only; recurring ones track occurrences in `exceptions`
         default: false
     },
+    recurrence: {
+        type: recurrenceSchema,
+        default: null
+    },
+    exceptions: [exceptionSchema],
     notes: {
         type: String,
         default: ''
     },
+    diagnosis: {
+        type: mongoose.Schema.Types.ObjectId, // Set on tasks generated from a treatment plan
+        ref: 'DiagnosisRecord',
+        default: null
+    },
+    reason: {
+        type: String, // Why the task exists, shown next to it in the calendar
+        default: ''
+    },
+    cropPlan: {
+        type: cropPlanSchema,
+        default: null
+    },
+    icalUid: {
+        type: String, // UID of the event this task was imported from (.ics import)
+        default: null
+    },
+    followUpDiagnosis: {
+        type: mongoose.Schema.Types.ObjectId, // Photo taken when an inspection task was completed
+        ref: 'DiagnosisRecord',
+        default: null
+    },
     createdAt: {
         type: Date,
         default: Date.now
     }
 });
 
+calendarTaskSchema.index({ user: 1, date: 1 });
+calendarTaskSchema.index({ diagnosis: 1 });
+calendarTaskSchema.index({ user: 1, field: 1, 'cropPlan.crop': 1 });
+
 const CalendarTask = mongoose.model('CalendarTask', calendarTaskSchema);
 
 export default CalendarTask;
@@ -1,5 +1,25 @@
 import mongoose from 'mongoose';
 
+// Shared by posts and comments. Hidden content stays in the database for
+// moderators but is left out of the feed and comment lists.
+const moderationFields = {
+    hidden: {
+        type: Boolean,
+        default: false
+    },
+    hiddenReason: {
+        type: String,
+        enum: ['', 'reports', 'moderator', 'filter'],
+        default: ''
+    },
+    hiddenAt: Date,
+    reportCount: {
+        type: Number,
+        default: 0
+    },
+    editedAt: Date
+};
+
 const commentSchema = mongoose.Schema({
     user: {
         type: mongoose.Schema.Types.ObjectId,
@@ -10,6 +30,20 @@ const commentSchema = mongoose.Schema({
         type: String,
         required: true
     },
+    // Author was an expert when they answered; shown as a badge and ranked first
+    isExpert: {
+        type: Boolean,
+        default: false
+    },
+    likes: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    likeCount: {
+        type: Number,
+        default: 0
+    },
+    ...moderationFields,
     createdAt: {
         type: Date,
         default: Date.now
@@ -39,17 +73,61 @@ const communityPostSchema = mongoose.Schema({
         type: String, // URL or base64
         default: ''
     },
+    crops: [{
+        type: String // Lowercase crop tags, e.g. 'tomato'
+    }],
+    diseases: [{
+        type: String // Catalogue class names, e.g. 'Tomato___Early_blight'
+    }],
+    // The asker's own diagnosis this post is about, shown with the post
+    diagnosis: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DiagnosisRecord',
+        default: null
+    },
     likes: [{
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
     }],
     comments: [commentSchema],
+    // Kept in step with likes/comments so the feed can sort and show counts
+    // without loading the arrays; hidden comments are not counted
+    likeCount: {
+        type: Number,
+        default: 0
+    },
+    commentCount: {
+        type: Number,
+        default: 0
+    },
+    expertAnswerCount: {
+        type: Number,
+        default: 0
+    },
+    // Comment the question's author marked as the solution
+    acceptedComment: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    acceptedAt: Date,
+    ...moderationFields,
     createdAt: {
         type: Date,
         default: Date.now
     }
 });
 
+// One index per feed sort mode (see services/communityFeedService.js)
+communityPostSchema.index({ createdAt: -1, _id: -1 });
+communityPostSchema.index({ likeCount: -1, _id: -1 });
+communityPostSchema.index({ type: 1, commentCount: 1, createdAt: -1 });
+communityPostSchema.index({ crops: 1, createdAt: -1 });
+communityPostSchema.index({ diseases: 1, createdAt: -1 });
+communityPostSchema.index({ type: 1, acceptedComment: 1, expertAnswerCount: 1, createdAt: 1 });
+communityPostSchema.index({ 'comments.user': 1 });
+communityPostSchema.index({ user: 1, createdAt: -1 });
+communityPostSchema.index({ title: 'text', content: 'text' }, { weights: { title: 3, content: 1 }, name: 'post_text' });
+
 const CommunityPost = mongoose.model('CommunityPost', communityPostSchema);
 
 export default CommunityPost;
@@ -9,6 +9,17 @@ const cropPreferenceSchema = mongoose.Schema({
     selectedCrops: [{
         type: String // e.g., 'Wheat', 'Rice', 'Maize'
     }],
+    // Seasons generated from crop templates (POST /api/calendar/generate)
+    seasons: [{
+        _id: false,
+        crop: String, // Template key
+        field: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Field',
+            default: null
+        },
+        sowingDate: Date
+    }],
     updatedAt: {
         type: Date,
         default: Date.now
@@ -1,27 +1,157 @@
 import mongoose from 'mongoose';
 
+const alternativeSchema = mongoose.Schema({
+    classIndex: Number,
+    className: String,
+    confidence: Number
+}, { _id: false });
+
+// An expert's verdict on the AI prediction, given from a community post.
+// `className` is the label the expert says is right (null when the disease
+// isn't in the catalogue; `disease` then holds their free-text answer).
+const expertFeedbackSchema = mongoose.Schema({
+    expert: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    verdict: {
+        type: String,
+        enum: ['confirm', 'correct'],
+        required: true
+    },
+    classIndex: Number,
+    className: {
+        type: String,
+        default: null
+    },
+    disease: {
+        type: String,
+        default: ''
+    },
+    note: {
+        type: String,
+        default: '',
+        maxlength: 1000
+    },
+    post: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CommunityPost'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+// The farmer's own correction of the prediction (POST /api/diagnosis/:id/correction)
+const ownerCorrectionSchema = mongoose.Schema({
+    className: {
+        type: String, // null when the disease is not in the catalogue
+        default: null
+    },
+    classIndex: Number,
+    notInList: {
+        type: Boolean,
+        default: false
+    },
+    note: {
+        type: String,
+        default: '',
+        maxlength: 1000
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
 const diagnosisRecordSchema = mongoose.Schema({
     user: {
         type: mongoose.Schema.Types.ObjectId,
         required: true,
         ref: 'User'
     },
+    field: {
+        type: mongoose.Schema.Types.ObjectId, // Plot the photo was taken in, if the farmer said
+        ref: 'Field',
+        default: null
+    },
     imageUrl: {
         type: String, // URL or base64 (if small enough, but URL pref)
-        required: true
+        default: ''
+    },
+    imageKey: {
+        type: String, // Blob storage key when the image was uploaded through /api/analyze
+        default: ''
+    },
+    crop: {
+        type: String,
+        default: ''
     },
     predictedDisease: {
         type: String,
         required: true
     },
+    classIndex: Number,
+    className: String, // PlantVillage label, e.g. 'Tomato___Leaf_Mold'
     confidenceScore: Number,
+    triageBand: {
+        type: String,
+        enum: ['confident', 'ambiguous', 'unknown']
+    },
+    alternatives: [alternativeSchema],
+    imageCount: {
+        type: Number, // Photos combined into this diagnosis (/api/analyze/multi)
+        default: 1
+    },
+    severity: {
+        type: String,
+        default: ''
+    },
+    severityScore: {
+        type: Number, // Lesioned share of the leaf area (0-1), null when it couldn't be measured
+        default: null
+    },
     treatmentSuggested: String,
+    advice: {
+        type: mongoose.Schema.Types.Mixed, // Structured advice object from llmService
+        default: null
+    },
+    modelVersion: {
+        type: String,
+        default: ''
+    },
+    notes: {
+        type: String, // Farmer's own notes
+        default: '',
+        maxlength: 2000
+    },
+    outcome: {
+        type: String, // Did the suggested treatment work?
+        enum: ['unknown', 'worked', 'partially_worked', 'did_not_work'],
+        default: 'unknown'
+    },
+    outcomeRecordedAt: Date,
+    followUpOf: {
+        type: mongoose.Schema.Types.ObjectId, // Earlier diagnosis this photo re-checks
+        ref: 'DiagnosisRecord',
+        default: null
+    },
+    expertFeedback: [expertFeedbackSchema], // One entry per expert
+    ownerCorrection: {
+        type: ownerCorrectionSchema,
+        default: null
+    },
     timestamp: {
         type: Date,
         default: Date.now
     }
 });
 
+diagnosisRecordSchema.index({ user: 1, timestamp: -1 });
+diagnosisRecordSchema.index({ field: 1, timestamp: -1 });
+
 const DiagnosisRecord = mongoose.model('DiagnosisRecord', diagnosisRecordSchema);
 
 export default DiagnosisRecord;
@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+
+// GeoJSON geometries (coordinates are [longitude, latitude])
+const pointSchema = mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['Point'],
+        required: true
+    },
+    coordinates: {
+        type: [Number],
+        required: true
+    }
+}, { _id: false });
+
+const polygonSchema = mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['Polygon'],
+        required: true
+    },
+    coordinates: {
+        type: [[[Number]]],
+        required: true
+    }
+}, { _id: false });
+
+const fieldSchema = mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'User'
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    area: {
+        value: {
+            type: Number,
+            min: 0
+        },
+        unit: {
+            type: String,
+            enum: ['acre', 'hectare', 'guntha', 'bigha', 'sq_m'],
+            default: 'acre'
+        }
+    },
+    location: {
+        type: pointSchema, // e.g. where the farmer stood when adding the field
+        default: undefined
+    },
+    boundary: {
+        type: polygonSchema, // Plot outline, if it was drawn on a map
+        default: undefined
+    },
+    soilType: {
+        type: String,
+        enum: ['', 'alluvial', 'black', 'red', 'laterite', 'sandy', 'clay', 'loamy', 'other'],
+        default: ''
+    },
+    currentCrop: {
+        type: String,
+        default: ''
+    },
+    sowingDate: Date,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+fieldSchema.index({ user: 1, name: 1 }, { unique: true });
+fieldSchema.index({ location: '2dsphere' }, { sparse: true });
+
+const Field = mongoose.model('Field', fieldSchema);
+
+export default Field;
@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+export const MODERATION_ACTIONS = ['hide', 'restore', 'auto_hide', 'filter_hold', 'delete', 'ban', 'unban'];
+
+// Append-only record of moderation decisions
+const moderationLogSchema = mongoose.Schema({
+    // null when the system acted on its own (report threshold, content filter)
+    moderator: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    action: {
+        type: String,
+        enum: MODERATION_ACTIONS,
+        required: true
+    },
+    targetType: {
+        type: String,
+        enum: ['post', 'comment', 'user'],
+        required: true
+    },
+    post: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CommunityPost'
+    },
+    comment: mongoose.Schema.Types.ObjectId,
+    // Author of the content, or the banned user
+    targetUser: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reason: {
+        type: String,
+        default: ''
+    },
+    // Action specifics, e.g. { bannedUntil } or { reportCount }
+    details: {
+        type: mongoose.Schema.Types.Mixed,
+        default: undefined
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+moderationLogSchema.index({ createdAt: -1 });
+moderationLogSchema.index({ targetUser: 1, createdAt: -1 });
+
+const ModerationLog = mongoose.model('ModerationLog', moderationLogSchema);
+
+export default ModerationLog;
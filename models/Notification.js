@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+
+// What happened; see services/notificationService.js for the wording
+export const NOTIFICATION_TYPES = [
+    'task_due',
+    'task_overdue',
+    'post_comment',
+    'post_like',
+    'comment_like',
+    'answer_accepted',
+    'expert_feedback'
+];
+
+// Ways a notification can reach the user; in_app is the inbox itself
+export const NOTIFICATION_CHANNELS = ['in_app', 'sms', 'push'];
+
+const deliverySchema = mongoose.Schema({
+    channel: {
+        type: String,
+        enum: NOTIFICATION_CHANNELS,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['sent', 'skipped', 'failed'],
+        required: true
+    },
+    error: String,
+    at: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const notificationSchema = mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId, // Recipient
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: NOTIFICATION_TYPES,
+        required: true
+    },
+    title: {
+        type: String,
+        required: true
+    },
+    body: {
+        type: String,
+        default: ''
+    },
+    // Who caused it (null for reminders)
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    // What it is about; the app opens this when the notification is tapped
+    post: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CommunityPost'
+    },
+    comment: mongoose.Schema.Types.ObjectId,
+    task: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CalendarTask'
+    },
+    occurrenceDate: Date, // Which occurrence of a recurring task
+    diagnosis: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DiagnosisRecord'
+    },
+    channels: [{
+        type: String,
+        enum: NOTIFICATION_CHANNELS
+    }],
+    deliveries: [deliverySchema],
+    read: {
+        type: Boolean,
+        default: false
+    },
+    readAt: Date,
+    // Same key for the same user means "already notified" (e.g. one reminder
+    // per task occurrence, one like notification per liker)
+    dedupeKey: {
+        type: String,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, read: 1 });
+notificationSchema.index(
+    { user: 1, dedupeKey: 1 },
+    { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } }
+);
+notificationSchema.index({ post: 1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+export default Notification;
@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+const otpCodeSchema = mongoose.Schema({
+    phoneNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    codeHash: {
+        type: String,
+        required: true
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    lastSentAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// Let MongoDB drop expired codes on its own
+otpCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OtpCode = mongoose.model('OtpCode', otpCodeSchema);
+
+export default OtpCode;
@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+export const REPORT_REASONS = ['spam', 'abusive', 'misinformation', 'off_topic', 'other'];
+
+const reportSchema = mongoose.Schema({
+    // null for reports raised by the content filter
+    reporter: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    post: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CommunityPost',
+        required: true
+    },
+    // Set when the report is about a comment on the post
+    comment: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    reason: {
+        type: String,
+        enum: REPORT_REASONS,
+        required: true
+    },
+    details: {
+        type: String,
+        maxlength: 500,
+        default: ''
+    },
+    status: {
+        type: String,
+        enum: ['open', 'actioned', 'dismissed'],
+        default: 'open'
+    },
+    resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    resolvedAt: Date,
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// One report per person per post/comment
+reportSchema.index(
+    { reporter: 1, post: 1, comment: 1 },
+    { unique: true, partialFilterExpression: { reporter: { $type: 'objectId' } } }
+);
+reportSchema.index({ status: 1, createdAt: 1 });
+reportSchema.index({ post: 1, comment: 1, status: 1 });
+
+const Report = mongoose.model('Report', reportSchema);
+
+export default Report;
@@ -12,13 +12,41 @@ const userSchema = mongoose.Schema({
     },
     role: {
         type: String,
-        enum: ['farmer', 'expert', 'guest'],
+        enum: ['farmer', 'expert', 'moderator', 'guest', 'admin'],
         default: 'farmer'
     },
     profileImage: {
         type: String,
         default: ""
     },
+    // Community reputation from likes on answers and accepted solutions
+    // (see services/reputationService.js)
+    reputation: {
+        type: Number,
+        default: 0
+    },
+    // Set by moderators; the user can read but not post or comment until then
+    postingBannedUntil: {
+        type: Date,
+        default: null
+    },
+    banReason: {
+        type: String,
+        default: ''
+    },
+    // Bumped on logout to invalidate outstanding refresh tokens
+    tokenVersion: {
+        type: Number,
+        default: 0,
+        select: false
+    },
+    // SHA-256 of the secret in the user's calendar subscription URL
+    calendarFeedTokenHash: {
+        type: String,
+        default: undefined,
+        index: { unique: true, sparse: true },
+        select: false
+    },
     createdAt: {
         type: Date,
         default: Date.now
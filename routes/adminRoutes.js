@@ -0,0 +1,132 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import adviceCache from '../services/adviceCache.js';
+import { LABEL_SOURCES, buildConfusion, writeTrainingExport } from '../services/trainingDataService.js';
+import { REPUTATION_POINTS, computeReputation } from '../services/reputationService.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Only crop/disease/severity/language/confidenceBucket can be filtered on
+const cacheFilter = (query) => {
+    const filter = {};
+    for (const field of ['crop', 'disease', 'severity', 'language', 'confidenceBucket']) {
+        if (query[field]) filter[field] = String(query[field]);
+    }
+    return filter;
+};
+
+// @desc    List cached advice entries
+// @route   GET /api/admin/advice-cache
+// @access  Private (admin)
+router.get('/advice-cache', protect, authorize('admin'), async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+        const result = await adviceCache.list(cacheFilter(req.query), { page, limit });
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @desc    Purge cached advice (all, or matching crop/disease/... filters)
+// @route   DELETE /api/admin/advice-cache
+// @access  Private (admin)
+router.delete('/advice-cache', protect, authorize('admin'), async (req, res) => {
+    try {
+        const deleted = await adviceCache.purge(cacheFilter(req.query));
+        res.json({ message: 'Advice cache purged', deleted });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @desc    Remove a single cached advice entry
+// @route   DELETE /api/admin/advice-cache/:key
+// @access  Private (admin)
+router.delete('/advice-cache/:key', protect, authorize('admin'), async (req, res) => {
+    try {
+        const removed = await adviceCache.remove(req.params.key);
+        if (!removed) return res.status(404).json({ message: 'Cache entry not found' });
+        res.json({ message: 'Cache entry removed' });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @desc    Rebuild a user's reputation from their answers and store it
+// @route   POST /api/admin/users/:id/reputation
+// @access  Private (admin)
+router.post('/users/:id/reputation', protect, authorize('admin'), async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: 'User not found' });
+    }
+    try {
+        if (!await User.exists({ _id: req.params.id })) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+        const reputation = await computeReputation(req.params.id);
+        res.json({ ...reputation, points: REPUTATION_POINTS });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// from/to/source filters shared by the training data endpoints
+const trainingOptions = (query) => {
+    const options = { source: query.source || 'any' };
+    if (![...LABEL_SOURCES, 'any'].includes(options.source)) {
+        return { error: `source must be one of: ${[...LABEL_SOURCES, 'any'].join(', ')}` };
+    }
+    for (const name of ['from', 'to']) {
+        if (!query[name]) continue;
+        const date = new Date(query[name]);
+        if (Number.isNaN(date.getTime())) return { error: `Invalid ${name} date` };
+        options[name] = date;
+    }
+    return { options };
+};
+
+// @desc    Predicted vs corrected classes for diagnoses experts or owners corrected
+// @route   GET /api/admin/training-data/confusion?from&to&source
+// @access  Private (admin)
+router.get('/training-data/confusion', protect, authorize('admin'), async (req, res) => {
+    const { options, error } = trainingOptions(req.query);
+    if (error) return res.status(400).json({ message: error });
+
+    try {
+        res.json(await buildConfusion(options));
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @desc    Download the labelled retraining dataset (.tar.gz of class folders and manifests)
+// @route   GET /api/admin/training-data/export?from&to&source&includeNotInList
+// @access  Private (admin)
+router.get('/training-data/export', protect, authorize('admin'), async (req, res) => {
+    const { options, error } = trainingOptions(req.query);
+    if (error) return res.status(400).json({ message: error });
+    options.includeNotInList = req.query.includeNotInList !== 'false';
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.set('Content-Type', 'application/gzip');
+    res.set('Content-Disposition', `attachment; filename="training-data-${stamp}.tar.gz"`);
+
+    try {
+        await writeTrainingExport(res, options);
+    } catch (error) {
+        // Headers (and maybe part of the archive) are already out
+        if (!res.headersSent) return res.status(500).json({ message: error.message });
+        if (res.destroyed) {
+            console.warn('Training data export stopped: the download was aborted');
+        } else {
+            console.error('Training data export failed:', error.message);
+            res.destroy(error);
+        }
+    }
+});
+
+export default router;
@@ -1,14 +1,21 @@
 import express from 'express';
 import User from '../models/User.js';
 import AppSettings from '../models/AppSettings.js';
+import { issueOtp, verifyOtp } from '../services/otpService.js';
+import { signAccessToken, signRefreshToken, verifyRefreshToken } from '../services/tokenService.js';
+import { protect } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
-// Mock OTP generation and verification
-// IN REAL APP: Integrate with SMS Gateway
+const otpFailureMessages = {
+    expired: 'OTP expired or not requested, please request a new one',
+    too_many_attempts: 'Too many incorrect attempts, please try again later',
+    invalid: 'Invalid OTP'
+};
 
-// @desc    Register/Login user
+// @desc    Register/Login user and send OTP
 // @route   POST /api/auth/login
+// @access  Public
 router.post('/login', async (req, res) => {
     const { phoneNumber } = req.body;
 
@@ -25,38 +32,106 @@ router.post('/login', async (req, res) => {
             await AppSettings.create({ user: user._id });
         }
 
-        // Generate Mock OTP
-        const otp = "123456"; // Fixed for demo
+        const result = await issueOtp(phoneNumber);
+
+        if (!result.sent) {
+            res.set('Retry-After', String(result.retryAfter));
+            return res.status(429).json({
+                message: result.locked
+                    ? 'Too many incorrect attempts, please try again later'
+                    : 'Please wait before requesting another OTP',
+                retryAfter: result.retryAfter
+            });
+        }
 
         res.json({
             message: 'OTP sent successfully',
-            otp: otp, // Sending back for demo purposes
-            userId: user._id
+            expiresIn: result.expiresIn
         });
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
 });
 
-// @desc    Verify OTP
+// @desc    Verify OTP and issue tokens
 // @route   POST /api/auth/verify
+// @access  Public
 router.post('/verify', async (req, res) => {
     const { phoneNumber, otp } = req.body;
 
-    if (otp === "123456") {
-        const user = await User.findOne({ phoneNumber });
-        if (user) {
-            res.json({
-                _id: user._id,
-                phoneNumber: user.phoneNumber,
-                name: user.name,
-                token: "dummy_jwt_token_" + user._id
+    if (!phoneNumber || !otp) {
+        return res.status(400).json({ message: 'Phone number and OTP are required' });
+    }
+
+    try {
+        const result = await verifyOtp(phoneNumber, otp);
+
+        if (!result.valid) {
+            return res.status(400).json({
+                message: otpFailureMessages[result.reason],
+                attemptsLeft: result.attemptsLeft
             });
-        } else {
-            res.status(404).json({ message: 'User not found' });
         }
-    } else {
-        res.status(400).json({ message: 'Invalid OTP' });
+
+        const user = await User.findOne({ phoneNumber }).select('+tokenVersion');
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        res.json({
+            _id: user._id,
+            phoneNumber: user.phoneNumber,
+            name: user.name,
+            role: user.role,
+            token: signAccessToken(user),
+            refreshToken: signRefreshToken(user)
+        });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+router.post('/refresh', async (req, res) => {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+        return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    let payload;
+    try {
+        payload = verifyRefreshToken(refreshToken);
+    } catch (error) {
+        return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    try {
+        const user = await User.findById(payload.sub).select('+tokenVersion');
+        if (!user || user.tokenVersion !== payload.ver) {
+            return res.status(401).json({ message: 'Refresh token has been revoked' });
+        }
+
+        res.json({
+            token: signAccessToken(user),
+            refreshToken: signRefreshToken(user)
+        });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @desc    Revoke all refresh tokens for the current user
+// @route   POST /api/auth/logout
+// @access  Private
+router.post('/logout', protect, async (req, res) => {
+    try {
+        await User.updateOne({ _id: req.user._id }, { $inc: { tokenVersion: 1 } });
+        res.json({ message: 'Logged out' });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
     }
 });
 
@@ -1,28 +1,229 @@
+import crypto from 'crypto';
 import express from 'express';
 import CalendarTask from '../models/CalendarTask.js';
+import User from '../models/User.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { uploadCalendarFile } from '../middleware/uploadMiddleware.js';
+import { buildCalendar, parseCalendar, taskIdFromUid } from '../services/icalService.js';
+import { generateCropPlan } from '../services/cropPlanService.js';
+import { resolveFieldParam } from '../services/fieldService.js';
+import { findCropTemplate, CROP_TEMPLATES } from '../data/cropTemplates.js';
+import {
+    validateRecurrence,
+    isRecurring,
+    occurrenceIndex,
+    expandOccurrences,
+    rangeFilter,
+    OCCURRENCE_STATUSES,
+    MAX_RANGE_DAYS
+} from '../services/recurrenceService.js';
 
 const router = express.Router();
 
-// Get tasks for a user
-router.get('/:userId', async (req, res) => {
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MAX_IMPORT_EVENTS = 500;
+
+const hashFeedToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Subscription URLs must be absolute; PUBLIC_BASE_URL wins behind a proxy
+const feedUrl = (req, token) => {
+    const base = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+    return `${base.replace(/\/$/, '')}/api/calendar/feed/${token}.ics`;
+};
+
+const sendCalendar = (res, tasks, { filename } = {}) => {
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    if (filename) res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(buildCalendar(tasks));
+};
+
+// Plan tasks carry a short summary of the diagnosis they came from
+const DIAGNOSIS_SUMMARY = 'crop predictedDisease severity timestamp imageUrl';
+
+// Get tasks for the current user, optionally for one ?type or ?field.
+// With ?from&to (ISO dates) recurring tasks are expanded into the
+// occurrences that fall in that range, for week/month views.
+router.get('/', protect, async (req, res) => {
+    const { from, to, type } = req.query;
+
+    try {
+        const { field, error } = await resolveFieldParam(req.user, req.query.field);
+        if (error) return res.status(404).json({ message: error });
+
+        const filter = {
+            user: req.user._id,
+            ...(type ? { type: String(type) } : {}),
+            ...(field ? { field: field._id } : {})
+        };
+
+        if (!from && !to) {
+            const tasks = await CalendarTask.find(filter)
+                .populate('diagnosis', DIAGNOSIS_SUMMARY)
+                .sort({ date: 1 });
+            return res.json(tasks);
+        }
+
+        const start = new Date(from);
+        const end = new Date(to);
+        if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end < start) {
+            return res.status(400).json({ message: 'from and to must both be dates, with from before to' });
+        }
+        if (end - start > MAX_RANGE_DAYS * DAY_MS) {
+            return res.status(400).json({ message: `Date range cannot exceed ${MAX_RANGE_DAYS} days` });
+        }
+
+        const tasks = await CalendarTask.find({ ...filter, ...rangeFilter(start, end) }).populate('diagnosis', DIAGNOSIS_SUMMARY);
+
+        const occurrences = tasks
+            .flatMap(task => expandOccurrences(task, start, end))
+            .sort((a, b) => a.date - b.date);
+
+        res.json({ from: start, to: end, occurrences });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Download all tasks as an .ics file
+router.get('/export.ics', protect, async (req, res) => {
+    try {
+        const tasks = await CalendarTask.find({ user: req.user._id }).sort({ date: 1 });
+        sendCalendar(res, tasks, { filename: 'farm-tasks.ics' });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Subscription feed polled by calendar apps; the token in the URL is the only credential
+router.get('/feed/:token.ics', async (req, res) => {
+    try {
+        const user = await User.findOne({ calendarFeedTokenHash: hashFeedToken(req.params.token) });
+        if (!user) return res.status(404).json({ message: 'Calendar feed not found' });
+
+        const tasks = await CalendarTask.find({ user: user._id }).sort({ date: 1 });
+        res.set('Cache-Control', 'private, max-age=900');
+        sendCalendar(res, tasks);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Create (or rotate) the subscription URL. It is only shown once;
+// rotating invalidates the previous URL.
+router.post('/feed-token', protect, async (req, res) => {
+    try {
+        const token = crypto.randomBytes(24).toString('hex');
+        await User.updateOne({ _id: req.user._id }, { calendarFeedTokenHash: hashFeedToken(token) });
+        res.status(201).json({ url: feedUrl(req, token) });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Turn the subscription URL off
+router.delete('/feed-token', protect, async (req, res) => {
+    try {
+        await User.updateOne({ _id: req.user._id }, { $unset: { calendarFeedTokenHash: 1 } });
+        res.json({ message: 'Calendar feed disabled' });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Import tasks from an uploaded .ics file (form field "file").
+// Events exported from here are skipped; events imported before are updated.
+router.post('/import', protect, uploadCalendarFile, async (req, res) => {
+    if (!req.file) return res.status(400).json({ message: 'An .ics file is required' });
+
+    const { tasks, warnings } = parseCalendar(req.file.buffer.toString('utf8'));
+    if (tasks.length === 0) {
+        return res.status(400).json({ message: 'No events found in the file', warnings });
+    }
+    if (tasks.length > MAX_IMPORT_EVENTS) {
+        return res.status(400).json({ message: `Files can contain at most ${MAX_IMPORT_EVENTS} events` });
+    }
+
+    try {
+        let created = 0;
+        let updated = 0;
+        let skipped = 0;
+
+        for (const { uid, ...fields } of tasks) {
+            const ownId = taskIdFromUid(uid);
+            if (ownId && await CalendarTask.exists({ _id: ownId, user: req.user._id })) {
+                skipped++;
+                continue;
+            }
+
+            const existing = uid && await CalendarTask.findOne({ user: req.user._id, icalUid: uid });
+            if (existing) {
+                Object.assign(existing, fields);
+                await existing.save();
+                updated++;
+            } else {
+                await CalendarTask.create({ ...fields, user: req.user._id, icalUid: uid });
+                created++;
+            }
+        }
+
+        res.status(201).json({ created, updated, skipped, warnings });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Generate a season's tasks from a crop template.
+// body: { crop, sowingDate, field? } where field is one of the user's field ids.
+// Calling it again for the same crop and field (e.g. with a corrected sowing date) regenerates the plan, keeping
+// completed work.
+router.post('/generate', protect, async (req, res) => {
+    const { crop, sowingDate, field } = req.body;
+
+    const template = findCropTemplate(crop);
+    if (!template) {
+        return res.status(400).json({
+            message: `No calendar template for "${crop}"`,
+            availableCrops: CROP_TEMPLATES.map(item => item.key)
+        });
+    }
+
+    const sown = new Date(sowingDate);
+    if (!sowingDate || Number.isNaN(sown.getTime())) {
+        return res.status(400).json({ message: 'sowingDate must be a date' });
+    }
+
     try {
-        const tasks = await CalendarTask.find({ user: req.params.userId }).sort({ date: 1 });
-        res.json(tasks);
+        const resolved = await resolveFieldParam(req.user, field);
+        if (resolved.error) return res.status(404).json({ message: resolved.error });
+
+        const result = await generateCropPlan(req.user, template, { sowingDate: sown, field: resolved.field });
+        res.status(201).json(result);
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
 });
 
-// Create a task
-router.post('/', async (req, res) => {
-    const { userId, title, type, date, notes } = req.body;
+// Create a task, optionally recurring:
+// recurrence: { frequency: 'daily' | 'weekly', interval, until, count }
+router.post('/', protect, async (req, res) => {
+    const { title, type, date, notes, recurrence } = req.body;
+
+    const invalid = validateRecurrence(recurrence);
+    if (invalid) return res.status(400).json({ message: invalid });
+
     try {
+        const { field, error } = await resolveFieldParam(req.user, req.body.field);
+        if (error) return res.status(404).json({ message: error });
+
         const task = await CalendarTask.create({
-            user: userId,
+            user: req.user._id,
+            field: field ? field._id : null,
             title,
             type,
             date,
-            notes
+            notes,
+            recurrence: recurrence || null
         });
         res.status(201).json(task);
     } catch (error) {
@@ -30,11 +231,85 @@ router.post('/', async (req, res) => {
     }
 });
 
-// Toggle completion status
-router.put('/:id/toggle', async (req, res) => {
+// Edit a task. Changing the date or recurrence of a series drops
+// completions/skips that no longer line up with an occurrence.
+router.put('/:id', protect, async (req, res) => {
+    const { title, type, date, notes, recurrence } = req.body;
+
+    const invalid = validateRecurrence(recurrence);
+    if (invalid) return res.status(400).json({ message: invalid });
+
+    try {
+        const task = await CalendarTask.findOne({ _id: req.params.id, user: req.user._id });
+        if (!task) return res.status(404).json({ message: 'Task not found' });
+
+        if (req.body.field !== undefined) {
+            const { field, error } = await resolveFieldParam(req.user, req.body.field);
+            if (error) return res.status(404).json({ message: error });
+            task.field = field ? field._id : null;
+        }
+
+        if (title !== undefined) task.title = title;
+        if (type !== undefined) task.type = type;
+        if (notes !== undefined) task.notes = notes;
+        if (date !== undefined) task.date = date;
+        if (recurrence !== undefined) task.recurrence = recurrence;
+
+        if (date !== undefined || recurrence !== undefined) {
+            task.exceptions = task.exceptions.filter(item => occurrenceIndex(task, item.date) !== -1);
+        }
+
+        const updatedTask = await task.save();
+        res.json(updatedTask);
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Mark one occurrence completed, skipped or back to pending
+// body: { date: <occurrence date>, status }
+router.put('/:id/occurrences', protect, async (req, res) => {
+    const { date, status } = req.body;
+
+    if (!OCCURRENCE_STATUSES.includes(status)) {
+        return res.status(400).json({ message: `status must be one of: ${OCCURRENCE_STATUSES.join(', ')}` });
+    }
+    const occurrenceDate = new Date(date);
+    if (Number.isNaN(occurrenceDate.getTime())) {
+        return res.status(400).json({ message: 'date must be the date of an occurrence' });
+    }
+
+    try {
+        const task = await CalendarTask.findOne({ _id: req.params.id, user: req.user._id });
+        if (!task) return res.status(404).json({ message: 'Task not found' });
+
+        if (occurrenceIndex(task, occurrenceDate) === -1) {
+            return res.status(400).json({ message: 'date is not an occurrence of this task' });
+        }
+
+        task.exceptions = task.exceptions.filter(item => item.date.getTime() !== occurrenceDate.getTime());
+        if (status !== 'pending') {
+            task.exceptions.push({ date: occurrenceDate, status });
+        }
+        if (!isRecurring(task)) {
+            task.completed = status === 'completed';
+        }
+
+        const updatedTask = await task.save();
+        res.json(updatedTask);
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Toggle completion status of a one-off task
+router.put('/:id/toggle', protect, async (req, res) => {
     try {
-        const task = await CalendarTask.findById(req.params.id);
+        const task = await CalendarTask.findOne({ _id: req.params.id, user: req.user._id });
         if (!task) return res.status(404).json({ message: 'Task not found' });
+        if (isRecurring(task)) {
+            return res.status(400).json({ message: 'Recurring tasks are completed per occurrence; use PUT /:id/occurrences' });
+        }
 
         task.completed = !task.completed;
         const updatedTask = await task.save();
@@ -45,9 +320,9 @@ router.put('/:id/toggle', async (req, res) => {
 });
 
 // Delete a task
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', protect, async (req, res) => {
     try {
-        const task = await CalendarTask.findById(req.params.id);
+        const task = await CalendarTask.findOne({ _id: req.params.id, user: req.user._id });
         if (!task) return res.status(404).json({ message: 'Task not found' });
 
         await task.deleteOne();
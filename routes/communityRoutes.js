@@ -1,79 +1,611 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import CommunityPost from '../models/CommunityPost.js';
+import CropPreference from '../models/CropPreference.js';
 import User from '../models/User.js';
+import DiagnosisRecord from '../models/DiagnosisRecord.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+import {
+    parseFeedQuery,
+    getFeedPage,
+    parseCommentsQuery,
+    getCommentsPage,
+    normalizeCropTags,
+    normalizeDiseaseTags,
+    presentPost,
+    AUTHOR_FIELDS,
+    DIAGNOSIS_FIELDS
+} from '../services/communityFeedService.js';
+import { buildExpertFeedback, recordExpertFeedback, summarizeExpertFeedback } from '../services/diagnosisService.js';
+import { getBlobStorage } from '../services/storage/blobStorage.js';
+import { getClassByName } from '../data/diseaseCatalog.js';
+import { REPUTATION_POINTS, awardReputation } from '../services/reputationService.js';
+import { checkContent } from '../services/contentFilter.js';
+import {
+    isPostingBanned,
+    fileReport,
+    holdForReview,
+    deleteComment,
+    deletePost,
+    logModeration
+} from '../services/moderationService.js';
+import { REPORT_REASONS } from '../models/Report.js';
+import { notify } from '../services/notificationService.js';
 
 const router = express.Router();
 
-// Get all posts
-router.get('/', async (req, res) => {
+// Reject malformed post ids before they reach a query
+const validPostId = (req, res, next) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: 'Post not found' });
+    }
+    if (req.params.commentId !== undefined && !mongoose.isValidObjectId(req.params.commentId)) {
+        return res.status(404).json({ message: 'Comment not found' });
+    }
+    next();
+};
+
+const isModerator = (user) => ['moderator', 'admin'].includes(user.role);
+
+// Banned users can still read, but not post, comment or edit
+const canPost = (req, res, next) => {
+    if (isPostingBanned(req.user)) {
+        return res.status(403).json({
+            message: 'You are not allowed to post in the community right now',
+            bannedUntil: req.user.postingBannedUntil,
+            reason: req.user.banReason || undefined
+        });
+    }
+    next();
+};
+
+// Run the content filter; answers 400 and returns null when it blocks the text
+const screenContent = async (res, ...parts) => {
+    const check = await checkContent(...parts);
+    if (check.verdict === 'block') {
+        res.status(400).json({ message: 'This content breaks the community guidelines', reasons: check.reasons });
+        return null;
+    }
+    return check;
+};
+
+// Visible post (moderators also see hidden ones), or null
+const findVisiblePost = (req) => CommunityPost.findOne({
+    _id: req.params.id,
+    ...(isModerator(req.user) ? {} : { hidden: { $ne: true } })
+});
+
+// A post as the API returns it: no comment/like arrays, linked diagnosis summarised
+const loadPost = async (postId) => {
+    const post = await CommunityPost.findById(postId)
+        .select('-comments -likes')
+        .populate('user', AUTHOR_FIELDS)
+        .populate({ path: 'diagnosis', select: DIAGNOSIS_FIELDS, options: { lean: true } })
+        .lean();
+    return post && presentPost(post);
+};
+
+// Resolve a post body's diagnosisId and crop/disease tags. A linked diagnosis
+// must be the poster's own; its crop and disease are added to the tags.
+// Returns { diagnosis, crops, diseases } or { status, error }.
+const resolvePostLinks = async (user, { diagnosisId, crops = [], diseases = [] }) => {
+    const diseaseTags = normalizeDiseaseTags(diseases);
+    if (diseaseTags.error) return { status: 400, error: diseaseTags.error };
+
+    const links = { diagnosis: null, crops: normalizeCropTags(crops), diseases: diseaseTags.tags };
+    if (!diagnosisId) return links;
+
+    const diagnosis = mongoose.isValidObjectId(diagnosisId)
+        ? await DiagnosisRecord.findOne({ _id: diagnosisId, user: user._id })
+        : null;
+    if (!diagnosis) return { status: 404, error: 'Diagnosis not found' };
+
+    const label = getClassByName(diagnosis.className);
+    return {
+        diagnosis: diagnosis._id,
+        crops: normalizeCropTags([...(diagnosis.crop ? [diagnosis.crop] : []), ...links.crops]),
+        diseases: label && !label.healthy ? [...new Set([label.className, ...links.diseases])] : links.diseases
+    };
+};
+
+// Author of an accepted comment who should get (or lose) the points for it;
+// nobody earns reputation for accepting their own answer
+const acceptedAnswerAuthor = (post, commentId) => {
+    const comment = commentId && post.comments.id(commentId);
+    return comment && !comment.user.equals(post.user) ? comment.user : null;
+};
+
+// Get a page of posts. Comments come back as commentCount; fetch them with
+// GET /:id/comments.
+// ?sort=newest|most_liked|unanswered&cursor&limit&type&crop&author&q
+router.get('/', protect, async (req, res) => {
+    let options;
+    try {
+        options = parseFeedQuery(req.query, req.user);
+    } catch (error) {
+        return res.status(400).json({ message: error.message });
+    }
+
+    try {
+        const page = await getFeedPage(req.user, options);
+        res.json(page);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Unanswered questions for experts, longest-waiting first. Limited to the
+// crops the expert follows (their crop preferences) unless ?crop is given.
+// ?cursor&limit&crop&q
+router.get('/expert-queue', protect, authorize('expert', 'admin'), async (req, res) => {
+    let options;
+    try {
+        options = parseFeedQuery({ ...req.query, type: undefined }, req.user, { sort: 'expert_queue' });
+    } catch (error) {
+        return res.status(400).json({ message: error.message });
+    }
+
+    try {
+        if (!req.query.crop) {
+            const preference = await CropPreference.findOne({ user: req.user._id });
+            const followed = preference ? normalizeCropTags(preference.selectedCrops, Infinity) : [];
+            if (followed.length) options.filter.crops = { $in: followed };
+        }
+
+        const page = await getFeedPage(req.user, options);
+        res.json({ ...page, crops: options.filter.crops ? options.filter.crops.$in : [] });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// A user's reputation as kept on their profile (admins can rebuild it with
+// POST /api/admin/users/:id/reputation)
+router.get('/users/:id/reputation', protect, async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: 'User not found' });
+    }
     try {
-        const posts = await CommunityPost.find()
-            .populate('user', 'name profileImage')
-            .populate('comments.user', 'name profileImage')
-            .sort({ createdAt: -1 });
-        res.json(posts);
+        const user = await User.findById(req.params.id).select('reputation');
+        if (!user) return res.status(404).json({ message: 'User not found' });
+        res.json({ user: user._id, reputation: user.reputation, points: REPUTATION_POINTS });
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
 });
 
-// Create a post
-router.post('/', async (req, res) => {
-    const { userId, title, content, type, image } = req.body;
+// Create a post; `crops` and `diseases` (catalogue class names) tag it for
+// the feed filters, and `diagnosisId` attaches one of your diagnoses so
+// others see its photo and prediction. Text the content filter is unsure
+// about is published hidden until a moderator reviews it.
+router.post('/', protect, canPost, async (req, res) => {
+    const { title, content, type, image, crops, diseases, diagnosisId } = req.body;
     try {
+        const links = await resolvePostLinks(req.user, { diagnosisId, crops, diseases });
+        if (links.error) return res.status(links.status).json({ message: links.error });
+
+        const check = await screenContent(res, title, content);
+        if (!check) return;
+
         const post = await CommunityPost.create({
-            user: userId,
+            user: req.user._id,
             title,
             content,
             type,
-            image
+            image,
+            ...links
         });
-        const fullPost = await CommunityPost.findById(post._id).populate('user', 'name profileImage');
-        res.status(201).json(fullPost);
+        if (check.verdict === 'review') await holdForReview(post, null, check.reasons);
+
+        res.status(201).json(await loadPost(post._id));
     } catch (error) {
         res.status(400).json({ message: error.message });
     }
 });
 
-// Like a post
-router.put('/:id/like', async (req, res) => {
-    const { userId } = req.body;
+// Get a single post
+router.get('/:id', protect, validPostId, async (req, res) => {
     try {
-        const post = await CommunityPost.findById(req.params.id);
+        const post = await findVisiblePost(req).select('_id');
         if (!post) return res.status(404).json({ message: 'Post not found' });
+        res.json(await loadPost(post._id));
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
 
-        if (post.likes.includes(userId)) {
-            post.likes = post.likes.filter(id => id.toString() !== userId);
-        } else {
-            post.likes.push(userId);
+// Edit your own post (diagnosisId: null unlinks the diagnosis)
+router.put('/:id', protect, validPostId, canPost, async (req, res) => {
+    const { title, content, type, image, crops, diseases, diagnosisId } = req.body;
+    try {
+        const post = await CommunityPost.findById(req.params.id);
+        if (!post) return res.status(404).json({ message: 'Post not found' });
+        if (!post.user.equals(req.user._id)) {
+            return res.status(403).json({ message: 'You can only edit your own posts' });
         }
+
+        // Only a newly linked diagnosis is checked (and adds its tags)
+        const diagnosisChanged = diagnosisId !== undefined && String(diagnosisId || '') !== String(post.diagnosis || '');
+        const { diagnosis, ...tags } = await resolvePostLinks(req.user, {
+            diagnosisId: diagnosisChanged ? diagnosisId : null,
+            crops: crops === undefined ? post.crops : crops,
+            diseases: diseases === undefined ? post.diseases : diseases
+        });
+        if (tags.error) return res.status(tags.status).json({ message: tags.error });
+
+        const check = await screenContent(res, title ?? post.title, content ?? post.content);
+        if (!check) return;
+
+        if (title !== undefined) post.title = title;
+        if (content !== undefined) post.content = content;
+        if (type !== undefined) post.type = type;
+        if (image !== undefined) post.image = image;
+        post.crops = tags.crops;
+        post.diseases = tags.diseases;
+        if (diagnosisChanged) post.diagnosis = diagnosis;
+        post.editedAt = new Date();
         await post.save();
-        res.json(post.likes);
+
+        if (check.verdict === 'review') await holdForReview(post, null, check.reasons);
+
+        res.json(await loadPost(post._id));
     } catch (error) {
         res.status(400).json({ message: error.message });
     }
 });
 
-// Add a comment
-router.post('/:id/comment', async (req, res) => {
-    const { userId, text } = req.body;
+// Delete a post (its author, or a moderator)
+router.delete('/:id', protect, validPostId, async (req, res) => {
     try {
         const post = await CommunityPost.findById(req.params.id);
         if (!post) return res.status(404).json({ message: 'Post not found' });
 
-        const comment = { user: userId, text };
-        post.comments.push(comment);
-        await post.save();
+        const isAuthor = post.user.equals(req.user._id);
+        if (!isAuthor && !isModerator(req.user)) {
+            return res.status(403).json({ message: 'You can only delete your own posts' });
+        }
 
-        // Return full post to refresh UI
-        const fullPost = await CommunityPost.findById(req.params.id)
-            .populate('user', 'name profileImage')
-            .populate('comments.user', 'name profileImage');
+        await deletePost(post);
+        if (!isAuthor) {
+            await logModeration({
+                moderator: req.user._id,
+                action: 'delete',
+                targetType: 'post',
+                post: post._id,
+                targetUser: post.user,
+                reason: req.body?.reason || '',
+                details: { title: post.title }
+            });
+        }
 
-        res.json(fullPost);
+        res.json({ message: 'Post removed' });
     } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Report a post, or one of its comments with `commentId`
+// body: { reason, details?, commentId? }
+router.post('/:id/report', protect, validPostId, async (req, res) => {
+    const { reason, details, commentId } = req.body;
+    if (!REPORT_REASONS.includes(reason)) {
+        return res.status(400).json({ message: `reason must be one of: ${REPORT_REASONS.join(', ')}` });
+    }
+
+    try {
+        const post = await findVisiblePost(req);
+        if (!post) return res.status(404).json({ message: 'Post not found' });
+
+        let comment = null;
+        if (commentId !== undefined) {
+            comment = mongoose.isValidObjectId(commentId) ? post.comments.id(commentId) : null;
+            if (!comment || comment.hidden) return res.status(404).json({ message: 'Comment not found' });
+        }
+        if ((comment || post).user.equals(req.user._id)) {
+            return res.status(400).json({ message: 'You cannot report your own content' });
+        }
+
+        const { hidden } = await fileReport(req.user, post, comment, { reason, details: details ? String(details) : '' });
+        res.status(201).json({ message: 'Thanks, a moderator will take a look', hidden });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'You have already reported this' });
+        }
         res.status(400).json({ message: error.message });
     }
 });
 
+// Like or unlike a post. The conditional updates keep likeCount in step
+// with likes even when two requests race.
+router.put('/:id/like', protect, validPostId, async (req, res) => {
+    const userId = req.user._id;
+    try {
+        const post = await CommunityPost.findOneAndUpdate(
+            { _id: req.params.id, hidden: { $ne: true }, likes: userId },
+            { $pull: { likes: userId }, $inc: { likeCount: -1 } },
+            { new: true }
+        ) || await CommunityPost.findOneAndUpdate(
+            { _id: req.params.id, hidden: { $ne: true }, likes: { $ne: userId } },
+            { $push: { likes: userId }, $inc: { likeCount: 1 } },
+            { new: true }
+        );
+        if (!post) return res.status(404).json({ message: 'Post not found' });
+
+        const likedByMe = post.likes.some(id => id.equals(userId));
+        if (likedByMe) {
+            await notify(post.user, 'post_like', { actor: req.user, post }, { dedupeKey: `post_like:${post._id}:${userId}` });
+        }
+
+        res.json({ likeCount: post.likeCount, likedByMe });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Get a page of a post's comments (?cursor&limit): the accepted answer,
+// then expert answers, then the rest
+router.get('/:id/comments', protect, validPostId, async (req, res) => {
+    let options;
+    try {
+        options = parseCommentsQuery(req.query);
+    } catch (error) {
+        return res.status(400).json({ message: error.message });
+    }
+
+    try {
+        const page = await getCommentsPage(req.params.id, req.user, { ...options, includeHidden: isModerator(req.user) });
+        if (!page) return res.status(404).json({ message: 'Post not found' });
+        res.json(page);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Add a comment; returns the new comment and the post's comment count.
+// Comments by experts are badged.
+router.post('/:id/comment', protect, validPostId, canPost, async (req, res) => {
+    const { text } = req.body;
+    if (typeof text !== 'string' || !text.trim()) {
+        return res.status(400).json({ message: 'Comment text is required' });
+    }
+
+    try {
+        const check = await screenContent(res, text);
+        if (!check) return;
+
+        const commentId = new mongoose.Types.ObjectId();
+        const isExpert = req.user.role === 'expert';
+        const post = await CommunityPost.findOneAndUpdate(
+            { _id: req.params.id, hidden: { $ne: true } },
+            {
+                $push: { comments: { _id: commentId, user: req.user._id, text, isExpert } },
+                $inc: { commentCount: 1, expertAnswerCount: isExpert ? 1 : 0 }
+            },
+            { new: true, projection: { user: 1, type: 1, title: 1, commentCount: 1, comments: { $elemMatch: { _id: commentId } } } }
+        ).populate('comments.user', AUTHOR_FIELDS);
+        if (!post) return res.status(404).json({ message: 'Post not found' });
+
+        const [comment] = post.comments;
+        if (check.verdict === 'review') {
+            await holdForReview(post, comment, check.reasons);
+            comment.hidden = true;
+            comment.hiddenReason = 'filter';
+            post.commentCount -= 1;
+        } else {
+            await notify(post.user, 'post_comment', { actor: req.user, post, comment });
+        }
+
+        res.status(201).json({ comment, commentCount: post.commentCount });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Like or unlike a comment; the comment's author gains or loses reputation
+router.put('/:id/comments/:commentId/like', protect, validPostId, async (req, res) => {
+    const userId = req.user._id;
+    const { id, commentId } = req.params;
+    try {
+        let liked = false;
+        let post = await CommunityPost.findOneAndUpdate(
+            { _id: id, hidden: { $ne: true }, comments: { $elemMatch: { _id: commentId, hidden: { $ne: true }, likes: userId } } },
+            { $pull: { 'comments.$.likes': userId }, $inc: { 'comments.$.likeCount': -1 } },
+            { new: true, projection: { comments: { $elemMatch: { _id: commentId } } } }
+        );
+        if (!post) {
+            post = await CommunityPost.findOneAndUpdate(
+                { _id: id, hidden: { $ne: true }, comments: { $elemMatch: { _id: commentId, hidden: { $ne: true }, likes: { $ne: userId } } } },
+                { $push: { 'comments.$.likes': userId }, $inc: { 'comments.$.likeCount': 1 } },
+                { new: true, projection: { comments: { $elemMatch: { _id: commentId } } } }
+            );
+            liked = true;
+        }
+        if (!post) return res.status(404).json({ message: 'Comment not found' });
+
+        const comment = post.comments[0];
+        if (!comment.user.equals(userId)) {
+            await awardReputation(comment.user, liked ? REPUTATION_POINTS.answerLike : -REPUTATION_POINTS.answerLike);
+        }
+        if (liked) {
+            await notify(comment.user, 'comment_like', { actor: req.user, post, comment }, {
+                dedupeKey: `comment_like:${comment._id}:${userId}`
+            });
+        }
+
+        res.json({ likeCount: comment.likeCount, likedByMe: liked });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Mark a comment as the accepted answer to your question
+// body: { commentId }. Accepting another comment replaces the previous one.
+router.put('/:id/accept', protect, validPostId, async (req, res) => {
+    const { commentId } = req.body;
+    try {
+        const post = await CommunityPost.findById(req.params.id).select('user type title acceptedComment comments._id comments.user comments.hidden');
+        if (!post) return res.status(404).json({ message: 'Post not found' });
+        if (!post.user.equals(req.user._id)) {
+            return res.status(403).json({ message: 'Only the person who asked can accept an answer' });
+        }
+        if (post.type !== 'question') {
+            return res.status(400).json({ message: 'Only questions have accepted answers' });
+        }
+        if (!mongoose.isValidObjectId(commentId) || !post.comments.id(commentId) || post.comments.id(commentId).hidden) {
+            return res.status(404).json({ message: 'Comment not found' });
+        }
+        if (post.acceptedComment && post.acceptedComment.equals(commentId)) {
+            return res.json({ acceptedComment: post.acceptedComment });
+        }
+
+        // Only switch if nobody else changed it in the meantime
+        const result = await CommunityPost.updateOne(
+            { _id: post._id, acceptedComment: post.acceptedComment },
+            { acceptedComment: commentId, acceptedAt: new Date() }
+        );
+        if (!result.modifiedCount) {
+            return res.status(409).json({ message: 'The accepted answer was changed at the same time, please retry' });
+        }
+
+        await awardReputation(acceptedAnswerAuthor(post, post.acceptedComment), -REPUTATION_POINTS.acceptedAnswer);
+        await awardReputation(acceptedAnswerAuthor(post, commentId), REPUTATION_POINTS.acceptedAnswer);
+        const answerAuthor = acceptedAnswerAuthor(post, commentId);
+        if (answerAuthor) {
+            await notify(answerAuthor, 'answer_accepted', { actor: req.user, post, comment: post.comments.id(commentId) }, {
+                dedupeKey: `answer_accepted:${commentId}`
+            });
+        }
+
+        res.json({ acceptedComment: commentId });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Clear the accepted answer
+router.delete('/:id/accept', protect, validPostId, async (req, res) => {
+    try {
+        const post = await CommunityPost.findById(req.params.id).select('user acceptedComment comments._id comments.user');
+        if (!post) return res.status(404).json({ message: 'Post not found' });
+        if (!post.user.equals(req.user._id)) {
+            return res.status(403).json({ message: 'Only the person who asked can change the accepted answer' });
+        }
+        if (!post.acceptedComment) return res.json({ acceptedComment: null });
+
+        const result = await CommunityPost.updateOne(
+            { _id: post._id, acceptedComment: post.acceptedComment },
+            { acceptedComment: null, $unset: { acceptedAt: 1 } }
+        );
+        if (result.modifiedCount) {
+            await awardReputation(acceptedAnswerAuthor(post, post.acceptedComment), -REPUTATION_POINTS.acceptedAnswer);
+        }
+
+        res.json({ acceptedComment: null });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// The photo of the diagnosis linked to a post
+router.get('/:id/diagnosis-image', protect, validPostId, async (req, res) => {
+    try {
+        const post = await findVisiblePost(req).select('diagnosis');
+        const record = post && post.diagnosis && await DiagnosisRecord.findById(post.diagnosis).select('imageKey');
+        const blob = record && record.imageKey && await getBlobStorage().get(record.imageKey);
+        if (!blob) return res.status(404).json({ message: 'Image not found' });
+
+        res.set('Content-Type', blob.contentType);
+        res.set('Cache-Control', 'private, max-age=86400');
+        res.send(blob.buffer);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// Experts confirm or correct the AI prediction on a post's linked diagnosis.
+// body: { verdict: 'confirm' | 'correct', className?, disease?, note? }
+// The verdict is stored on the diagnosis as labelled feedback.
+router.post('/:id/diagnosis-feedback', protect, authorize('expert', 'admin'), validPostId, async (req, res) => {
+    try {
+        const post = await findVisiblePost(req).select('diagnosis');
+        if (!post) return res.status(404).json({ message: 'Post not found' });
+        if (!post.diagnosis) return res.status(400).json({ message: 'This post has no linked diagnosis' });
+
+        const record = await DiagnosisRecord.findById(post.diagnosis);
+        if (!record) return res.status(404).json({ message: 'Diagnosis not found' });
+
+        const { feedback, error } = buildExpertFeedback(record, req.user, req.body, post);
+        if (error) return res.status(400).json({ message: error });
+
+        const saved = await recordExpertFeedback(record, feedback);
+        if (!saved) return res.status(404).json({ message: 'Diagnosis not found' });
+        await notify(record.user, 'expert_feedback', { actor: req.user, post, diagnosis: record, feedback });
+        res.status(201).json({ feedback, expertReview: summarizeExpertFeedback(saved.expertFeedback) });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Edit your own comment
+router.put('/:id/comments/:commentId', protect, validPostId, canPost, async (req, res) => {
+    const { text } = req.body;
+    if (typeof text !== 'string' || !text.trim()) {
+        return res.status(400).json({ message: 'Comment text is required' });
+    }
+
+    try {
+        const post = await CommunityPost.findById(req.params.id);
+        const comment = post && post.comments.id(req.params.commentId);
+        if (!comment) return res.status(404).json({ message: 'Comment not found' });
+        if (!comment.user.equals(req.user._id)) {
+            return res.status(403).json({ message: 'You can only edit your own comments' });
+        }
+
+        const check = await screenContent(res, text);
+        if (!check) return;
+
+        await CommunityPost.updateOne(
+            { _id: post._id, 'comments._id': comment._id },
+            { 'comments.$.text': text, 'comments.$.editedAt': new Date() }
+        );
+        if (check.verdict === 'review') await holdForReview(post, comment, check.reasons);
+
+        res.json({ _id: comment._id, text, editedAt: new Date(), hidden: comment.hidden || check.verdict === 'review' });
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// Delete a comment (its author, or a moderator)
+router.delete('/:id/comments/:commentId', protect, validPostId, async (req, res) => {
+    try {
+        const post = await CommunityPost.findById(req.params.id);
+        const comment = post && post.comments.id(req.params.commentId);
+        if (!comment) return res.status(404).json({ message: 'Comment not found' });
+
+        const isAuthor = comment.user.equals(req.user._id);
+        if (!isAuthor && !isModerator(req.user)) {
+            return res.status(403).json({ message: 'You can only delete your own comments' });
+        }
+
+        await deleteComment(post, comment);
+        if (!isAuthor) {
+            await logModeration({
+                moderator: req.user._id,
+                action: 'delete',
+                targetType: 'comment',
+                post: post._id,
+                comment: comment._id,
+                targetUser: comment.user,
+                reason: req.body?.reason || '',
+                details: { text: comment.text.slice(0, 200) }
+            });
+        }
+
+        res.json({ message: 'Comment removed' });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
 export default router;
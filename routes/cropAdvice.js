@@ -1,10 +1,70 @@
 import express from "express";
-import multer from "multer";
 import llmService from "../services/llmService.js";
 import { predictDisease } from "../services/cnnService.js";
+import { CLASS_CATALOG } from "../data/diseaseCatalog.js";
+import { optionalAuth } from "../middleware/authMiddleware.js";
+import { uploadImage, uploadImages } from "../middleware/uploadMiddleware.js";
+import { shouldSaveDiagnosis, saveAnalysis } from "../services/diagnosisService.js";
+import { findUserField } from "../services/fieldService.js";
+import { triagePrediction, getRetakeHint, TRIAGE_BANDS } from "../services/triageService.js";
+import { aggregatePredictions } from "../services/predictionAggregator.js";
+import { estimateSeverity, combineSeverity, severityLevel } from "../services/severityService.js";
+import { runWithConcurrency } from "../services/taskQueue.js";
+import {
+  analyzeImage,
+  prepareUpload,
+  rankPredictions,
+  adviceForDiagnosis,
+  errorStatusFor
+} from "../services/analysisService.js";
 
 const router = express.Router();
-const upload = multer({ storage: multer.memoryStorage() });
+
+// Photos classified at once for /analyze/multi; the CNN service is a single process
+const MULTI_CONCURRENCY = 2;
+
+const BATCH_MAX_ITEMS = parseInt(process.env.ADVICE_BATCH_MAX_ITEMS, 10) || 50;
+
+// Strings and NaN don't count: comparisons would coerce them and let them through
+const isFraction = (value) => Number.isFinite(value) && value >= 0 && value <= 1;
+
+// Query string (or JSON) value to a number; a missing or null value stays
+// undefined and an empty one is invalid
+const queryNumber = (value) => {
+  if (value === undefined || value === null) return undefined;
+  return value === '' ? NaN : Number(value);
+};
+
+// Returns an error message for an invalid advice request, or null
+const validateAdviceRequest = ({ crop, disease, confidence, severityScore }) => {
+  if (!crop || !disease) {
+    return 'Missing required fields: crop and disease are required';
+  }
+
+  // Confidence should be between 0 and 1
+  if (confidence !== undefined && confidence !== null && !isFraction(confidence)) {
+    return 'Confidence must be a number between 0 and 1';
+  }
+
+  // null is what /analyze reports when severity couldn't be measured
+  if (severityScore !== undefined && severityScore !== null && !isFraction(severityScore)) {
+    return 'severityScore must be a number between 0 and 1';
+  }
+
+  return null;
+};
+
+// Fill in defaults for an advice request body; a severityScore (e.g. from a
+// previous /analyze) sets the severity band when none is given
+const toDiseaseData = ({ crop, disease, severity, severityScore, confidence, language, className }) => ({
+  crop,
+  disease,
+  className,
+  severity: severity || (typeof severityScore === 'number' ? severityLevel(severityScore) : 'unknown'),
+  severityScore: severityScore ?? undefined,
+  confidence: confidence || 0.0,
+  language: language || 'en'
+});
 
 /**
  * POST /api/crop-advice
@@ -13,96 +73,378 @@ const upload = multer({ storage: multer.memoryStorage() });
  */
 router.post('/crop-advice', async (req, res) => {
   try {
-    const { crop, disease, severity, confidence, language } = req.body;
+    const { crop, disease, language } = req.body;
 
     // Validate input
-    if (!crop || !disease) {
+    const validationError = validateAdviceRequest(req.body);
+    if (validationError) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: crop and disease are required'
+        error: validationError
       });
     }
 
-    // Validate confidence (should be between 0 and 1)
-    if (confidence !== undefined && (confidence < 0 || confidence > 1)) {
+    console.log(`📝 Request: Generating advice for ${crop} - ${disease} in ${language || 'en'}`);
+
+    // Generate advice with the configured LLM providers (offline fallback)
+    const advice = await llmService.generateCropAdvice(toDiseaseData(req.body));
+
+    res.json({
+      success: true,
+      data: advice
+    });
+
+  } catch (error) {
+    console.error('Error in /crop-advice endpoint:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to generate crop advice'
+    });
+  }
+});
+
+// Write one Server-Sent Event
+const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * GET|POST /api/crop-advice/stream
+ * Same input as /crop-advice (query string for GET/EventSource, JSON body
+ * for POST), streamed as Server-Sent Events:
+ *   event: section   { field, value, source }  one per advice section
+ *   event: metadata  { fieldSources, metadata } final event
+ *   event: error     { error }
+ * Closing the connection cancels the upstream LLM request.
+ */
+const streamCropAdvice = async (req, res) => {
+  const params = req.method === 'GET' ? req.query : req.body;
+  // Query string values arrive as strings
+  const input = {
+    ...params,
+    confidence: queryNumber(params.confidence),
+    severityScore: queryNumber(params.severityScore)
+  };
+
+  const validationError = validateAdviceRequest(input);
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      error: validationError
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      console.log('Client disconnected, cancelling advice stream');
+      controller.abort();
+    }
+  });
+
+  try {
+    console.log(`📝 Request: Streaming advice for ${input.crop} - ${input.disease} in ${input.language || 'en'}`);
+
+    const events = llmService.streamCropAdvice(toDiseaseData(input), { signal: controller.signal });
+    for await (const event of events) {
+      if (controller.signal.aborted) break;
+
+      if (event.type === 'section') {
+        sendEvent(res, 'section', { field: event.field, value: event.value, source: event.source });
+      } else if (event.type === 'done') {
+        sendEvent(res, 'metadata', { fieldSources: event.advice.fieldSources, metadata: event.advice.metadata });
+      }
+    }
+  } catch (error) {
+    console.error('Error in /crop-advice/stream endpoint:', error);
+    if (!controller.signal.aborted) {
+      sendEvent(res, 'error', { error: error.message || 'Failed to stream crop advice' });
+    }
+  }
+
+  res.end();
+};
+
+router.get('/crop-advice/stream', streamCropAdvice);
+router.post('/crop-advice/stream', streamCropAdvice);
+
+/**
+ * POST /api/crop-advice/batch
+ * Generate advice for several { crop, disease, ... } items at once.
+ * Each item gets its own success/error result; invalid items do not fail
+ * the batch.
+ */
+router.post('/crop-advice/batch', async (req, res) => {
+  try {
+    const { items } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
       return res.status(400).json({
         success: false,
-        error: 'Confidence must be between 0 and 1'
+        error: 'items must be a non-empty array'
       });
     }
 
-    console.log(`📝 Request: Generating advice for ${crop} - ${disease} in ${language || 'en'}`);
+    if (items.length > BATCH_MAX_ITEMS) {
+      return res.status(400).json({
+        success: false,
+        error: `A batch can contain at most ${BATCH_MAX_ITEMS} items`
+      });
+    }
+
+    const results = new Array(items.length);
+    const valid = [];
+
+    items.forEach((item, index) => {
+      const validationError = validateAdviceRequest(item || {});
+      if (validationError) {
+        results[index] = { index, success: false, error: validationError };
+      } else {
+        valid.push({ index, data: toDiseaseData(item) });
+      }
+    });
+
+    console.log(`📝 Request: Generating batch advice for ${valid.length} of ${items.length} items`);
 
-    // Generate advice using Gemini AI
-    const advice = await llmService.generateCropAdvice({
-      crop,
-      disease,
-      severity: severity || 'unknown',
-      confidence: confidence || 0.0,
-      language: language || 'en'
+    const generated = await llmService.generateBatchAdvice(valid.map(item => item.data));
+    generated.forEach((result, i) => {
+      results[valid[i].index] = { ...result, index: valid[i].index };
     });
 
+    const succeeded = results.filter(result => result.success).length;
+
     res.json({
       success: true,
-      data: advice
+      results,
+      summary: {
+        total: items.length,
+        succeeded,
+        failed: items.length - succeeded
+      }
     });
 
   } catch (error) {
-    console.error('Error in /crop-advice endpoint:', error);
+    console.error('Error in /crop-advice/batch endpoint:', error);
     res.status(500).json({
       success: false,
-      error: error.message || 'Failed to generate crop advice'
+      error: error.message || 'Failed to generate batch advice'
     });
   }
 });
 
+// Save to the caller's history when allowed; returns the record id or null.
+// An optional `field` form value tags the diagnosis to one of the user's fields.
+const saveForUser = async (req, analysis) => {
+  if (req.body.save === "false" || !(await shouldSaveDiagnosis(req.user))) {
+    return null;
+  }
+
+  try {
+    // A stale or foreign field id shouldn't cost the farmer their history entry
+    const field = await findUserField(req.user, req.body.field);
+    const record = await saveAnalysis({ user: req.user, ...analysis, field: field ? field._id : null });
+    return record._id;
+  } catch (error) {
+    // The farmer still gets their result even if history could not be saved
+    console.error("Failed to save diagnosis:", error.message);
+    return null;
+  }
+};
+
+const parseTopK = (value) => Math.min(Math.max(parseInt(value, 10) || 3, 1), 10);
+
 /**
  * POST /api/analyze
  * Analyze crop image using CNN and generate advice
  * Supports image file upload
+ * Advice is only generated when the prediction is confident; otherwise the
+ * ranked alternatives and a "retake photo" hint are returned instead.
+ * Signed-in users get every run saved to their diagnosis history unless they
+ * turned it off in settings or send save=false; send field=<id> to file the
+ * diagnosis under one of their fields.
+ * Photos that are blurry, too dark or overexposed are rejected with 422
+ * before reaching the CNN.
  */
-router.post("/analyze", upload.single("file"), async (req, res) => {
+router.post("/analyze", optionalAuth, uploadImage, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: "Image file required" });
     }
 
-    console.log("Sending image to CNN service...");
+    const language = req.body.language || "en";
+    const topK = parseTopK(req.body.topK);
 
-    // Call the CNN service
-    const prediction = await predictDisease(req.file.buffer, req.file.originalname);
+    const analysis = await analyzeImage(req.file, { topK, language });
 
     // ---------- IMPORTANT CHECK ----------
-    if (!prediction.success) {
-      return res.json({
+    if (!analysis.success) {
+      const { status, ...body } = analysis;
+      return res.status(status).json(body);
+    }
+    // -------------------------------------
+
+    const { top, alternatives, triage, severity, advice } = analysis;
+    const confident = triage.band === TRIAGE_BANDS.CONFIDENT;
+
+    const diagnosisId = await saveForUser(req, {
+      file: req.file,
+      result: top,
+      alternatives,
+      triage,
+      severity,
+      advice,
+      modelVersion: analysis.modelVersion
+    });
+
+    res.json({
+      success: true,
+      triage,
+      ...top,
+      alternatives,
+      severity,
+      ...(confident ? {} : { retakeHint: getRetakeHint(triage.band, language) }),
+      advice,
+      imageQuality: analysis.imageQuality,
+      diagnosisId
+    });
+
+  } catch (error) {
+    console.error("Prediction pipeline error:", error.message);
+    res.status(500).json({ error: "Prediction pipeline failed" });
+  }
+});
+
+/**
+ * POST /api/analyze/multi
+ * Analyze several photos of the same plant as one diagnosis
+ * Upload up to ANALYZE_MAX_IMAGES files under the "files" field. Every photo
+ * is preprocessed and classified; the class probabilities of the usable ones
+ * are averaged into a consensus, which is triaged and advised on once.
+ * The response includes a per-image breakdown (prediction or rejection reason).
+ */
+router.post("/analyze/multi", optionalAuth, uploadImages, async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: "At least one image file required" });
+    }
+
+    const language = req.body.language || "en";
+    const topK = parseTopK(req.body.topK);
+
+    const results = await runWithConcurrency(req.files, MULTI_CONCURRENCY, async (file) => {
+      const image = await prepareUpload(file);
+      if (!image.ok) {
+        return { ok: false, code: image.code, message: image.message };
+      }
+
+      // Ask for the full distribution so classes can be averaged across photos
+      const prediction = await predictDisease(file.buffer, file.originalname, { topK: CLASS_CATALOG.length });
+      if (!prediction.success) {
+        return { ok: false, code: prediction.code, message: prediction.error };
+      }
+
+      return { ok: true, file, prediction, imageQuality: image.quality };
+    });
+
+    const outcomes = results.map(result => result.status === "fulfilled"
+      ? result.value
+      : { ok: false, code: "ANALYSIS_FAILED", message: result.reason.message });
+
+    const usable = outcomes.filter(outcome => outcome.ok);
+
+    const images = [];
+    for (const [index, outcome] of outcomes.entries()) {
+      if (!outcome.ok) {
+        images.push({ index, filename: req.files[index].originalname, success: false, code: outcome.code, message: outcome.message });
+        continue;
+      }
+
+      const ranked = rankPredictions(outcome.prediction.top_k.slice(0, topK), language);
+      if (!ranked) {
+        return res.status(502).json({ error: "Model returned an unknown class" });
+      }
+      images.push({
+        index,
+        filename: req.files[index].originalname,
+        success: true,
+        prediction: ranked[0],
+        alternatives: ranked.slice(1),
+        imageQuality: outcome.imageQuality
+      });
+    }
+
+    if (usable.length === 0) {
+      // All photos failed for the same reason: report it like /analyze would
+      const codes = new Set(outcomes.map(outcome => outcome.code));
+      const [code] = codes;
+      const status = codes.size === 1 ? errorStatusFor(code) : 422;
+      return res.status(status).json({
         success: false,
-        message: prediction.error
+        code: codes.size === 1 ? code : "NO_USABLE_IMAGES",
+        message: "None of the photos could be analyzed",
+        images
       });
     }
-    // -------------------------------------
 
-    console.log("CNN Prediction:", prediction.class_index);
+    const consensus = aggregatePredictions(usable.map(outcome => outcome.prediction), { topK });
+    const ranked = rankPredictions(consensus.top_k, language);
+    if (!ranked) {
+      return res.status(502).json({ error: "Model returned an unknown class" });
+    }
+
+    const triage = triagePrediction(consensus.top_k);
+    const [top, ...others] = ranked;
 
-    // TODO: Map class_index to disease name properly.
-    // Currently hardcoded as placeholder based on remote commit.
-    const disease = "Leaf_Mold"; // map later properly
+    const confident = triage.band === TRIAGE_BANDS.CONFIDENT;
+    const severity = top.healthy
+      ? await estimateSeverity(null, { healthy: true })
+      : combineSeverity(await Promise.all(usable.map(outcome => estimateSeverity(outcome.file.buffer))));
 
-    const advice = await llmService.generateCropAdvice({
-      crop: "Tomato", // TODO: Detect crop type or accept as param
-      disease,
-      severity: "Moderate",
-      confidence: prediction.confidence
+    const advice = await adviceForDiagnosis(top, triage, severity, language);
+
+    // Keep the photo that most strongly shows the consensus class
+    const scoreFor = (outcome) => outcome.prediction.top_k
+      .find(item => item.class_index === top.classIndex)?.confidence || 0;
+    const representative = usable.reduce((best, outcome) => scoreFor(outcome) > scoreFor(best) ? outcome : best);
+
+    const diagnosisId = await saveForUser(req, {
+      file: representative.file,
+      result: top,
+      alternatives: others,
+      triage,
+      severity,
+      advice,
+      modelVersion: representative.prediction.model_version || "",
+      imageCount: usable.length
     });
 
     res.json({
       success: true,
-      disease,
-      confidence: prediction.confidence,
-      advice
+      triage,
+      ...top,
+      alternatives: others,
+      severity,
+      consensus: {
+        imagesSubmitted: req.files.length,
+        imagesUsed: consensus.imagesUsed,
+        agreement: consensus.agreement
+      },
+      images,
+      ...(confident ? {} : { retakeHint: getRetakeHint(triage.band, language) }),
+      advice,
+      diagnosisId
     });
 
   } catch (error) {
-    console.error("Prediction pipeline error:", error.message);
+    console.error("Multi-image pipeline error:", error.message);
     res.status(500).json({ error: "Prediction pipeline failed" });
   }
 });
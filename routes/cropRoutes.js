@@ -1,13 +1,30 @@
 import express from 'express';
 import CropPreference from '../models/CropPreference.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { CROP_TEMPLATES } from '../data/cropTemplates.js';
+import { SUPPORTED_LANGUAGES } from '../data/diseaseCatalog.js';
 
 const router = express.Router();
 
+// @desc    Crops that have a season calendar template
+// @route   GET /api/crops/templates?language=en
+// @access  Public
+router.get('/templates', (req, res) => {
+    const language = SUPPORTED_LANGUAGES.includes(req.query.language) ? req.query.language : 'en';
+    res.json(CROP_TEMPLATES.map(template => ({
+        key: template.key,
+        name: template.names[language],
+        durationDays: template.durationDays,
+        steps: template.steps.map(({ key, stage, day, type, title, repeat }) => ({ key, stage, day, type, title, repeat }))
+    })));
+});
+
 // @desc    Get user crops
-// @route   GET /api/crops/:userId
-router.get('/:userId', async (req, res) => {
+// @route   GET /api/crops
+// @access  Private
+router.get('/', protect, async (req, res) => {
     try {
-        const crops = await CropPreference.findOne({ user: req.params.userId });
+        const crops = await CropPreference.findOne({ user: req.user._id });
         res.json(crops ? crops.selectedCrops : []);
     } catch (error) {
         res.status(500).json({ message: error.message });
@@ -16,18 +33,19 @@ router.get('/:userId', async (req, res) => {
 
 // @desc    Update user crops
 // @route   POST /api/crops
-router.post('/', async (req, res) => {
-    const { userId, selectedCrops } = req.body;
+// @access  Private
+router.post('/', protect, async (req, res) => {
+    const { selectedCrops } = req.body;
 
     try {
-        let preference = await CropPreference.findOne({ user: userId });
+        let preference = await CropPreference.findOne({ user: req.user._id });
 
         if (preference) {
             preference.selectedCrops = selectedCrops;
             await preference.save();
         } else {
             preference = await CropPreference.create({
-                user: userId,
+                user: req.user._id,
                 selectedCrops
             });
         }
@@ -1,14 +1,151 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import DiagnosisRecord from '../models/DiagnosisRecord.js';
+import CalendarTask from '../models/CalendarTask.js';
+import CommunityPost from '../models/CommunityPost.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { uploadImage } from '../middleware/uploadMiddleware.js';
+import { getBlobStorage } from '../services/storage/blobStorage.js';
+import { analyzeImage } from '../services/analysisService.js';
+import { shouldSaveDiagnosis, saveAnalysis } from '../services/diagnosisService.js';
+import { createTreatmentPlan, compareDiagnoses } from '../services/treatmentPlanService.js';
+import { resolveFieldParam } from '../services/fieldService.js';
+import { buildOwnerCorrection } from '../services/trainingDataService.js';
 
 const router = express.Router();
 
-// @desc    Get user diagnosis history
-// @route   GET /api/diagnosis/:userId
-router.get('/:userId', async (req, res) => {
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Parse a query date; throws on garbage so the caller can answer 400
+const parseDate = (value, name) => {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid ${name} date`);
+    }
+    return date;
+};
+
+// Parse ?field into an ObjectId; throws on garbage so the caller can answer 400
+const parseFieldId = (value) => {
+    if (!mongoose.isValidObjectId(value)) {
+        throw new Error('Invalid field id');
+    }
+    return new mongoose.Types.ObjectId(String(value));
+};
+
+// Build a history filter from ?field, crop, disease, from, to, minConfidence, severity, outcome
+const historyFilter = (user, query) => {
+    const filter = { user: user._id };
+
+    if (query.field) filter.field = parseFieldId(query.field);
+
+    if (query.crop) {
+        filter.crop = new RegExp(`^${escapeRegex(query.crop)}$`, 'i');
+    }
+    if (query.disease) {
+        // Match either the display name or the PlantVillage label
+        const disease = new RegExp(escapeRegex(query.disease), 'i');
+        filter.$or = [{ predictedDisease: disease }, { className: disease }];
+    }
+    if (query.from || query.to) {
+        filter.timestamp = {};
+        if (query.from) filter.timestamp.$gte = parseDate(query.from, 'from');
+        if (query.to) filter.timestamp.$lte = parseDate(query.to, 'to');
+    }
+    if (query.minConfidence !== undefined) {
+        const minConfidence = parseFloat(query.minConfidence);
+        if (!(minConfidence >= 0 && minConfidence <= 1)) {
+            throw new Error('minConfidence must be between 0 and 1');
+        }
+        filter.confidenceScore = { $gte: minConfidence };
+    }
+    if (query.severity) filter.severity = String(query.severity);
+    if (query.outcome) filter.outcome = String(query.outcome);
+
+    return filter;
+};
+
+// @desc    Get user diagnosis history (paginated, filterable)
+// @route   GET /api/diagnosis?page&limit&field&crop&disease&from&to&minConfidence&severity&outcome
+// @access  Private
+router.get('/', protect, async (req, res) => {
+    let filter;
+    try {
+        filter = historyFilter(req.user, req.query);
+    } catch (error) {
+        return res.status(400).json({ message: error.message });
+    }
+
+    try {
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+        const [records, total] = await Promise.all([
+            DiagnosisRecord.find(filter)
+                .sort({ timestamp: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            DiagnosisRecord.countDocuments(filter)
+        ]);
+
+        res.json({ records, total, page, limit, pages: Math.ceil(total / limit) });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @desc    Counts of the user's diagnoses by disease, month and outcome
+// @route   GET /api/diagnosis/summary?field
+// @access  Private
+router.get('/summary', protect, async (req, res) => {
+    const match = { user: req.user._id };
+    try {
+        if (req.query.field) match.field = parseFieldId(req.query.field);
+    } catch (error) {
+        return res.status(400).json({ message: error.message });
+    }
+
     try {
-        const records = await DiagnosisRecord.find({ user: req.params.userId }).sort({ timestamp: -1 });
-        res.json(records);
+        const [result] = await DiagnosisRecord.aggregate([
+            { $match: match },
+            {
+                $facet: {
+                    total: [{ $count: 'count' }],
+                    byDisease: [
+                        {
+                            $group: {
+                                _id: { crop: '$crop', disease: '$predictedDisease' },
+                                count: { $sum: 1 },
+                                lastSeen: { $max: '$timestamp' }
+                            }
+                        },
+                        { $sort: { count: -1, lastSeen: -1 } },
+                        { $project: { _id: 0, crop: '$_id.crop', disease: '$_id.disease', count: 1, lastSeen: 1 } }
+                    ],
+                    byMonth: [
+                        {
+                            $group: {
+                                _id: { $dateToString: { format: '%Y-%m', date: '$timestamp' } },
+                                count: { $sum: 1 }
+                            }
+                        },
+                        { $sort: { _id: 1 } },
+                        { $project: { _id: 0, month: '$_id', count: 1 } }
+                    ],
+                    byOutcome: [
+                        { $group: { _id: '$outcome', count: { $sum: 1 } } },
+                        { $project: { _id: 0, outcome: { $ifNull: ['$_id', 'unknown'] }, count: 1 } }
+                    ]
+                }
+            }
+        ]);
+
+        res.json({
+            total: result.total.length ? result.total[0].count : 0,
+            byDisease: result.byDisease,
+            byMonth: result.byMonth,
+            byOutcome: result.byOutcome
+        });
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
@@ -16,12 +153,17 @@ router.get('/:userId', async (req, res) => {
 
 // @desc    Save diagnosis
 // @route   POST /api/diagnosis
-router.post('/', async (req, res) => {
-    const { userId, imageUrl, predictedDisease, confidenceScore, treatmentSuggested } = req.body;
+// @access  Private
+router.post('/', protect, async (req, res) => {
+    const { imageUrl, predictedDisease, confidenceScore, treatmentSuggested } = req.body;
 
     try {
+        const { field, error } = await resolveFieldParam(req.user, req.body.field);
+        if (error) return res.status(404).json({ message: error });
+
         const record = await DiagnosisRecord.create({
-            user: userId,
+            user: req.user._id,
+            field: field ? field._id : null,
             imageUrl,
             predictedDisease,
             confidenceScore,
@@ -33,4 +175,254 @@ router.post('/', async (req, res) => {
     }
 });
 
+// @desc    Get a single diagnosis
+// @route   GET /api/diagnosis/:id
+// @access  Private (owner only)
+router.get('/:id', protect, async (req, res) => {
+    try {
+        const record = await DiagnosisRecord.findOne({ _id: req.params.id, user: req.user._id });
+        if (!record) return res.status(404).json({ message: 'Diagnosis not found' });
+        res.json(record);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @desc    Add notes, record whether the treatment worked or move it to another field
+// @route   PUT /api/diagnosis/:id
+// @access  Private (owner only)
+router.put('/:id', protect, async (req, res) => {
+    const { notes, outcome } = req.body;
+
+    try {
+        const record = await DiagnosisRecord.findOne({ _id: req.params.id, user: req.user._id });
+        if (!record) return res.status(404).json({ message: 'Diagnosis not found' });
+
+        if (req.body.field !== undefined) {
+            const { field, error } = await resolveFieldParam(req.user, req.body.field);
+            if (error) return res.status(404).json({ message: error });
+            record.field = field ? field._id : null;
+        }
+
+        if (notes !== undefined) record.notes = notes;
+        if (outcome !== undefined && outcome !== record.outcome) {
+            record.outcome = outcome;
+            record.outcomeRecordedAt = new Date();
+        }
+
+        const fieldChanged = record.isModified('field');
+        const updatedRecord = await record.save();
+        if (fieldChanged) {
+            // Open treatment tasks follow the diagnosis to its plot
+            await CalendarTask.updateMany(
+                { user: req.user._id, diagnosis: record._id, completed: false },
+                { field: record.field }
+            );
+        }
+        res.json(updatedRecord);
+    } catch (error) {
+        res.status(400).json({ message: error.message });
+    }
+});
+
+// @desc    Tell us the prediction was wrong: the correct catalogue className,
+//          or notInList: true. Replaces any earlier correction.
+// @route   POST /api/diagnosis/:id/correction
+// @access  Private (owner only)
+router.post('/:id/correction', protect, async (req, res) => {
+    try {
+        const record = await DiagnosisRecord.findOne({ _id: req.params.id, user: req.user._id });
+        if (!record) return res.status(404).json({ message: 'Diagnosis not found' });
+
+        const { correction, error } = buildOwnerCorrection(req.body);
+        if (error) return res.status(400).json({ message: error });
+
+        record.ownerCorrection = correction;
+        await record.save();
+        res.status(201).json(record.ownerCorrection);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @desc    Withdraw a correction
+// @route   DELETE /api/diagnosis/:id/correction
+// @access  Private (owner only)
+router.delete('/:id/correction', protect, async (req, res) => {
+    try {
+        const record = await DiagnosisRecord.findOneAndUpdate(
+            { _id: req.params.id, user: req.user._id },
+            { ownerCorrection: null }
+        );
+        if (!record) return res.status(404).json({ message: 'Diagnosis not found' });
+        res.json({ message: 'Correction removed' });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @desc    Delete a diagnosis and its stored image
+// @route   DELETE /api/diagnosis/:id
+// @access  Private (owner only)
+router.delete('/:id', protect, async (req, res) => {
+    try {
+        const record = await DiagnosisRecord.findOne({ _id: req.params.id, user: req.user._id });
+        if (!record) return res.status(404).json({ message: 'Diagnosis not found' });
+
+        await record.deleteOne();
+        // Posts that showed this diagnosis keep their text and tags
+        await CommunityPost.updateMany({ diagnosis: record._id }, { diagnosis: null });
+        // Treatment tasks stay on the calendar, just no longer linked to it
+        await CalendarTask.updateMany({ user: req.user._id, diagnosis: record._id }, { diagnosis: null });
+        await CalendarTask.updateMany({ user: req.user._id, followUpDiagnosis: record._id }, { followUpDiagnosis: null });
+        if (record.imageKey) {
+            try {
+                await getBlobStorage().delete(record.imageKey);
+            } catch (error) {
+                // The record is gone either way; a stray file is only wasted space
+                console.error(`Failed to delete image ${record.imageKey}:`, error.message);
+            }
+        }
+
+        res.json({ message: 'Diagnosis removed' });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @desc    Turn a diagnosis and its advice into calendar tasks
+// @route   POST /api/diagnosis/:id/treatment-plan
+// @access  Private (owner only)
+router.post('/:id/treatment-plan', protect, async (req, res) => {
+    const { startDate, replace } = req.body;
+
+    try {
+        const record = await DiagnosisRecord.findOne({ _id: req.params.id, user: req.user._id });
+        if (!record) return res.status(404).json({ message: 'Diagnosis not found' });
+        if (!record.advice) {
+            return res.status(400).json({ message: 'This diagnosis has no treatment advice to plan from' });
+        }
+
+        const start = startDate ? new Date(startDate) : new Date();
+        if (Number.isNaN(start.getTime())) {
+            return res.status(400).json({ message: 'Invalid startDate' });
+        }
+
+        const plan = await createTreatmentPlan(req.user, record, { startDate: start, replace: replace === true });
+        if (!plan.created) {
+            return res.status(409).json({
+                message: 'A treatment plan already exists for this diagnosis; send replace: true to rebuild it',
+                tasks: plan.tasks
+            });
+        }
+
+        res.status(201).json(plan.tasks);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @desc    Get the calendar tasks created for a diagnosis
+// @route   GET /api/diagnosis/:id/treatment-plan
+// @access  Private (owner only)
+router.get('/:id/treatment-plan', protect, async (req, res) => {
+    try {
+        const tasks = await CalendarTask.find({ user: req.user._id, diagnosis: req.params.id }).sort({ date: 1 });
+        res.json(tasks);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @desc    Upload a new photo of the same plant and compare it with the diagnosis.
+//          Completes the given inspection task (taskId), or the next open one.
+// @route   POST /api/diagnosis/:id/follow-up
+// @access  Private (owner only)
+router.post('/:id/follow-up', protect, uploadImage, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ message: 'Image file required' });
+        }
+
+        const original = await DiagnosisRecord.findOne({ _id: req.params.id, user: req.user._id });
+        if (!original) return res.status(404).json({ message: 'Diagnosis not found' });
+
+        const analysis = await analyzeImage(req.file, { language: req.body.language || 'en' });
+        if (!analysis.success) {
+            const { status, ...body } = analysis;
+            return res.status(status).json(body);
+        }
+
+        const { top, alternatives, triage, severity, advice } = analysis;
+
+        let followUp = null;
+        if (await shouldSaveDiagnosis(req.user)) {
+            followUp = await saveAnalysis({
+                user: req.user,
+                file: req.file,
+                result: top,
+                alternatives,
+                triage,
+                severity,
+                advice,
+                modelVersion: analysis.modelVersion,
+                followUpOf: original._id,
+                field: original.field
+            });
+        }
+
+        const taskFilter = { user: req.user._id, diagnosis: original._id, completed: false };
+        const task = req.body.taskId
+            ? await CalendarTask.findOne({ ...taskFilter, _id: req.body.taskId })
+            : await CalendarTask.findOne({ ...taskFilter, type: 'inspection' }).sort({ date: 1 });
+        if (task) {
+            task.completed = true;
+            task.followUpDiagnosis = followUp ? followUp._id : null;
+            await task.save();
+        }
+
+        const comparison = compareDiagnoses(original, followUp || {
+            predictedDisease: top.disease,
+            className: top.className,
+            confidenceScore: top.confidence,
+            severity: severity.level,
+            severityScore: severity.score,
+            timestamp: new Date()
+        });
+
+        res.status(201).json({
+            comparison,
+            triage,
+            advice,
+            completedTaskId: task ? task._id : null,
+            diagnosisId: followUp ? followUp._id : null
+        });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @desc    Get the stored image for a diagnosis
+// @route   GET /api/diagnosis/:id/image
+// @access  Private (owner only)
+router.get('/:id/image', protect, async (req, res) => {
+    try {
+        const record = await DiagnosisRecord.findOne({ _id: req.params.id, user: req.user._id });
+        if (!record || !record.imageKey) {
+            return res.status(404).json({ message: 'Image not found' });
+        }
+
+        const blob = await getBlobStorage().get(record.imageKey);
+        if (!blob) {
+            return res.status(404).json({ message: 'Image not found' });
+        }
+
+        res.set('Content-Type', blob.contentType);
+        res.set('Cache-Control', 'private, max-age=86400');
+        res.send(blob.buffer);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
 export default router;
@@ -0,0 +1,144 @@
+import express from 'express';
+import Field from '../models/Field.js';
+import DiagnosisRecord from '../models/DiagnosisRecord.js';
+import CalendarTask from '../models/CalendarTask.js';
+import CropPreference from '../models/CropPreference.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { findUserField, validateFieldGeometry } from '../services/fieldService.js';
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['name', 'area', 'location', 'boundary', 'soilType', 'currentCrop', 'sowingDate'];
+
+// Duplicate names come back from the unique index, not from validation
+const saveError = (res, error) => {
+    if (error.code === 11000) {
+        return res.status(400).json({ message: 'You already have a field with that name' });
+    }
+    res.status(400).json({ message: error.message });
+};
+
+// @desc    Get user fields
+// @route   GET /api/fields
+// @access  Private
+router.get('/', protect, async (req, res) => {
+    try {
+        const fields = await Field.find({ user: req.user._id }).sort({ name: 1 });
+        res.json(fields);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @desc    Add a field
+// @route   POST /api/fields
+// @access  Private
+router.post('/', protect, async (req, res) => {
+    const invalid = validateFieldGeometry(req.body);
+    if (invalid) return res.status(400).json({ message: invalid });
+
+    try {
+        const values = Object.fromEntries(EDITABLE_FIELDS
+            .filter(key => req.body[key] !== undefined)
+            .map(key => [key, req.body[key]]));
+        const field = await Field.create({ ...values, user: req.user._id });
+        res.status(201).json(field);
+    } catch (error) {
+        saveError(res, error);
+    }
+});
+
+// @desc    Get a single field
+// @route   GET /api/fields/:id
+// @access  Private (owner only)
+router.get('/:id', protect, async (req, res) => {
+    try {
+        const field = await findUserField(req.user, req.params.id);
+        if (!field) return res.status(404).json({ message: 'Field not found' });
+        res.json(field);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @desc    Update a field
+// @route   PUT /api/fields/:id
+// @access  Private (owner only)
+router.put('/:id', protect, async (req, res) => {
+    const invalid = validateFieldGeometry(req.body);
+    if (invalid) return res.status(400).json({ message: invalid });
+
+    try {
+        const field = await findUserField(req.user, req.params.id);
+        if (!field) return res.status(404).json({ message: 'Field not found' });
+
+        for (const key of EDITABLE_FIELDS) {
+            // null clears the optional geometry
+            if (req.body[key] !== undefined) field[key] = req.body[key] === null ? undefined : req.body[key];
+        }
+        field.updatedAt = new Date();
+
+        const updatedField = await field.save();
+        res.json(updatedField);
+    } catch (error) {
+        saveError(res, error);
+    }
+});
+
+// @desc    Delete a field; its diagnoses and tasks are kept but no longer tagged to it
+// @route   DELETE /api/fields/:id
+// @access  Private (owner only)
+router.delete('/:id', protect, async (req, res) => {
+    try {
+        const field = await findUserField(req.user, req.params.id);
+        if (!field) return res.status(404).json({ message: 'Field not found' });
+
+        await Promise.all([
+            DiagnosisRecord.updateMany({ user: req.user._id, field: field._id }, { field: null }),
+            CalendarTask.updateMany({ user: req.user._id, field: field._id }, { field: null }),
+            CropPreference.updateOne({ user: req.user._id }, { $pull: { seasons: { field: field._id } } })
+        ]);
+        await field.deleteOne();
+
+        res.json({ message: 'Field removed' });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @desc    Diagnoses, tasks and seasons for one field
+// @route   GET /api/fields/:id/history?limit
+// @access  Private (owner only)
+router.get('/:id/history', protect, async (req, res) => {
+    try {
+        const field = await findUserField(req.user, req.params.id);
+        if (!field) return res.status(404).json({ message: 'Field not found' });
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+        const filter = { user: req.user._id, field: field._id };
+
+        const [diagnoses, diagnosisCount, tasks, preference] = await Promise.all([
+            DiagnosisRecord.find(filter).sort({ timestamp: -1 }).limit(limit),
+            DiagnosisRecord.countDocuments(filter),
+            CalendarTask.find(filter).sort({ date: 1 }),
+            CropPreference.findOne({ user: req.user._id })
+        ]);
+
+        const seasons = preference
+            ? preference.seasons.filter(season => season.field && season.field.equals(field._id))
+            : [];
+
+        res.json({
+            field,
+            seasons,
+            diagnoses,
+            diagnosisCount,
+            tasks,
+            openTasks: tasks.filter(task => !task.completed).length
+        });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+export default router;
@@ -0,0 +1,29 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { getCnnHealth } from '../services/cnnService.js';
+
+const router = express.Router();
+
+const DB_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+// @desc    Backend and dependency health
+// @route   GET /api/health
+// @access  Public
+router.get('/', (req, res) => {
+    const database = DB_STATES[mongoose.connection.readyState] || 'unknown';
+    const cnn = getCnnHealth();
+
+    // The API itself is up if it can answer; dependencies only degrade it
+    const healthy = database === 'connected' && cnn.status === 'up' && cnn.circuit.state === 'closed';
+
+    res.json({
+        status: healthy ? 'ok' : 'degraded',
+        uptimeSeconds: Math.round(process.uptime()),
+        services: {
+            database: { status: database },
+            cnn
+        }
+    });
+});
+
+export default router;
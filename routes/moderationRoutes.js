@@ -0,0 +1,237 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import CommunityPost from '../models/CommunityPost.js';
+import Report from '../models/Report.js';
+import ModerationLog, { MODERATION_ACTIONS } from '../models/ModerationLog.js';
+import User from '../models/User.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+import {
+    setPostHidden,
+    setCommentHidden,
+    resolveReports,
+    banUser,
+    unbanUser
+} from '../services/moderationService.js';
+
+const router = express.Router();
+
+const parsePaging = (query) => ({
+    page: Math.max(parseInt(query.page, 10) || 1, 1),
+    limit: Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100)
+});
+
+const validIds = (req, res, next) => {
+    for (const name of ['id', 'commentId']) {
+        if (req.params[name] !== undefined && !mongoose.isValidObjectId(req.params[name])) {
+            return res.status(404).json({ message: 'Not found' });
+        }
+    }
+    next();
+};
+
+// Load the post (and comment) named in the URL, or answer 404
+const loadTarget = async (req, res) => {
+    const post = await CommunityPost.findById(req.params.id);
+    if (!post) {
+        res.status(404).json({ message: 'Post not found' });
+        return null;
+    }
+    if (req.params.commentId === undefined) return { post, comment: null };
+
+    const comment = post.comments.id(req.params.commentId);
+    if (!comment) {
+        res.status(404).json({ message: 'Comment not found' });
+        return null;
+    }
+    return { post, comment };
+};
+
+// Hide, or restore and dismiss the reports, for a post or comment
+const moderate = (hidden) => async (req, res) => {
+    try {
+        const target = await loadTarget(req, res);
+        if (!target) return;
+        const { post, comment } = target;
+        const options = { moderator: req.user, reason: req.body?.reason || '', hiddenReason: 'moderator' };
+
+        const changed = comment
+            ? await setCommentHidden(post, comment, hidden, options)
+            : await setPostHidden(post, hidden, options);
+        const resolved = await resolveReports(
+            { post: post._id, comment: comment ? comment._id : null },
+            hidden ? 'actioned' : 'dismissed',
+            req.user
+        );
+
+        res.json({ hidden, changed, reportsResolved: resolved });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Review queue: reported or filter-held posts and comments, most reported first
+// @route   GET /api/moderation/queue?page&limit
+// @access  Private (moderator, admin)
+router.get('/queue', protect, authorize('moderator', 'admin'), async (req, res) => {
+    const { page, limit } = parsePaging(req.query);
+
+    try {
+        const [result] = await Report.aggregate([
+            { $match: { status: 'open' } },
+            {
+                $group: {
+                    _id: { post: '$post', comment: '$comment' },
+                    reportCount: { $sum: 1 },
+                    reasons: { $addToSet: '$reason' },
+                    details: { $push: '$details' },
+                    firstReportedAt: { $min: '$createdAt' },
+                    lastReportedAt: { $max: '$createdAt' }
+                }
+            },
+            { $sort: { reportCount: -1, firstReportedAt: 1 } },
+            {
+                $facet: {
+                    total: [{ $count: 'count' }],
+                    items: [{ $skip: (page - 1) * limit }, { $limit: limit }]
+                }
+            }
+        ]);
+
+        const posts = await CommunityPost.find({ _id: { $in: result.items.map(item => item._id.post) } })
+            .select('user type title content hidden hiddenReason reportCount comments createdAt')
+            .populate('user', 'name role postingBannedUntil')
+            .populate('comments.user', 'name role postingBannedUntil')
+            .lean();
+        const postsById = new Map(posts.map(post => [String(post._id), post]));
+
+        const items = result.items.map(({ _id, details, ...item }) => {
+            const post = postsById.get(String(_id.post));
+            const comment = post && _id.comment
+                ? post.comments.find(entry => String(entry._id) === String(_id.comment))
+                : null;
+            const content = _id.comment ? comment : post;
+            return {
+                targetType: _id.comment ? 'comment' : 'post',
+                post: _id.post,
+                comment: _id.comment,
+                ...item,
+                details: details.filter(Boolean).slice(0, 5),
+                // Gone when the author deleted it after it was reported
+                content: content
+                    ? {
+                        title: _id.comment ? undefined : content.title,
+                        text: _id.comment ? content.text : content.content,
+                        author: content.user,
+                        hidden: Boolean(content.hidden),
+                        hiddenReason: content.hiddenReason || '',
+                        createdAt: content.createdAt
+                    }
+                    : null
+            };
+        });
+
+        const total = result.total.length ? result.total[0].count : 0;
+        res.json({ items, total, page, limit, pages: Math.ceil(total / limit) });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @desc    Hide a post
+// @route   POST /api/moderation/posts/:id/hide
+// @access  Private (moderator, admin)
+router.post('/posts/:id/hide', protect, authorize('moderator', 'admin'), validIds, moderate(true));
+
+// @desc    Restore a post and dismiss its reports
+// @route   POST /api/moderation/posts/:id/restore
+// @access  Private (moderator, admin)
+router.post('/posts/:id/restore', protect, authorize('moderator', 'admin'), validIds, moderate(false));
+
+// @desc    Hide a comment
+// @route   POST /api/moderation/posts/:id/comments/:commentId/hide
+// @access  Private (moderator, admin)
+router.post('/posts/:id/comments/:commentId/hide', protect, authorize('moderator', 'admin'), validIds, moderate(true));
+
+// @desc    Restore a comment and dismiss its reports
+// @route   POST /api/moderation/posts/:id/comments/:commentId/restore
+// @access  Private (moderator, admin)
+router.post('/posts/:id/comments/:commentId/restore', protect, authorize('moderator', 'admin'), validIds, moderate(false));
+
+// @desc    Ban a user from posting and commenting (omit days for an indefinite ban)
+// @route   POST /api/moderation/users/:id/ban
+// @access  Private (moderator, admin)
+router.post('/users/:id/ban', protect, authorize('moderator', 'admin'), validIds, async (req, res) => {
+    const { days, reason } = req.body;
+    if (days !== undefined && days !== null && !(Number.isInteger(days) && days >= 1 && days <= 3650)) {
+        return res.status(400).json({ message: 'days must be a whole number between 1 and 3650' });
+    }
+
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) return res.status(404).json({ message: 'User not found' });
+        if (['moderator', 'admin'].includes(user.role)) {
+            return res.status(400).json({ message: 'Moderators and admins cannot be banned' });
+        }
+
+        const bannedUntil = await banUser(user, req.user, { days, reason: reason ? String(reason) : '' });
+        res.json({ message: 'User banned from posting', bannedUntil });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @desc    Lift a posting ban
+// @route   DELETE /api/moderation/users/:id/ban
+// @access  Private (moderator, admin)
+router.delete('/users/:id/ban', protect, authorize('moderator', 'admin'), validIds, async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) return res.status(404).json({ message: 'User not found' });
+
+        await unbanUser(user, req.user, req.body?.reason || '');
+        res.json({ message: 'Ban lifted' });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @desc    Audit log of moderation decisions, newest first
+// @route   GET /api/moderation/log?page&limit&action&moderator&user
+// @access  Private (moderator, admin)
+router.get('/log', protect, authorize('moderator', 'admin'), async (req, res) => {
+    const { page, limit } = parsePaging(req.query);
+    const filter = {};
+
+    if (req.query.action) {
+        if (!MODERATION_ACTIONS.includes(req.query.action)) {
+            return res.status(400).json({ message: `action must be one of: ${MODERATION_ACTIONS.join(', ')}` });
+        }
+        filter.action = req.query.action;
+    }
+    for (const [param, path] of [['moderator', 'moderator'], ['user', 'targetUser']]) {
+        if (req.query[param]) {
+            if (!mongoose.isValidObjectId(req.query[param])) {
+                return res.status(400).json({ message: `Invalid ${param} id` });
+            }
+            filter[path] = req.query[param];
+        }
+    }
+
+    try {
+        const [entries, total] = await Promise.all([
+            ModerationLog.find(filter)
+                .populate('moderator', 'name role')
+                .populate('targetUser', 'name role')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            ModerationLog.countDocuments(filter)
+        ]);
+
+        res.json({ entries, total, page, limit, pages: Math.ceil(total / limit) });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+export default router;
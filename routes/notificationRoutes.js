@@ -0,0 +1,91 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Notification from '../models/Notification.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { countUnread } from '../services/notificationService.js';
+
+const router = express.Router();
+
+// Only what went to the in-app channel shows up in the inbox
+const inbox = (user) => ({ user: user._id, channels: 'in_app' });
+
+const validId = (req, res, next) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ message: 'Notification not found' });
+    }
+    next();
+};
+
+// @desc    List your notifications, newest first
+// @route   GET /api/notifications?page&limit&unread=true
+// @access  Private
+router.get('/', protect, async (req, res) => {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const filter = inbox(req.user);
+    if (req.query.unread === 'true') filter.read = false;
+
+    try {
+        const [notifications, total, unreadCount] = await Promise.all([
+            Notification.find(filter)
+                .select('-deliveries -dedupeKey -channels')
+                .populate('actor', 'name profileImage role')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Notification.countDocuments(filter),
+            countUnread(req.user._id)
+        ]);
+
+        res.json({ notifications, total, unreadCount, page, limit, pages: Math.ceil(total / limit) });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @desc    Number of unread notifications (for the badge)
+// @route   GET /api/notifications/unread-count
+// @access  Private
+router.get('/unread-count', protect, async (req, res) => {
+    try {
+        res.json({ unreadCount: await countUnread(req.user._id) });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @desc    Mark every notification read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+router.put('/read-all', protect, async (req, res) => {
+    try {
+        const result = await Notification.updateMany(
+            { ...inbox(req.user), read: false },
+            { read: true, readAt: new Date() }
+        );
+        res.json({ updated: result.modifiedCount, unreadCount: 0 });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+// @desc    Mark a notification read
+// @route   PUT /api/notifications/:id/read
+// @access  Private (recipient only)
+router.put('/:id/read', protect, validId, async (req, res) => {
+    try {
+        const notification = await Notification.findOne({ _id: req.params.id, ...inbox(req.user) });
+        if (!notification) return res.status(404).json({ message: 'Notification not found' });
+
+        if (!notification.read) {
+            notification.read = true;
+            notification.readAt = new Date();
+            await notification.save();
+        }
+        res.json({ read: true, unreadCount: await countUnread(req.user._id) });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+});
+
+export default router;
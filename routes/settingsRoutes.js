@@ -1,43 +1,65 @@
 import express from 'express';
 import AppSettings from '../models/AppSettings.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { DEFAULT_NOTIFICATION_PREFERENCES, validateNotificationPreferences } from '../services/notificationService.js';
 
 const router = express.Router();
 
 // @desc    Get user settings
-// @route   GET /api/settings/:userId
-router.get('/:userId', async (req, res) => {
+// @route   GET /api/settings
+// @access  Private
+router.get('/', protect, async (req, res) => {
     try {
-        const settings = await AppSettings.findOne({ user: req.params.userId });
+        const settings = await AppSettings.findOne({ user: req.user._id });
         if (settings) {
             res.json(settings);
         } else {
             // Return defaults if not found
-            res.json({ language: 'en', audioEnabled: true, guestMode: false });
+            res.json({
+                language: 'en',
+                audioEnabled: true,
+                guestMode: false,
+                saveDiagnosisHistory: true,
+                notifications: DEFAULT_NOTIFICATION_PREFERENCES
+            });
         }
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
 });
 
-// @desc    Update user settings
+// @desc    Update user settings. `notifications` is merged: send only the keys to change
+//          ({ tasks, replies, likes } channel lists, reminderLeadHours, pushToken)
 // @route   POST /api/settings
-router.post('/', async (req, res) => {
-    const { userId, language, audioEnabled, guestMode } = req.body;
+// @access  Private
+router.post('/', protect, async (req, res) => {
+    const { language, audioEnabled, guestMode, saveDiagnosisHistory, notifications } = req.body;
+
+    if (notifications !== undefined) {
+        const invalid = validateNotificationPreferences(notifications);
+        if (invalid) return res.status(400).json({ message: invalid });
+    }
 
     try {
-        let settings = await AppSettings.findOne({ user: userId });
+        let settings = await AppSettings.findOne({ user: req.user._id });
 
         if (settings) {
             if (language !== undefined) settings.language = language;
             if (audioEnabled !== undefined) settings.audioEnabled = audioEnabled;
             if (guestMode !== undefined) settings.guestMode = guestMode;
+            if (saveDiagnosisHistory !== undefined) settings.saveDiagnosisHistory = saveDiagnosisHistory;
+            if (notifications !== undefined) {
+                for (const [key, value] of Object.entries(notifications)) settings.notifications[key] = value;
+            }
             await settings.save();
         } else {
             settings = await AppSettings.create({
-                user: userId,
+                user: req.user._id,
                 language,
                 audioEnabled,
-                guestMode
+                guestMode,
+                saveDiagnosisHistory,
+                notifications
             });
         }
         res.json(settings);
@@ -1,38 +1,28 @@
 import express from 'express';
 import User from '../models/User.js';
+import { protect } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
-// @desc    Get user profile
-// @route   GET /api/user/:id
-router.get('/:id', async (req, res) => {
-    try {
-        const user = await User.findById(req.params.id);
-        if (user) {
-            res.json(user);
-        } else {
-            res.status(404).json({ message: 'User not found' });
-        }
-    } catch (error) {
-        res.status(500).json({ message: error.message });
-    }
+// @desc    Get current user's profile
+// @route   GET /api/user
+// @access  Private
+router.get('/', protect, async (req, res) => {
+    res.json(req.user);
 });
 
-// @desc    Update user profile
-// @route   PUT /api/user/:id
-router.put('/:id', async (req, res) => {
+// @desc    Update current user's profile
+// @route   PUT /api/user
+// @access  Private
+router.put('/', protect, async (req, res) => {
     try {
-        const user = await User.findById(req.params.id);
+        const user = req.user;
 
-        if (user) {
-            user.name = req.body.name || user.name;
-            user.profileImage = req.body.profileImage || user.profileImage;
+        user.name = req.body.name || user.name;
+        user.profileImage = req.body.profileImage || user.profileImage;
 
-            const updatedUser = await user.save();
-            res.json(updatedUser);
-        } else {
-            res.status(404).json({ message: 'User not found' });
-        }
+        const updatedUser = await user.save();
+        res.json(updatedUser);
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
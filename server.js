@@ -2,6 +2,9 @@ import express from 'express';
 import mongoose from 'mongoose';
 import cors from 'cors';
 import dotenv from 'dotenv';
+import { verifyClassCatalog, startCnnHealthProbe } from './services/cnnService.js';
+import { backfillPostCounters } from './services/communityFeedService.js';
+import { startReminderScheduler } from './services/reminderScheduler.js';
 
 dotenv.config(); // load .env
 
@@ -39,7 +42,13 @@ app.use(express.json());
 // Database Connection
 const mongoURI = process.env.MONGO_URL;
 mongoose.connect(mongoURI)
-  .then(() => console.log('✓ Connected to MongoDB'))
+  .then(async () => {
+    console.log('✓ Connected to MongoDB');
+    // Posts from before the feed counters existed
+    const backfilled = await backfillPostCounters();
+    if (backfilled) console.log(`✓ Backfilled like/comment counts on ${backfilled} community posts`);
+    startReminderScheduler();
+  })
   .catch(err => console.error('❌ MongoDB connection error:', err));
 
 // Routes (using dynamic import for ES modules)
@@ -58,7 +67,12 @@ import settingsRoutes from './routes/settingsRoutes.js';
 import consentRoutes from './routes/consentRoutes.js';
 import diagnosisRoutes from './routes/diagnosisRoutes.js';
 import communityRoutes from './routes/communityRoutes.js';
+import moderationRoutes from './routes/moderationRoutes.js';
 import calendarRoutes from './routes/calendarRoutes.js';
+import fieldRoutes from './routes/fieldRoutes.js';
+import notificationRoutes from './routes/notificationRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
+import healthRoutes from './routes/healthRoutes.js';
 
 // Mount routes
 app.use('/api/auth', authRoutes);
@@ -68,7 +82,12 @@ app.use('/api/settings', settingsRoutes);
 app.use('/api/consent', consentRoutes);
 app.use('/api/diagnosis', diagnosisRoutes);
 app.use('/api/community', communityRoutes);
+app.use('/api/moderation', moderationRoutes);
 app.use('/api/calendar', calendarRoutes);
+app.use('/api/fields', fieldRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/health', healthRoutes);
 
 app.listen(PORT, () => {
   const serverUrl = process.env.NODE_ENV === 'production'
@@ -79,5 +98,8 @@ app.listen(PORT, () => {
   console.log(`✓ API endpoints available at:`);
   console.log(`  - POST ${serverUrl}/api/crop-advice`);
   console.log(`  - POST ${serverUrl}/api/auth/login`);
-  console.log(`  - GET  ${serverUrl}/api/test\n`);
+  console.log(`  - GET  ${serverUrl}/api/health\n`);
+
+  verifyClassCatalog();
+  startCnnHealthProbe();
 });
@@ -0,0 +1,194 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import AdviceCache from "../models/AdviceCache.js";
+import { findClass, getClassByName } from "../data/diseaseCatalog.js";
+
+dotenv.config();
+
+const TTL_SECONDS = parseInt(process.env.ADVICE_CACHE_TTL_SECONDS, 10) || 7 * 24 * 60 * 60;
+const MEMORY_SIZE = parseInt(process.env.ADVICE_CACHE_MEMORY_SIZE, 10) || 200;
+
+// The prompt only changes meaningfully around these confidence levels
+// (below 60% the model is asked to add a caution)
+const CONFIDENCE_BUCKETS = [
+    { name: 'low', below: 0.6 },
+    { name: 'medium', below: 0.85 },
+    { name: 'high', below: Infinity }
+];
+
+// Skip the Mongo tier rather than wait on mongoose's command buffering
+const mongoReady = () => mongoose.connection.readyState === 1;
+
+const normalize = (value) => String(value || 'unknown').trim().toLowerCase().replace(/\s+/g, '_');
+
+/**
+ * Bucket a 0-1 confidence score
+ * @param {number} confidence
+ * @returns {string} - 'low' | 'medium' | 'high'
+ */
+export const confidenceBucket = (confidence) => {
+    const value = Number(confidence) || 0;
+    return CONFIDENCE_BUCKETS.find(bucket => value < bucket.below).name;
+};
+
+/**
+ * Minimal LRU on top of Map's insertion order
+ */
+class LRUCache {
+    constructor(maxSize) {
+        this.maxSize = maxSize;
+        this.entries = new Map();
+    }
+
+    get(key) {
+        if (!this.entries.has(key)) return undefined;
+        const value = this.entries.get(key);
+        this.entries.delete(key);
+        this.entries.set(key, value);
+        return value;
+    }
+
+    set(key, value) {
+        this.entries.delete(key);
+        this.entries.set(key, value);
+        if (this.entries.size > this.maxSize) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    delete(key) {
+        this.entries.delete(key);
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
+
+class AdviceCacheService {
+    constructor() {
+        this.memory = new LRUCache(MEMORY_SIZE);
+    }
+
+    /**
+     * Describe a request as cache key parts. Crop and disease are resolved
+     * through the catalogue so "Tomato/Leaf mold" and "Tomato/Leaf_Mold" share
+     * an entry.
+     * @param {Object} diseaseData - { crop, disease, severity, confidence, language, className? }
+     * @returns {Object} - { key, crop, disease, severity, language, confidenceBucket }
+     */
+    describe({ crop, disease, severity, confidence, language, className }) {
+        const entry = (className && getClassByName(className)) || findClass(crop, disease);
+        const parts = {
+            crop: entry ? entry.cropKey : normalize(crop),
+            disease: entry ? entry.diseaseKey : normalize(disease),
+            severity: normalize(severity),
+            language: language || 'en',
+            confidenceBucket: confidenceBucket(confidence)
+        };
+
+        return {
+            key: [parts.crop, parts.disease, parts.severity, parts.language, parts.confidenceBucket].join('|'),
+            ...parts
+        };
+    }
+
+    /**
+     * Look up cached advice, memory first, then Mongo
+     * @param {string} key
+     * @returns {Promise<Object|null>} - { advice, createdAt }
+     */
+    async get(key) {
+        const hot = this.memory.get(key);
+        if (hot) {
+            if (hot.expiresAt > Date.now()) return hot;
+            this.memory.delete(key);
+        }
+
+        if (!mongoReady()) return null;
+
+        const stored = await AdviceCache.findOneAndUpdate(
+            { key, expiresAt: { $gt: new Date() } },
+            { $inc: { hits: 1 } }
+        ).lean();
+        if (!stored) return null;
+
+        const entry = {
+            advice: stored.advice,
+            createdAt: stored.createdAt.getTime(),
+            expiresAt: stored.expiresAt.getTime()
+        };
+        this.memory.set(key, entry);
+        return entry;
+    }
+
+    /**
+     * Store advice under a described key
+     * @param {Object} description - Output of `describe`
+     * @param {Object} advice
+     */
+    async set(description, advice) {
+        const now = Date.now();
+        const entry = { advice: structuredClone(advice), createdAt: now, expiresAt: now + TTL_SECONDS * 1000 };
+        const { key, ...parts } = description;
+
+        this.memory.set(key, entry);
+        if (!mongoReady()) return;
+
+        await AdviceCache.findOneAndUpdate(
+            { key },
+            {
+                ...parts,
+                advice,
+                hits: 0,
+                createdAt: new Date(entry.createdAt),
+                expiresAt: new Date(entry.expiresAt)
+            },
+            { upsert: true }
+        );
+    }
+
+    /**
+     * List stored entries for inspection
+     * @param {Object} filter - Mongo filter on crop/disease/language/...
+     * @param {Object} options - { page, limit }
+     * @returns {Promise<Object>} - { entries, total, page, limit }
+     */
+    async list(filter, { page = 1, limit = 50 } = {}) {
+        const [entries, total] = await Promise.all([
+            AdviceCache.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            AdviceCache.countDocuments(filter)
+        ]);
+        return { entries, total, page, limit };
+    }
+
+    /**
+     * Remove entries matching a filter (everything when the filter is empty)
+     * @param {Object} filter
+     * @returns {Promise<number>} - Number of stored entries removed
+     */
+    async purge(filter = {}) {
+        const result = await AdviceCache.deleteMany(filter);
+        // Hot entries are cheap to rebuild; drop them all rather than match the filter
+        this.memory.clear();
+        return result.deletedCount;
+    }
+
+    /**
+     * Remove a single entry
+     * @param {string} key
+     * @returns {Promise<boolean>} - Whether a stored entry existed
+     */
+    async remove(key) {
+        this.memory.delete(key);
+        const result = await AdviceCache.deleteOne({ key });
+        return result.deletedCount > 0;
+    }
+}
+
+// Export singleton instance
+export default new AdviceCacheService();
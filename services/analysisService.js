@@ -0,0 +1,158 @@
+import llmService from './llmService.js';
+import { predictDisease, CNN_ERROR_CODES } from './cnnService.js';
+import { getClassByIndex, localizeClass } from '../data/diseaseCatalog.js';
+import { triagePrediction, TRIAGE_BANDS } from './triageService.js';
+import { estimateSeverity } from './severityService.js';
+import { preprocessImage, IMAGE_ERROR_CODES } from './imagePreprocessor.js';
+
+/**
+ * The photo -> diagnosis pipeline shared by /api/analyze, /api/analyze/multi
+ * and diagnosis follow-ups: preprocess, classify, resolve through the
+ * catalogue, triage, estimate severity and (when confident) fetch advice.
+ */
+
+// HTTP status for each failure code; image quality problems default to 422
+const ERROR_STATUS = {
+    [CNN_ERROR_CODES.UNAVAILABLE]: 503,
+    [CNN_ERROR_CODES.BAD_IMAGE]: 400,
+    [CNN_ERROR_CODES.NOT_A_LEAF]: 422,
+    [IMAGE_ERROR_CODES.FILE_TOO_LARGE]: 413,
+    [IMAGE_ERROR_CODES.UNSUPPORTED_TYPE]: 415,
+    [IMAGE_ERROR_CODES.BAD_IMAGE]: 400,
+    UNKNOWN_CLASS: 502
+};
+
+/**
+ * HTTP status to answer a failed analysis with
+ * @param {string} code - CNN or image error code
+ * @returns {number}
+ */
+export const errorStatusFor = (code) => ERROR_STATUS[code] || 422;
+
+/**
+ * Catalogue entry + probability in the shape returned to the app
+ */
+export const describePrediction = (entry, confidence, language) => ({
+    classIndex: entry.index,
+    className: entry.className,
+    crop: entry.names.crop.en,
+    disease: entry.names.disease.en,
+    healthy: entry.healthy,
+    localized: localizeClass(entry, language),
+    confidence
+});
+
+/**
+ * Resolve a CNN top-k list through the catalogue
+ * @param {Array} topK - [{ class_index, confidence }]
+ * @param {string} language
+ * @returns {Array|null} - Described predictions, or null if a class is unknown
+ */
+export const rankPredictions = (topK, language) => {
+    const entries = topK.map(item => getClassByIndex(item.class_index));
+
+    if (entries.some(entry => !entry)) {
+        console.error(`Unknown class index from CNN: ${topK.map(item => item.class_index).join(', ')}`);
+        return null;
+    }
+
+    return entries.map((entry, i) => describePrediction(entry, topK[i].confidence, language));
+};
+
+/**
+ * Advice for a diagnosis. Healthy leaves need no treatment plan, and
+ * low-confidence guesses should not get one either, so the LLM is only
+ * called when it matters.
+ * @returns {Promise<Object|null>}
+ */
+export const adviceForDiagnosis = async (top, triage, severity, language) => {
+    if (triage.band !== TRIAGE_BANDS.CONFIDENT || top.healthy) {
+        return null;
+    }
+
+    return llmService.generateCropAdvice({
+        crop: top.crop,
+        disease: top.disease,
+        className: top.className,
+        severity: severity.level,
+        severityScore: severity.score,
+        confidence: top.confidence,
+        language
+    });
+};
+
+/**
+ * Preprocess an uploaded file in place: on success its buffer/mimetype are
+ * replaced by the normalised JPEG, which is what gets classified and stored
+ * @param {Object} file - multer file
+ * @returns {Promise<Object>} - preprocessImage result
+ */
+export const prepareUpload = async (file) => {
+    const image = await preprocessImage(file.buffer);
+    if (!image.ok) return image;
+
+    file.buffer = image.buffer;
+    file.mimetype = image.mimetype;
+    file.size = image.buffer.length;
+    return image;
+};
+
+/**
+ * Run one photo through the whole pipeline
+ * @param {Object} file - multer file (modified in place, see prepareUpload)
+ * @param {Object} options - { topK, language }
+ * @returns {Promise<Object>} - { success: true, top, alternatives, triage, severity, advice, imageQuality, modelVersion }
+ *   or { success: false, status, code, message, imageQuality? }
+ */
+export const analyzeImage = async (file, { topK = 3, language = 'en' } = {}) => {
+    const image = await prepareUpload(file);
+    if (!image.ok) {
+        return {
+            success: false,
+            status: errorStatusFor(image.code),
+            code: image.code,
+            message: image.message,
+            ...(image.quality ? { imageQuality: image.quality } : {})
+        };
+    }
+
+    console.log('Sending image to CNN service...');
+
+    const prediction = await predictDisease(file.buffer, file.originalname, { topK });
+    if (!prediction.success) {
+        return {
+            success: false,
+            status: errorStatusFor(prediction.code),
+            code: prediction.code,
+            message: prediction.error
+        };
+    }
+
+    console.log('CNN Prediction:', prediction.class_index);
+
+    const ranked = rankPredictions(prediction.top_k, language);
+    if (!ranked) {
+        return {
+            success: false,
+            status: errorStatusFor('UNKNOWN_CLASS'),
+            code: 'UNKNOWN_CLASS',
+            message: 'Model returned an unknown class'
+        };
+    }
+
+    const triage = triagePrediction(prediction.top_k);
+    const [top, ...alternatives] = ranked;
+    const severity = await estimateSeverity(file.buffer, { healthy: top.healthy });
+    const advice = await adviceForDiagnosis(top, triage, severity, language);
+
+    return {
+        success: true,
+        top,
+        alternatives,
+        triage,
+        severity,
+        advice,
+        imageQuality: image.quality,
+        modelVersion: prediction.model_version || ''
+    };
+};
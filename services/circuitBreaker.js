@@ -0,0 +1,112 @@
+/**
+ * Circuit breaker for calls to a flaky dependency.
+ *
+ * closed    - calls go through; consecutive failures are counted
+ * open      - calls fail fast until `resetTimeoutMs` has passed
+ * half_open - one trial call is let through; success closes the circuit,
+ *             failure opens it again
+ */
+
+export const CIRCUIT_STATES = Object.freeze({
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half_open'
+});
+
+export class CircuitOpenError extends Error {
+    constructor(name) {
+        super(`${name} circuit is open`);
+        this.name = 'CircuitOpenError';
+    }
+}
+
+class CircuitBreaker {
+    /**
+     * @param {Object} options
+     * @param {string} options.name - Used in logs and errors
+     * @param {number} options.failureThreshold - Consecutive failures before opening
+     * @param {number} options.resetTimeoutMs - How long to stay open
+     * @param {Function} options.isFailure - (error) => whether the error counts against the circuit
+     */
+    constructor({ name, failureThreshold = 5, resetTimeoutMs = 30000, isFailure = () => true }) {
+        this.name = name;
+        this.failureThreshold = failureThreshold;
+        this.resetTimeoutMs = resetTimeoutMs;
+        this.isFailure = isFailure;
+
+        this.state = CIRCUIT_STATES.CLOSED;
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    canAttempt() {
+        if (this.state === CIRCUIT_STATES.CLOSED) return true;
+
+        if (this.state === CIRCUIT_STATES.OPEN && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+            this.state = CIRCUIT_STATES.HALF_OPEN;
+        }
+
+        return this.state === CIRCUIT_STATES.HALF_OPEN && !this.trialInFlight;
+    }
+
+    /**
+     * Run `fn` through the breaker
+     * @param {Function} fn - async () => result
+     * @returns {Promise<*>}
+     */
+    async exec(fn) {
+        if (!this.canAttempt()) {
+            throw new CircuitOpenError(this.name);
+        }
+
+        const trial = this.state === CIRCUIT_STATES.HALF_OPEN;
+        if (trial) this.trialInFlight = true;
+
+        try {
+            const result = await fn();
+            this.recordSuccess();
+            return result;
+        } catch (error) {
+            if (this.isFailure(error)) {
+                this.recordFailure();
+            } else if (trial) {
+                // The service answered, it just didn't like the request
+                this.recordSuccess();
+            }
+            throw error;
+        } finally {
+            if (trial) this.trialInFlight = false;
+        }
+    }
+
+    recordSuccess() {
+        if (this.state !== CIRCUIT_STATES.CLOSED) {
+            console.log(`✓ ${this.name} circuit closed`);
+        }
+        this.state = CIRCUIT_STATES.CLOSED;
+        this.failures = 0;
+        this.openedAt = null;
+    }
+
+    recordFailure() {
+        this.failures++;
+        if (this.state === CIRCUIT_STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+            if (this.state !== CIRCUIT_STATES.OPEN) {
+                console.warn(`⚠️  ${this.name} circuit opened after ${this.failures} failure(s)`);
+            }
+            this.state = CIRCUIT_STATES.OPEN;
+            this.openedAt = Date.now();
+        }
+    }
+
+    snapshot() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null
+        };
+    }
+}
+
+export default CircuitBreaker;
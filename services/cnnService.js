@@ -1,18 +1,168 @@
 import axios from "axios";
 import FormData from "form-data";
+import dotenv from "dotenv";
+import CircuitBreaker from "./circuitBreaker.js";
+import { CLASS_CATALOG } from "../data/diseaseCatalog.js";
 
-export const predictDisease = async (fileBuffer, filename) => {
+dotenv.config();
+
+const CNN_SERVICE_URL = (process.env.CNN_SERVICE_URL || "http://127.0.0.1:5001").replace(/\/+$/, "");
+const CNN_TIMEOUT_MS = parseInt(process.env.CNN_TIMEOUT_MS, 10) || 15000;
+const CNN_HEALTH_INTERVAL_MS = parseInt(process.env.CNN_HEALTH_INTERVAL_MS, 10) || 30000;
+
+// Error codes returned to the app so it can show the right message
+export const CNN_ERROR_CODES = Object.freeze({
+  UNAVAILABLE: "CNN_UNAVAILABLE",
+  NOT_A_LEAF: "NOT_A_LEAF",
+  BAD_IMAGE: "BAD_IMAGE"
+});
+
+// Only trouble with the service itself should trip the breaker; a 4xx means
+// the service is up and rejected the image
+const isServiceFailure = (error) => {
+  const status = error.response && error.response.status;
+  return !status || status >= 500;
+};
+
+const breaker = new CircuitBreaker({
+  name: "CNN service",
+  failureThreshold: parseInt(process.env.CNN_CIRCUIT_FAILURE_THRESHOLD, 10) || 3,
+  resetTimeoutMs: parseInt(process.env.CNN_CIRCUIT_RESET_MS, 10) || 30000,
+  isFailure: isServiceFailure
+});
+
+let lastHealth = { status: "unknown", checkedAt: null };
+
+/**
+ * Send an image to the CNN service
+ * @param {Buffer} fileBuffer
+ * @param {string} filename
+ * @param {Object} options - { topK } number of ranked classes to return
+ * @returns {Promise<Object>} - { success, class_index, confidence, top_k: [...] }
+ *   or { success: false, code, error } with a CNN_ERROR_CODES code
+ */
+export const predictDisease = async (fileBuffer, filename, { topK = 3 } = {}) => {
   const form = new FormData();
 
   form.append("file", fileBuffer, filename);
 
-  const response = await axios.post(
-    "http://127.0.0.1:5001/predict",
-    form,
-    {
-      headers: form.getHeaders(),
+  let data;
+  try {
+    const response = await breaker.exec(() => axios.post(
+      `${CNN_SERVICE_URL}/predict`,
+      form,
+      {
+        headers: form.getHeaders(),
+        params: { top_k: topK },
+        timeout: CNN_TIMEOUT_MS,
+      }
+    ));
+    data = response.data;
+  } catch (error) {
+    if (error.response && error.response.status < 500) {
+      const body = error.response.data || {};
+      return {
+        success: false,
+        code: body.error_code || CNN_ERROR_CODES.BAD_IMAGE,
+        error: body.error || "The image could not be processed"
+      };
     }
-  );
 
+    console.error("CNN service unavailable:", error.message);
+    return {
+      success: false,
+      code: CNN_ERROR_CODES.UNAVAILABLE,
+      error: "The disease detection service is temporarily unavailable. Please try again shortly."
+    };
+  }
+
+  if (!data.success) {
+    return {
+      ...data,
+      code: data.error_code || CNN_ERROR_CODES.NOT_A_LEAF
+    };
+  }
+
+  // Older model builds only return the argmax
+  if (!Array.isArray(data.top_k)) {
+    data.top_k = [{ class_index: data.class_index, confidence: data.confidence }];
+  }
+
+  return data;
+};
+
+export const getModelInfo = async () => {
+  const response = await axios.get(`${CNN_SERVICE_URL}/info`, { timeout: CNN_TIMEOUT_MS });
   return response.data;
 };
+
+/**
+ * Probe the CNN service's /health endpoint once
+ * @returns {Promise<Object>} - Latest health snapshot
+ */
+export const checkCnnHealth = async () => {
+  const started = Date.now();
+  try {
+    const response = await axios.get(`${CNN_SERVICE_URL}/health`, { timeout: 5000 });
+    lastHealth = {
+      status: response.data.status === "ok" ? "up" : "down",
+      modelVersion: response.data.model_version,
+      latencyMs: Date.now() - started,
+      checkedAt: new Date().toISOString()
+    };
+  } catch (error) {
+    lastHealth = {
+      status: "down",
+      error: error.message,
+      checkedAt: new Date().toISOString()
+    };
+  }
+  return lastHealth;
+};
+
+/**
+ * Start probing the CNN service in the background
+ */
+export const startCnnHealthProbe = () => {
+  checkCnnHealth();
+  // unref so the probe never keeps the process alive on its own
+  setInterval(checkCnnHealth, CNN_HEALTH_INTERVAL_MS).unref();
+};
+
+/**
+ * Latest probe result plus circuit breaker state
+ * @returns {Object}
+ */
+export const getCnnHealth = () => ({
+  ...lastHealth,
+  url: CNN_SERVICE_URL,
+  circuit: breaker.snapshot()
+});
+
+/**
+ * Compare the JS label catalogue with the classes the model reports.
+ * Logs a loud warning on drift; never throws, so the API still starts when
+ * the CNN service is down.
+ */
+export const verifyClassCatalog = async () => {
+  try {
+    const info = await getModelInfo();
+
+    if (info.num_classes !== CLASS_CATALOG.length) {
+      console.error(`❌ Class catalogue has ${CLASS_CATALOG.length} entries but the CNN reports ${info.num_classes} classes`);
+      return false;
+    }
+
+    const mismatched = (info.class_names || []).filter((name, i) => CLASS_CATALOG[i].className !== name);
+    if (mismatched.length > 0) {
+      console.error(`❌ Class catalogue order differs from the CNN at: ${mismatched.join(", ")}`);
+      return false;
+    }
+
+    console.log(`✓ Class catalogue matches CNN (${info.num_classes} classes)`);
+    return true;
+  } catch (error) {
+    console.warn(`⚠️  Could not verify class catalogue against CNN: ${error.message}`);
+    return false;
+  }
+};
@@ -0,0 +1,334 @@
+import mongoose from 'mongoose';
+import CommunityPost from '../models/CommunityPost.js';
+import { getClassByName } from '../data/diseaseCatalog.js';
+import { summarizeExpertFeedback } from './diagnosisService.js';
+
+/**
+ * Community feed queries with cursor pagination.
+ *
+ * Each sort mode orders items by one or two keys, always ending in `_id` so
+ * the order is total. The cursor is the last returned item's key values,
+ * base64url-encoded; the next page is everything strictly after it, so new
+ * posts arriving between requests never shift or repeat items the way
+ * skip/limit would.
+ */
+
+// keys: [[path, kind, direction]]
+const SORT_MODES = {
+    newest: {
+        keys: [['createdAt', 'date', -1], ['_id', 'id', -1]]
+    },
+    most_liked: {
+        keys: [['likeCount', 'number', -1], ['_id', 'id', -1]]
+    },
+    unanswered: {
+        keys: [['createdAt', 'date', -1], ['_id', 'id', -1]],
+        filter: { type: 'question', commentCount: 0 }
+    },
+    // Questions no expert has answered and nobody has accepted an answer
+    // for, longest-waiting first
+    expert_queue: {
+        keys: [['createdAt', 'date', 1], ['_id', 'id', 1]],
+        filter: { type: 'question', acceptedComment: null, expertAnswerCount: { $in: [0, null] } }
+    }
+};
+
+// Sort modes callers can pick with ?sort
+export const FEED_SORTS = ['newest', 'most_liked', 'unanswered'];
+
+export const POST_TYPES = ['question', 'tip', 'success_story'];
+
+// Accepted answer first, then expert answers, then the rest, each oldest first
+const COMMENT_KEYS = [['rank', 'number', -1], ['_id', 'id', 1]];
+
+const MAX_CROP_TAGS = 5;
+const MAX_SEARCH_LENGTH = 100;
+
+const POST_FIELDS = {
+    user: 1,
+    type: 1,
+    title: 1,
+    content: 1,
+    image: 1,
+    crops: 1,
+    diseases: 1,
+    diagnosis: 1,
+    likeCount: 1,
+    commentCount: 1,
+    acceptedComment: 1,
+    expertAnswerCount: 1,
+    createdAt: 1
+};
+
+export const AUTHOR_FIELDS = 'name profileImage role reputation';
+
+// What other users see of a diagnosis linked to a post
+export const DIAGNOSIS_FIELDS = 'crop predictedDisease className confidenceScore severity imageKey imageCount expertFeedback timestamp';
+
+const reviveValue = (value, kind) => {
+    if (kind === 'date') return new Date(value);
+    if (kind === 'id') return new mongoose.Types.ObjectId(String(value));
+    return Number(value);
+};
+
+/**
+ * Opaque cursor for the item after which the next page starts
+ * @param {Array} values - Sort key values of the last item
+ * @returns {string}
+ */
+export const encodeCursor = (values) => Buffer.from(JSON.stringify(values)).toString('base64url');
+
+/**
+ * Decode a cursor for the given sort keys
+ * @param {string} cursor
+ * @param {Array} keys - [[path, kind, direction]] as in SORT_MODES
+ * @returns {Array|null} - Revived values, or null when the cursor is malformed
+ */
+export const decodeCursor = (cursor, keys) => {
+    try {
+        const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (!Array.isArray(values) || values.length !== keys.length) return null;
+
+        const revived = values.map((value, index) => reviveValue(value, keys[index][1]));
+        const invalid = revived.some(value => (value instanceof Date ? Number.isNaN(value.getTime()) : Number.isNaN(value)));
+        return invalid ? null : revived;
+    } catch {
+        return null;
+    }
+};
+
+// Everything after `values` in key order:
+// k1 past v1, or k1 = v1 and k2 past v2, ...
+const afterCursor = (keys, values) => ({
+    $or: keys.map(([path, , direction], index) => ({
+        ...Object.fromEntries(keys.slice(0, index).map(([prev], prevIndex) => [prev, values[prevIndex]])),
+        [path]: { [direction === 1 ? '$gt' : '$lt']: values[index] }
+    }))
+});
+
+const sortStage = (keys) => ({ $sort: Object.fromEntries(keys.map(([path, , direction]) => [path, direction])) });
+
+/**
+ * Normalise crop tags from a request body (array or comma-separated string)
+ * @param {Array|string} value
+ * @param {number} max - Tags to keep
+ * @returns {Array<string>}
+ */
+export const normalizeCropTags = (value, max = MAX_CROP_TAGS) => {
+    const tags = Array.isArray(value) ? value : String(value || '').split(',');
+    return [...new Set(tags
+        .map(tag => String(tag).trim().toLowerCase())
+        .filter(tag => tag && tag.length <= 40))]
+        .slice(0, max);
+};
+
+/**
+ * Validate disease tags (catalogue class names) from a request body
+ * @param {Array|string} value - Array or comma-separated string
+ * @returns {Object} - { tags } or { error }
+ */
+export const normalizeDiseaseTags = (value) => {
+    const names = (Array.isArray(value) ? value : String(value || '').split(','))
+        .map(name => String(name).trim())
+        .filter(Boolean);
+    const unknown = names.filter(name => !getClassByName(name));
+    if (unknown.length) return { error: `Unknown disease tag: ${unknown.join(', ')}` };
+    return { tags: [...new Set(names)].slice(0, MAX_CROP_TAGS) };
+};
+
+/**
+ * Shape a populated post for the API: the linked diagnosis gets an image URL
+ * any community member can load, and expert verdicts as a tally
+ * @param {Object} post - Plain post object (lean / aggregate / toObject())
+ * @returns {Object}
+ */
+export const presentPost = (post) => {
+    const { diagnosis } = post;
+    if (!diagnosis || !diagnosis._id) return post;
+
+    const { imageKey, expertFeedback, ...summary } = diagnosis;
+    return {
+        ...post,
+        diagnosis: {
+            ...summary,
+            imageUrl: imageKey ? `/api/community/${post._id}/diagnosis-image` : '',
+            expertReview: summarizeExpertFeedback(expertFeedback)
+        }
+    };
+};
+
+const parseLimit = (value) => Math.min(Math.max(parseInt(value, 10) || 20, 1), 50);
+
+/**
+ * Parse a feed request's query string
+ * @param {Object} query - { sort, cursor, limit, type, crop, disease, author, q }
+ * @param {Object} viewer - Requesting user (for author=me)
+ * @param {Object} options - { sort } to fix the sort mode instead of reading ?sort
+ * @returns {Object} - { sort, after, limit, filter } for getFeedPage()
+ * @throws {Error} - On invalid values, so the caller can answer 400
+ */
+export const parseFeedQuery = (query, viewer, options = {}) => {
+    const sort = options.sort || query.sort || 'newest';
+    if (!options.sort && !FEED_SORTS.includes(sort)) {
+        throw new Error(`sort must be one of: ${FEED_SORTS.join(', ')}`);
+    }
+    const mode = SORT_MODES[sort];
+
+    let after = null;
+    if (query.cursor) {
+        after = decodeCursor(query.cursor, mode.keys);
+        if (!after) throw new Error('Invalid cursor');
+    }
+
+    const filter = {};
+
+    if (query.q) {
+        filter.$text = { $search: String(query.q).slice(0, MAX_SEARCH_LENGTH) };
+    }
+    if (query.type) {
+        if (!POST_TYPES.includes(query.type)) {
+            throw new Error(`type must be one of: ${POST_TYPES.join(', ')}`);
+        }
+        filter.type = query.type;
+    }
+    if (query.crop) {
+        const crops = normalizeCropTags(query.crop);
+        if (crops.length) filter.crops = { $in: crops };
+    }
+    if (query.disease) {
+        const { tags, error } = normalizeDiseaseTags(query.disease);
+        if (error) throw new Error(error);
+        if (tags.length) filter.diseases = { $in: tags };
+    }
+    if (query.author) {
+        const author = query.author === 'me' ? viewer._id : query.author;
+        if (!mongoose.isValidObjectId(author)) {
+            throw new Error('Invalid author id');
+        }
+        filter.user = new mongoose.Types.ObjectId(String(author));
+    }
+
+    return { sort, after, limit: parseLimit(query.limit), filter };
+};
+
+/**
+ * One page of the community feed
+ * @param {Object} viewer - Requesting user; `likedByMe` is computed for them
+ * @param {Object} options - { sort, after, limit, filter } from parseFeedQuery()
+ * @returns {Promise<Object>} - { posts, nextCursor } (nextCursor is null on the last page)
+ */
+export const getFeedPage = async (viewer, { sort, after, limit, filter }) => {
+    const mode = SORT_MODES[sort];
+
+    // Hidden posts are only visible through the moderation queue
+    const match = { ...filter, ...(mode.filter || {}), hidden: { $ne: true } };
+    if (after) match.$and = [afterCursor(mode.keys, after)];
+
+    // $text has to be in the first stage
+    const posts = await CommunityPost.aggregate([
+        { $match: match },
+        sortStage(mode.keys),
+        { $limit: limit + 1 },
+        { $project: { ...POST_FIELDS, likedByMe: { $in: [viewer._id, { $ifNull: ['$likes', []] }] } } }
+    ]);
+
+    const hasMore = posts.length > limit;
+    const page = hasMore ? posts.slice(0, limit) : posts;
+    await CommunityPost.populate(page, [
+        { path: 'user', select: AUTHOR_FIELDS },
+        { path: 'diagnosis', select: DIAGNOSIS_FIELDS, options: { lean: true } }
+    ]);
+
+    const last = page[page.length - 1];
+    return {
+        posts: page.map(presentPost),
+        nextCursor: hasMore ? encodeCursor(mode.keys.map(([path]) => last[path])) : null
+    };
+};
+
+/**
+ * Parse a comments request's query string
+ * @param {Object} query - { cursor, limit }
+ * @returns {Object} - { after, limit } for getCommentsPage()
+ * @throws {Error} - On a malformed cursor
+ */
+export const parseCommentsQuery = (query) => {
+    let after = null;
+    if (query.cursor) {
+        after = decodeCursor(query.cursor, COMMENT_KEYS);
+        if (!after) throw new Error('Invalid cursor');
+    }
+    return { after, limit: parseLimit(query.limit) };
+};
+
+/**
+ * One page of a post's comments: the accepted answer first, then expert
+ * answers, then everyone else, each group oldest first
+ * @param {string} postId
+ * @param {Object} viewer - Requesting user; `likedByMe` is computed for them
+ * @param {Object} options - { after, limit } from parseCommentsQuery(), and
+ *   includeHidden for moderators
+ * @returns {Promise<Object|null>} - { comments, commentCount, acceptedComment, nextCursor }, or null if the post doesn't exist
+ */
+export const getCommentsPage = async (postId, viewer, { after, limit, includeHidden = false }) => {
+    const post = await CommunityPost.findById(postId).select('commentCount acceptedComment hidden').lean();
+    if (!post || (post.hidden && !includeHidden)) return null;
+
+    const accepted = post.acceptedComment || null;
+    const comments = await CommunityPost.aggregate([
+        { $match: { _id: post._id } },
+        { $unwind: '$comments' },
+        { $replaceRoot: { newRoot: '$comments' } },
+        ...(includeHidden ? [] : [{ $match: { hidden: { $ne: true } } }]),
+        {
+            $addFields: {
+                accepted: { $eq: ['$_id', accepted] },
+                isExpert: { $ifNull: ['$isExpert', false] },
+                likeCount: { $ifNull: ['$likeCount', 0] },
+                likedByMe: { $in: [viewer._id, { $ifNull: ['$likes', []] }] }
+            }
+        },
+        { $addFields: { rank: { $cond: ['$accepted', 2, { $cond: ['$isExpert', 1, 0] }] } } },
+        ...(after ? [{ $match: afterCursor(COMMENT_KEYS, after) }] : []),
+        sortStage(COMMENT_KEYS),
+        { $limit: limit + 1 },
+        { $project: { likes: 0 } }
+    ]);
+
+    const hasMore = comments.length > limit;
+    const page = hasMore ? comments.slice(0, limit) : comments;
+    await CommunityPost.populate(page, { path: 'user', select: AUTHOR_FIELDS, model: 'User' });
+
+    const last = page[page.length - 1];
+    return {
+        comments: page.map(({ rank, ...comment }) => comment),
+        commentCount: post.commentCount || 0,
+        acceptedComment: accepted,
+        nextCursor: hasMore ? encodeCursor([last.rank, last._id]) : null
+    };
+};
+
+/**
+ * Fill the counters on posts created before they existed
+ * @returns {Promise<number>} - Posts updated
+ */
+export const backfillPostCounters = async () => {
+    const result = await CommunityPost.updateMany(
+        {
+            $or: [
+                { likeCount: { $exists: false } },
+                { commentCount: { $exists: false } },
+                { expertAnswerCount: { $exists: false } }
+            ]
+        },
+        [{
+            $set: {
+                likeCount: { $size: { $ifNull: ['$likes', []] } },
+                commentCount: { $size: { $ifNull: ['$comments', []] } },
+                // Comments from before badges existed weren't marked as expert answers
+                expertAnswerCount: { $ifNull: ['$expertAnswerCount', 0] }
+            }
+        }]
+    );
+    return result.modifiedCount;
+};
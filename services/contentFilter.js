@@ -0,0 +1,116 @@
+import dotenv from "dotenv";
+import { WORDLISTS } from "../data/moderationWordlists.js";
+
+dotenv.config();
+
+/**
+ * Community content filtering is pluggable, like SMS delivery: every filter
+ * implements check(text) -> { verdict, reasons } where verdict is
+ *   'allow'  - publish as usual
+ *   'review' - publish hidden and queue for a moderator
+ *   'block'  - reject the post/comment
+ * The filter is picked with CONTENT_FILTER (default "wordlist"); "none"
+ * turns filtering off. Other filters (e.g. a hosted moderation API) register
+ * themselves with `registerContentFilter`.
+ */
+
+export const FILTER_VERDICTS = ['allow', 'review', 'block'];
+
+const MAX_LINKS = 2;
+
+const LEET = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '@': 'a', '$': 's' };
+
+const envWords = (name) => (process.env[name] || '')
+    .split(',')
+    .map(word => word.trim())
+    .filter(Boolean);
+
+// Lowercase, undo l33t spellings and squeeze letters repeated 3+ times
+const normalizeText = (text) => String(text || '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[013457@$]/g, char => LEET[char])
+    .replace(/(\p{L})\1{2,}/gu, '$1');
+
+// Whole-word match that also works for Devanagari/Telugu, where \b doesn't
+const wordPattern = (words) => {
+    const escaped = words
+        .map(word => normalizeText(word).replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'))
+        .sort((a, b) => b.length - a.length);
+    return new RegExp(`(?<![\\p{L}\\p{M}])(${escaped.join('|')})(?![\\p{L}\\p{M}])`, 'u');
+};
+
+const collect = (level) => Object.values(WORDLISTS).flatMap(list => list[level]);
+
+let patterns = null;
+const getPatterns = () => {
+    if (!patterns) {
+        patterns = {
+            block: wordPattern([...collect('block'), ...envWords('MODERATION_BLOCK_WORDS')]),
+            review: wordPattern([...collect('review'), ...envWords('MODERATION_REVIEW_WORDS')])
+        };
+    }
+    return patterns;
+};
+
+// Link-heavy or keyboard-mashed text is usually spam
+const spamReasons = (text) => {
+    const reasons = [];
+    const links = text.match(/(https?:\/\/|www\.)\S+/gi) || [];
+    if (links.length > MAX_LINKS) reasons.push(`More than ${MAX_LINKS} links`);
+    if (/(.)\1{9,}/u.test(text)) reasons.push('Long run of repeated characters');
+    return reasons;
+};
+
+const wordlistFilter = {
+    name: 'wordlist',
+    check(text) {
+        const normalized = normalizeText(text);
+        const { block, review } = getPatterns();
+
+        const blocked = normalized.match(block);
+        if (blocked) {
+            return { verdict: 'block', reasons: ['Contains abusive language'] };
+        }
+
+        const reasons = spamReasons(String(text || ''));
+        const flagged = normalized.match(review);
+        if (flagged) reasons.push(`Contains "${flagged[1]}"`);
+
+        return { verdict: reasons.length ? 'review' : 'allow', reasons };
+    }
+};
+
+const noFilter = {
+    name: 'none',
+    check() {
+        return { verdict: 'allow', reasons: [] };
+    }
+};
+
+const filters = {
+    wordlist: wordlistFilter,
+    none: noFilter
+};
+
+/**
+ * Register an additional content filter
+ * @param {Object} filter - { name, check(text) -> { verdict, reasons } | Promise }
+ */
+export const registerContentFilter = (filter) => {
+    filters[filter.name] = filter;
+};
+
+/**
+ * Check user-written text with the configured filter
+ * @param {...string} parts - e.g. title and content; checked together
+ * @returns {Promise<Object>} - { verdict, reasons }
+ */
+export const checkContent = async (...parts) => {
+    const filterName = process.env.CONTENT_FILTER || 'wordlist';
+    const filter = filters[filterName];
+    if (!filter) {
+        throw new Error(`Unknown content filter: ${filterName}`);
+    }
+    return filter.check(parts.filter(Boolean).join('\n'));
+};
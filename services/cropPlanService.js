@@ -0,0 +1,152 @@
+import CalendarTask from '../models/CalendarTask.js';
+import CropPreference from '../models/CropPreference.js';
+import { getClassByName } from '../data/diseaseCatalog.js';
+
+/**
+ * Generate a season's calendar tasks from a crop template and sowing date.
+ *
+ * Generated tasks are tagged with their `field` and `cropPlan: { crop, step, sowingDate }`
+ * so the season can be regenerated when the sowing date changes. Work the
+ * farmer already did is never duplicated or lost:
+ * - completed one-off steps are kept and not generated again
+ * - recurring steps with completed occurrences are cut off after the last
+ *   completed occurrence, and the new series starts after it
+ * - everything else from the old plan is replaced
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// every 7/14/... days reads better as weekly in calendar apps
+const toRecurrence = ({ everyDays, untilDay }, sowingDate) => ({
+    ...(everyDays % 7 === 0
+        ? { frequency: 'weekly', interval: everyDays / 7 }
+        : { frequency: 'daily', interval: everyDays }),
+    until: addDays(sowingDate, untilDay)
+});
+
+const riskNotes = (risks = []) => {
+    const names = risks
+        .map(className => getClassByName(className))
+        .filter(Boolean)
+        .map(entry => entry.names.disease.en);
+    return names.length ? `Watch for: ${names.join(', ')}.` : '';
+};
+
+/**
+ * Task specs for a season
+ * @param {Object} template - Entry from data/cropTemplates.js
+ * @param {Date} sowingDate
+ * @param {Object} options - { field } Field document, or null
+ * @returns {Array<Object>}
+ */
+export const buildCropPlan = (template, sowingDate, { field = null } = {}) => {
+    return template.steps.map(step => ({
+        title: field ? `${step.title} (${field.name})` : step.title,
+        field: field ? field._id : null,
+        type: step.type,
+        date: addDays(sowingDate, step.day),
+        notes: [step.notes, riskNotes(step.risks)].filter(Boolean).join(' '),
+        reason: `${template.names.en} season sown ${sowingDate.toISOString().slice(0, 10)}: ${step.stage} stage`,
+        recurrence: step.repeat ? toRecurrence(step.repeat, sowingDate) : null,
+        cropPlan: { crop: template.key, step: step.key, sowingDate }
+    }));
+};
+
+// Latest completed occurrence of a recurring task, if any
+const lastCompletedOccurrence = (task) => {
+    const completed = (task.exceptions || [])
+        .filter(item => item.status === 'completed')
+        .map(item => item.date.getTime());
+    return completed.length ? new Date(Math.max(...completed)) : null;
+};
+
+// Move a recurring spec's start past `after`, keeping it on the spec's own cadence
+const startAfter = (spec, after) => {
+    const stepDays = spec.recurrence.frequency === 'weekly' ? spec.recurrence.interval * 7 : spec.recurrence.interval;
+    let date = spec.date;
+    while (date <= after) date = addDays(date, stepDays);
+    return date;
+};
+
+/**
+ * Create or regenerate a season's tasks
+ * @param {Object} user - User document
+ * @param {Object} template - Entry from data/cropTemplates.js
+ * @param {Object} options - { sowingDate, field } field is a Field document or null
+ * @returns {Promise<Object>} - { tasks, created, kept, removed }
+ */
+export const generateCropPlan = async (user, template, { sowingDate, field = null }) => {
+    const fieldId = field ? field._id : null;
+    const planFilter = { user: user._id, field: fieldId, 'cropPlan.crop': template.key };
+    const existing = await CalendarTask.find(planFilter);
+
+    const doneSteps = new Set();
+    const carriedOver = new Map();
+    const removeIds = [];
+
+    for (const task of existing) {
+        if (task.recurrence && task.recurrence.frequency) {
+            const last = lastCompletedOccurrence(task);
+            if (last) {
+                // Keep the history up to the last completed occurrence
+                task.recurrence = { ...task.recurrence.toObject(), count: undefined, until: last };
+                task.exceptions = task.exceptions.filter(item => item.date <= last);
+                await task.save();
+                // Earlier regenerations leave several kept series per step; resume after the latest
+                const previous = carriedOver.get(task.cropPlan.step);
+                carriedOver.set(task.cropPlan.step, previous && previous > last ? previous : last);
+                continue;
+            }
+        } else if (task.completed) {
+            doneSteps.add(task.cropPlan.step);
+            continue;
+        }
+        removeIds.push(task._id);
+    }
+
+    if (removeIds.length) {
+        await CalendarTask.deleteMany({ _id: { $in: removeIds } });
+    }
+
+    const specs = buildCropPlan(template, sowingDate, { field })
+        .filter(spec => !doneSteps.has(spec.cropPlan.step))
+        .map(spec => {
+            const after = carriedOver.get(spec.cropPlan.step);
+            return after ? { ...spec, date: startAfter(spec, after) } : spec;
+        })
+        // A carried-over series may already have run its course
+        .filter(spec => !spec.recurrence || spec.date <= spec.recurrence.until);
+
+    await CalendarTask.insertMany(specs.map(spec => ({ ...spec, user: user._id })));
+
+    // Remember the season on the crop preferences so the app can show it
+    await CropPreference.findOneAndUpdate(
+        { user: user._id },
+        {
+            $addToSet: { selectedCrops: template.cropName },
+            $pull: { seasons: { crop: template.key, field: fieldId } }
+        },
+        { upsert: true }
+    );
+    await CropPreference.updateOne(
+        { user: user._id },
+        { $push: { seasons: { crop: template.key, field: fieldId, sowingDate } }, updatedAt: new Date() }
+    );
+
+    if (field) {
+        field.currentCrop = template.names.en;
+        field.sowingDate = sowingDate;
+        field.updatedAt = new Date();
+        await field.save();
+    }
+
+    const tasks = await CalendarTask.find(planFilter).sort({ date: 1 });
+    return {
+        tasks,
+        created: specs.length,
+        kept: doneSteps.size + carriedOver.size,
+        removed: removeIds.length
+    };
+};
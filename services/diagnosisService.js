@@ -0,0 +1,170 @@
+import mongoose from "mongoose";
+import DiagnosisRecord from "../models/DiagnosisRecord.js";
+import AppSettings from "../models/AppSettings.js";
+import { getBlobStorage } from "./storage/blobStorage.js";
+import { getClassByName } from "../data/diseaseCatalog.js";
+
+const IMAGE_EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/webp': '.webp'
+};
+
+/**
+ * Whether /api/analyze results should be stored for this user
+ * @param {Object} user - User document or undefined for anonymous callers
+ * @returns {Promise<boolean>}
+ */
+export const shouldSaveDiagnosis = async (user) => {
+    if (!user) return false;
+    const settings = await AppSettings.findOne({ user: user._id });
+    return settings ? settings.saveDiagnosisHistory !== false : true;
+};
+
+/**
+ * Store the uploaded image and create a DiagnosisRecord for an analyze run
+ * @param {Object} params
+ * @param {Object} params.user - User document
+ * @param {Object} params.file - multer file ({ buffer, mimetype })
+ * @param {Object} params.result - Resolved prediction ({ classIndex, className, crop, disease, confidence })
+ * @param {Array} params.alternatives - Runner-up predictions
+ * @param {Object} params.triage - { band }
+ * @param {Object} params.severity - { level, score } from severityService
+ * @param {Object|null} params.advice
+ * @param {string} params.modelVersion
+ * @param {number} params.imageCount - Photos the diagnosis was based on; `file` is the representative one
+ * @param {Object} params.followUpOf - Earlier DiagnosisRecord id this one re-checks
+ * @param {Object} params.field - Field id the photo was taken in, if any
+ * @returns {Promise<Object>} - Saved DiagnosisRecord
+ */
+export const saveAnalysis = async ({ user, file, result, alternatives, triage, severity, advice, modelVersion, imageCount = 1, followUpOf = null, field = null }) => {
+    const recordId = new mongoose.Types.ObjectId();
+    const extension = IMAGE_EXTENSIONS[file.mimetype] || '.jpg';
+    const imageKey = `diagnoses/${user._id}/${recordId}${extension}`;
+
+    await getBlobStorage().put(imageKey, file.buffer, file.mimetype);
+
+    try {
+        return await DiagnosisRecord.create({
+            _id: recordId,
+            user: user._id,
+            field,
+            imageKey,
+            imageUrl: `/api/diagnosis/${recordId}/image`,
+            crop: result.crop,
+            predictedDisease: result.disease,
+            classIndex: result.classIndex,
+            className: result.className,
+            confidenceScore: result.confidence,
+            triageBand: triage.band,
+            alternatives: alternatives.map(alt => ({
+                classIndex: alt.classIndex,
+                className: alt.className,
+                confidence: alt.confidence
+            })),
+            imageCount,
+            followUpOf,
+            severity: severity.level,
+            severityScore: severity.score,
+            advice,
+            treatmentSuggested: advice ? advice.immediate : '',
+            modelVersion
+        });
+    } catch (error) {
+        // Don't leave an orphaned image behind
+        await getBlobStorage().delete(imageKey);
+        throw error;
+    }
+};
+
+export const FEEDBACK_VERDICTS = ['confirm', 'correct'];
+
+/**
+ * Build an expert's confirm/correct verdict on a diagnosis from a request body
+ * @param {Object} record - DiagnosisRecord
+ * @param {Object} expert - User document
+ * @param {Object} body - { verdict, className?, disease?, note? } className or disease is required to correct
+ * @param {Object} post - CommunityPost the verdict was given on
+ * @returns {Object} - { feedback } or { error }
+ */
+export const buildExpertFeedback = (record, expert, { verdict, className, disease, note }, post) => {
+    if (!FEEDBACK_VERDICTS.includes(verdict)) {
+        return { error: `verdict must be one of: ${FEEDBACK_VERDICTS.join(', ')}` };
+    }
+
+    let label = null;
+    if (verdict === 'confirm') {
+        label = getClassByName(record.className);
+        if (!label) return { error: 'This diagnosis has no catalogue label to confirm' };
+    } else if (className) {
+        label = getClassByName(className);
+        if (!label) return { error: `Unknown className "${className}"` };
+    } else if (!disease || !String(disease).trim()) {
+        return { error: 'Give the correct className, or a disease name if it is not in the catalogue' };
+    }
+
+    // "Correcting" to the predicted label is a confirmation
+    const confirmed = label && label.className === record.className;
+
+    return {
+        feedback: {
+            expert: expert._id,
+            verdict: confirmed ? 'confirm' : 'correct',
+            classIndex: label ? label.index : undefined,
+            className: label ? label.className : null,
+            disease: label ? label.names.disease.en : String(disease).trim().slice(0, 200),
+            note: note ? String(note).slice(0, 1000) : '',
+            post: post._id,
+            createdAt: new Date()
+        }
+    };
+};
+
+/**
+ * Store an expert's verdict, replacing any earlier one from the same expert.
+ * Each write is a single conditional update (replace the expert's entry, or
+ * append one only if there is none), so concurrent verdicts are neither lost
+ * nor stored twice for the same expert.
+ * @param {Object} record - DiagnosisRecord document
+ * @param {Object} feedback - From buildExpertFeedback()
+ * @returns {Promise<Object|null>} - Updated record, null if it was deleted meanwhile
+ */
+export const recordExpertFeedback = async (record, feedback) => {
+    const replace = () => DiagnosisRecord.findOneAndUpdate(
+        { _id: record._id, 'expertFeedback.expert': feedback.expert },
+        { $set: { 'expertFeedback.$': feedback } },
+        { new: true }
+    );
+
+    const replaced = await replace();
+    if (replaced) return replaced;
+
+    const added = await DiagnosisRecord.findOneAndUpdate(
+        { _id: record._id, 'expertFeedback.expert': { $ne: feedback.expert } },
+        { $push: { expertFeedback: feedback } },
+        { new: true }
+    );
+    // Nothing matched: the same expert's other submission got in first, or the record is gone
+    return added || replace();
+};
+
+/**
+ * Tally expert verdicts for display
+ * @param {Array<Object>} feedback - record.expertFeedback
+ * @returns {Object} - { confirmations, corrections, labels: [{ className, disease, count }] } most agreed label first
+ */
+export const summarizeExpertFeedback = (feedback = []) => {
+    const labels = new Map();
+    for (const entry of feedback) {
+        const key = entry.className || `other:${entry.disease.toLowerCase()}`;
+        const label = labels.get(key) || { className: entry.className, disease: entry.disease, count: 0 };
+        label.count += 1;
+        labels.set(key, label);
+    }
+
+    return {
+        confirmations: feedback.filter(entry => entry.verdict === 'confirm').length,
+        corrections: feedback.filter(entry => entry.verdict === 'correct').length,
+        labels: [...labels.values()].sort((a, b) => b.count - a.count)
+    };
+};
@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+import Field from '../models/Field.js';
+
+/**
+ * Look up one of the user's fields from a request value
+ * @param {Object} user - User document
+ * @param {string} fieldId
+ * @returns {Promise<Object|null>} - Field document, or null if it isn't theirs (or isn't an id)
+ */
+export const findUserField = async (user, fieldId) => {
+    if (!user || !mongoose.isValidObjectId(fieldId)) return null;
+    return Field.findOne({ _id: fieldId, user: user._id });
+};
+
+/**
+ * Resolve an optional `field` value from a request body
+ * @param {Object} user
+ * @param {*} value - Field id, or empty/null/undefined for "no field"
+ * @returns {Promise<Object>} - { field } (null when not given), or { error } when it isn't the user's
+ */
+export const resolveFieldParam = async (user, value) => {
+    if (value === undefined || value === null || value === '') return { field: null };
+
+    const field = await findUserField(user, value);
+    return field ? { field } : { error: 'Field not found' };
+};
+
+const isPosition = (position) => Array.isArray(position) &&
+    position.length === 2 &&
+    Number.isFinite(position[0]) && Math.abs(position[0]) <= 180 &&
+    Number.isFinite(position[1]) && Math.abs(position[1]) <= 90;
+
+const isClosedRing = (ring) => Array.isArray(ring) &&
+    ring.length >= 4 &&
+    ring.every(isPosition) &&
+    ring[0][0] === ring[ring.length - 1][0] &&
+    ring[0][1] === ring[ring.length - 1][1];
+
+/**
+ * Check the optional GeoJSON geometries of a field request body
+ * @param {Object} body - { location?, boundary? }
+ * @returns {string|null} - Error message, or null when valid
+ */
+export const validateFieldGeometry = ({ location, boundary } = {}) => {
+    if (location) {
+        if (location.type !== 'Point' || !isPosition(location.coordinates)) {
+            return 'location must be a GeoJSON Point with [longitude, latitude] coordinates';
+        }
+    }
+    if (boundary) {
+        if (boundary.type !== 'Polygon' || !Array.isArray(boundary.coordinates) ||
+            !boundary.coordinates.length || !boundary.coordinates.every(isClosedRing)) {
+            return 'boundary must be a GeoJSON Polygon of closed [longitude, latitude] rings';
+        }
+    }
+    return null;
+};
@@ -0,0 +1,243 @@
+import { countEnd, validateRecurrence } from './recurrenceService.js';
+
+/**
+ * Minimal iCalendar (RFC 5545) support for calendar tasks: serialise tasks
+ * as VEVENTs for export/subscription feeds, and parse VEVENTs from an
+ * uploaded .ics file back into task fields.
+ *
+ * Only what farm tasks need is covered: one-hour events at a UTC time,
+ * DAILY/WEEKLY RRULEs with INTERVAL/COUNT/UNTIL, and EXDATE for skipped
+ * occurrences.
+ */
+
+const PRODUCT_ID = '-//Agri Assistant//Farm Calendar//EN';
+const UID_DOMAIN = 'agri-assistant';
+
+// Task type <-> CATEGORIES value
+const TYPE_CATEGORIES = {
+    watering: 'Watering',
+    fertilizer: 'Fertilizer',
+    pesticide: 'Pest Control',
+    inspection: 'Inspection',
+    prevention: 'Prevention',
+    harvest: 'Harvest',
+    other: 'Farm Task'
+};
+
+const CATEGORY_TYPES = Object.fromEntries(
+    Object.entries(TYPE_CATEGORIES).map(([type, category]) => [category.toLowerCase(), type])
+);
+
+const RRULE_FREQUENCIES = { daily: 'DAILY', weekly: 'WEEKLY' };
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// 2026-10-19T06:00:00Z -> 20261019T060000Z
+const formatDateTime = (date) => {
+    return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+        `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+};
+
+const escapeText = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+    const bytes = Buffer.from(line, 'utf8');
+    if (bytes.length <= 75) return line;
+
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+    for (const char of line) {
+        const size = Buffer.byteLength(char, 'utf8');
+        const limit = parts.length === 0 ? 75 : 74;
+        if (currentBytes + size > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+// RRULE allows COUNT or UNTIL, not both; a task with both stops at whichever
+// comes first, so that one is exported
+const buildRrule = (task) => {
+    const { recurrence } = task;
+    const parts = [`FREQ=${RRULE_FREQUENCIES[recurrence.frequency]}`];
+    if (recurrence.interval && recurrence.interval > 1) parts.push(`INTERVAL=${recurrence.interval}`);
+
+    const until = recurrence.until ? new Date(recurrence.until) : null;
+    if (recurrence.count && (!until || countEnd(task) <= until)) parts.push(`COUNT=${recurrence.count}`);
+    else if (until) parts.push(`UNTIL=${formatDateTime(until)}`);
+    return parts.join(';');
+};
+
+const buildEvent = (task, stamp) => {
+    const description = [task.notes, task.reason && `Why: ${task.reason}`].filter(Boolean).join('\n\n');
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${task._id}@${UID_DOMAIN}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${formatDateTime(task.date)}`,
+        'DURATION:PT1H',
+        `SUMMARY:${escapeText(task.title)}`,
+        `CATEGORIES:${escapeText(TYPE_CATEGORIES[task.type] || TYPE_CATEGORIES.other)}`
+    ];
+
+    if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+
+    if (task.recurrence && task.recurrence.frequency) {
+        lines.push(`RRULE:${buildRrule(task)}`);
+        for (const exception of task.exceptions || []) {
+            if (exception.status === 'skipped') lines.push(`EXDATE:${formatDateTime(exception.date)}`);
+        }
+    } else if (task.completed) {
+        lines.push('X-AGRI-COMPLETED:TRUE');
+    }
+
+    lines.push('END:VEVENT');
+    return lines;
+};
+
+/**
+ * Serialise tasks as an iCalendar document
+ * @param {Array<Object>} tasks - CalendarTask documents
+ * @param {Object} options - { name } calendar display name
+ * @returns {string}
+ */
+export const buildCalendar = (tasks, { name = 'Farm tasks' } = {}) => {
+    const stamp = formatDateTime(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        ...tasks.flatMap(task => buildEvent(task, stamp)),
+        'END:VCALENDAR'
+    ];
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// 20261019, 20261019T060000 or 20261019T060000Z -> Date. Floating and
+// TZID-qualified times are read as UTC; there is no timezone database here.
+const parseDateValue = (value) => {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value.trim());
+    if (!match) return null;
+    const [, year, month, day, hour = '0', minute = '0', second = '0'] = match;
+    return new Date(Date.UTC(+year, +month - 1, +day, +hour, +minute, +second));
+};
+
+// "NAME;PARAM=x:value" -> { name, value }
+const parseProperty = (line) => {
+    const colon = line.indexOf(':');
+    if (colon === -1) return null;
+    const name = line.slice(0, colon).split(';')[0].toUpperCase();
+    return { name, value: line.slice(colon + 1) };
+};
+
+const parseRrule = (value) => {
+    const rule = Object.fromEntries(value.split(';').map(part => part.split('=')));
+    const frequency = Object.keys(RRULE_FREQUENCIES).find(key => RRULE_FREQUENCIES[key] === rule.FREQ);
+    // BYDAY and friends would change which dates occur; don't pretend to support them
+    const unsupported = Object.keys(rule).filter(key => !['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'WKST'].includes(key));
+    if (!frequency || unsupported.length) return null;
+
+    const recurrence = { frequency, interval: rule.INTERVAL ? Number(rule.INTERVAL) : 1 };
+    if (rule.COUNT !== undefined) recurrence.count = Number(rule.COUNT);
+    if (rule.UNTIL) recurrence.until = parseDateValue(rule.UNTIL);
+    // Same rules as the API (e.g. COUNT=0 is invalid), so a bad event can't
+    // fail the insert halfway through an import
+    return validateRecurrence(recurrence) ? null : recurrence;
+};
+
+/**
+ * Parse VEVENTs from an iCalendar document into task fields
+ * @param {string} text - .ics content
+ * @returns {Object} - { tasks: [{ uid, title, type, date, notes, recurrence, exceptions }], warnings: [string] }
+ */
+export const parseCalendar = (text) => {
+    // Unfold continuation lines first
+    const lines = text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+
+    const tasks = [];
+    const warnings = [];
+    let event = null;
+
+    for (const rawLine of lines) {
+        const line = rawLine.trimEnd();
+        if (line === 'BEGIN:VEVENT') {
+            event = { exdates: [] };
+            continue;
+        }
+        if (!event) continue;
+
+        if (line === 'END:VEVENT') {
+            const date = event.dtstart && parseDateValue(event.dtstart);
+            const title = event.summary ? unescapeText(event.summary).trim() : '';
+            if (!date || !title) {
+                warnings.push(`Skipped an event without a valid start date or title${event.uid ? ` (${event.uid})` : ''}`);
+            } else {
+                let recurrence = null;
+                if (event.rrule) {
+                    recurrence = parseRrule(event.rrule);
+                    if (!recurrence) warnings.push(`"${title}": unsupported or invalid repeat rule, imported as a one-off task`);
+                }
+
+                const category = event.categories ? unescapeText(event.categories).split(',')[0].trim().toLowerCase() : '';
+                tasks.push({
+                    uid: event.uid || null,
+                    title: title.slice(0, 200),
+                    type: CATEGORY_TYPES[category] || 'other',
+                    date,
+                    notes: event.description ? unescapeText(event.description) : '',
+                    recurrence,
+                    exceptions: recurrence
+                        ? event.exdates.map(value => ({ date: parseDateValue(value), status: 'skipped' })).filter(item => item.date)
+                        : [],
+                    completed: !recurrence && event.completed === true
+                });
+            }
+            event = null;
+            continue;
+        }
+
+        const property = parseProperty(line);
+        if (!property) continue;
+
+        switch (property.name) {
+            case 'UID': event.uid = property.value.trim(); break;
+            case 'SUMMARY': event.summary = property.value; break;
+            case 'DESCRIPTION': event.description = property.value; break;
+            case 'CATEGORIES': event.categories = property.value; break;
+            case 'DTSTART': event.dtstart = property.value; break;
+            case 'RRULE': event.rrule = property.value; break;
+            case 'EXDATE': event.exdates.push(...property.value.split(',')); break;
+            case 'X-AGRI-COMPLETED': event.completed = property.value.trim() === 'TRUE'; break;
+            default: break;
+        }
+    }
+
+    return { tasks, warnings };
+};
+
+/**
+ * Our own task id from a UID we exported, if it is one
+ * @param {string} uid
+ * @returns {string|null}
+ */
+export const taskIdFromUid = (uid) => {
+    const match = uid && new RegExp(`^([0-9a-f]{24})@${UID_DOMAIN}$`).exec(uid);
+    return match ? match[1] : null;
+};
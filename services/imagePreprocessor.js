@@ -0,0 +1,228 @@
+import { Jimp } from "jimp";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Upload validation and preprocessing for leaf photos, run in Node before
+ * anything is sent to the CNN service.
+ *
+ * 1. Size/type limits and magic-byte sniffing (the declared MIME type is not trusted)
+ * 2. Decode with jimp, which also applies the EXIF orientation
+ * 3. Downscale to MAX_IMAGE_DIMENSION and re-encode as JPEG
+ * 4. Score sharpness and exposure, rejecting photos the model can't use
+ */
+
+const readNumber = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) ? value : fallback;
+};
+
+export const MAX_UPLOAD_BYTES = readNumber('MAX_UPLOAD_BYTES', 10 * 1024 * 1024);
+const MAX_IMAGE_DIMENSION = readNumber('MAX_IMAGE_DIMENSION', 1024);
+const MIN_IMAGE_DIMENSION = readNumber('MIN_IMAGE_DIMENSION', 128);
+const JPEG_QUALITY = readNumber('IMAGE_JPEG_QUALITY', 90);
+const MIN_SHARPNESS = readNumber('IMAGE_MIN_SHARPNESS', 40);
+const MIN_BRIGHTNESS = readNumber('IMAGE_MIN_BRIGHTNESS', 35);
+const MAX_BRIGHTNESS = readNumber('IMAGE_MAX_BRIGHTNESS', 225);
+const MAX_CLIPPED_FRACTION = readNumber('IMAGE_MAX_CLIPPED_FRACTION', 0.4);
+
+// Quality is scored on a small copy; it is plenty for blur/exposure and fast
+const ANALYSIS_DIMENSION = 512;
+
+export const ALLOWED_MIME_TYPES = ['image/jpeg', 'image/png'];
+
+export const IMAGE_ERROR_CODES = Object.freeze({
+    FILE_TOO_LARGE: 'FILE_TOO_LARGE',
+    TOO_MANY_FILES: 'TOO_MANY_FILES',
+    UNSUPPORTED_TYPE: 'UNSUPPORTED_IMAGE_TYPE',
+    BAD_IMAGE: 'BAD_IMAGE',
+    TOO_SMALL: 'IMAGE_TOO_SMALL',
+    TOO_BLURRY: 'IMAGE_TOO_BLURRY',
+    TOO_DARK: 'IMAGE_TOO_DARK',
+    OVEREXPOSED: 'IMAGE_OVEREXPOSED'
+});
+
+const REJECTION_MESSAGES = {
+    [IMAGE_ERROR_CODES.FILE_TOO_LARGE]: `Image is larger than ${Math.round(MAX_UPLOAD_BYTES / (1024 * 1024))} MB`,
+    [IMAGE_ERROR_CODES.UNSUPPORTED_TYPE]: 'Only JPEG and PNG photos are supported',
+    [IMAGE_ERROR_CODES.BAD_IMAGE]: 'Uploaded file is not a readable image',
+    [IMAGE_ERROR_CODES.TOO_SMALL]: `Image is too small; use a photo at least ${MIN_IMAGE_DIMENSION}px on each side`,
+    [IMAGE_ERROR_CODES.TOO_BLURRY]: 'Photo is too blurry. Hold the phone steady and tap the leaf to focus',
+    [IMAGE_ERROR_CODES.TOO_DARK]: 'Photo is too dark. Take it in daylight or move out of the shade',
+    [IMAGE_ERROR_CODES.OVEREXPOSED]: 'Photo is too bright. Avoid direct sunlight or flash on the leaf'
+};
+
+/**
+ * Identify an image format from its first bytes
+ * @param {Buffer} buffer
+ * @returns {string|null} - MIME type, or null when unrecognised
+ */
+export const detectImageType = (buffer) => {
+    if (!buffer || buffer.length < 12) return null;
+
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+        return 'image/jpeg';
+    }
+    if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+        return 'image/png';
+    }
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        return 'image/webp';
+    }
+    return null;
+};
+
+/**
+ * multer fileFilter: reject obviously wrong uploads before they are buffered
+ */
+export const imageFileFilter = (req, file, cb) => {
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+        const error = new Error(REJECTION_MESSAGES[IMAGE_ERROR_CODES.UNSUPPORTED_TYPE]);
+        error.code = IMAGE_ERROR_CODES.UNSUPPORTED_TYPE;
+        return cb(error);
+    }
+    cb(null, true);
+};
+
+/**
+ * Describe a multer error as { status, code, message }
+ * @param {Error} error
+ * @returns {Object}
+ */
+export const describeUploadError = (error) => {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+        return {
+            status: 413,
+            code: IMAGE_ERROR_CODES.FILE_TOO_LARGE,
+            message: REJECTION_MESSAGES[IMAGE_ERROR_CODES.FILE_TOO_LARGE]
+        };
+    }
+    if (error.code === 'LIMIT_FILE_COUNT') {
+        return { status: 400, code: IMAGE_ERROR_CODES.TOO_MANY_FILES, message: 'Too many photos in one request' };
+    }
+    if (error.code === IMAGE_ERROR_CODES.UNSUPPORTED_TYPE) {
+        return { status: 415, code: error.code, message: error.message };
+    }
+    return { status: 400, code: error.code || IMAGE_ERROR_CODES.BAD_IMAGE, message: error.message };
+};
+
+/**
+ * Sharpness and exposure of an image
+ * @param {Object} image - Jimp image (not modified)
+ * @returns {Object} - { sharpness, brightness, darkFraction, brightFraction }
+ */
+export const scoreImageQuality = (image) => {
+    const small = image.clone();
+    if (small.bitmap.width > ANALYSIS_DIMENSION || small.bitmap.height > ANALYSIS_DIMENSION) {
+        small.scaleToFit({ w: ANALYSIS_DIMENSION, h: ANALYSIS_DIMENSION });
+    }
+
+    const { width, height, data } = small.bitmap;
+    const gray = new Float32Array(width * height);
+    let sum = 0;
+    let dark = 0;
+    let bright = 0;
+
+    for (let i = 0; i < width * height; i++) {
+        const luma = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+        gray[i] = luma;
+        sum += luma;
+        if (luma < 16) dark++;
+        if (luma > 240) bright++;
+    }
+
+    // Variance of the Laplacian: low values mean few sharp edges, i.e. blur
+    let lapSum = 0;
+    let lapSumSq = 0;
+    let count = 0;
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            const lap = gray[i - width] + gray[i + width] + gray[i - 1] + gray[i + 1] - 4 * gray[i];
+            lapSum += lap;
+            lapSumSq += lap * lap;
+            count++;
+        }
+    }
+    const lapMean = count ? lapSum / count : 0;
+    const sharpness = count ? lapSumSq / count - lapMean * lapMean : 0;
+
+    const pixels = width * height;
+    return {
+        sharpness: Math.round(sharpness * 10) / 10,
+        brightness: Math.round(sum / pixels),
+        darkFraction: Math.round((dark / pixels) * 1000) / 1000,
+        brightFraction: Math.round((bright / pixels) * 1000) / 1000
+    };
+};
+
+// First quality problem found, if any
+const findQualityProblem = (quality) => {
+    if (quality.brightness < MIN_BRIGHTNESS || quality.darkFraction > MAX_CLIPPED_FRACTION) {
+        return IMAGE_ERROR_CODES.TOO_DARK;
+    }
+    if (quality.brightness > MAX_BRIGHTNESS || quality.brightFraction > MAX_CLIPPED_FRACTION) {
+        return IMAGE_ERROR_CODES.OVEREXPOSED;
+    }
+    if (quality.sharpness < MIN_SHARPNESS) {
+        return IMAGE_ERROR_CODES.TOO_BLURRY;
+    }
+    return null;
+};
+
+const reject = (code, extra = {}) => ({ ok: false, code, message: REJECTION_MESSAGES[code], ...extra });
+
+/**
+ * Validate, normalise and quality-check an uploaded photo
+ * @param {Buffer} buffer - Raw upload
+ * @returns {Promise<Object>} - { ok: true, buffer, mimetype, width, height, quality }
+ *   or { ok: false, code, message, quality? }
+ */
+export const preprocessImage = async (buffer) => {
+    if (buffer.length > MAX_UPLOAD_BYTES) {
+        return reject(IMAGE_ERROR_CODES.FILE_TOO_LARGE);
+    }
+
+    const detectedType = detectImageType(buffer);
+    if (!detectedType) {
+        return reject(IMAGE_ERROR_CODES.BAD_IMAGE);
+    }
+    if (!ALLOWED_MIME_TYPES.includes(detectedType)) {
+        return reject(IMAGE_ERROR_CODES.UNSUPPORTED_TYPE);
+    }
+
+    let image;
+    try {
+        // fromBuffer also rotates the pixels according to EXIF orientation
+        image = await Jimp.fromBuffer(buffer);
+    } catch (error) {
+        return reject(IMAGE_ERROR_CODES.BAD_IMAGE);
+    }
+
+    if (image.bitmap.width < MIN_IMAGE_DIMENSION || image.bitmap.height < MIN_IMAGE_DIMENSION) {
+        return reject(IMAGE_ERROR_CODES.TOO_SMALL);
+    }
+
+    if (image.bitmap.width > MAX_IMAGE_DIMENSION || image.bitmap.height > MAX_IMAGE_DIMENSION) {
+        image.scaleToFit({ w: MAX_IMAGE_DIMENSION, h: MAX_IMAGE_DIMENSION });
+    }
+
+    const quality = scoreImageQuality(image);
+    const problem = findQualityProblem(quality);
+    if (problem) {
+        return reject(problem, { quality });
+    }
+
+    // Re-encoding drops EXIF (already applied) and any trailing junk
+    const output = await image.getBuffer('image/jpeg', { quality: JPEG_QUALITY });
+
+    return {
+        ok: true,
+        buffer: output,
+        mimetype: 'image/jpeg',
+        width: image.bitmap.width,
+        height: image.bitmap.height,
+        quality
+    };
+};
@@ -0,0 +1,145 @@
+/**
+ * JSON schema for crop advice, shared by every LLM provider.
+ *
+ * Written in the OpenAPI-style subset that Gemini accepts as `responseSchema`
+ * (type, properties, required, items, nullable, minItems), and checked on our
+ * side with `validateAgainstSchema` because not every provider enforces it.
+ */
+
+export const ADVICE_SCHEMA = {
+    type: 'object',
+    properties: {
+        cause: { type: 'string', description: 'Primary cause in simple terms' },
+        symptoms: {
+            type: 'array',
+            description: '2-3 visible signs',
+            items: { type: 'string' },
+            minItems: 1
+        },
+        immediate: { type: 'string', description: 'One quick action to stop the spread' },
+        chemical: {
+            type: 'object',
+            nullable: true,
+            description: 'One common pesticide/fungicide, or null if none applies',
+            properties: {
+                product: { type: 'string', description: 'Product name with active ingredient and formulation' },
+                dose: { type: 'number', description: 'Amount per unit of water' },
+                unit: { type: 'string', description: 'Dose unit, e.g. "g per litre of water"' }
+            },
+            required: ['product', 'dose', 'unit']
+        },
+        organic: { type: 'string', description: 'One natural remedy' },
+        prevention: { type: 'string', description: 'One simple tip to avoid future occurrence' }
+    },
+    required: ['cause', 'symptoms', 'immediate', 'chemical', 'organic', 'prevention']
+};
+
+export const ADVICE_FIELDS = ADVICE_SCHEMA.required;
+
+// Used for any field the model did not return correctly
+export const DEFAULT_ADVICE = {
+    cause: 'Unable to determine cause',
+    symptoms: ['Unable to determine symptoms'],
+    immediate: 'Consult agricultural expert',
+    chemical: null,
+    organic: 'Neem oil spray recommended',
+    prevention: 'Maintain proper plant hygiene'
+};
+
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+};
+
+/**
+ * Validate a value against a schema
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} path - Location used in error messages
+ * @returns {Array<string>} - Validation errors, empty when valid
+ */
+export const validateAgainstSchema = (value, schema, path = '$') => {
+    if (value === null && schema.nullable) return [];
+
+    const actual = typeOf(value);
+    if (actual !== schema.type) {
+        return [`${path} must be ${schema.type} but was ${actual}`];
+    }
+
+    const errors = [];
+
+    if (schema.type === 'string' && value.trim() === '') {
+        errors.push(`${path} must not be empty`);
+    }
+
+    if (schema.type === 'number' && !Number.isFinite(value)) {
+        errors.push(`${path} must be a finite number`);
+    }
+
+    if (schema.type === 'array') {
+        if (schema.minItems && value.length < schema.minItems) {
+            errors.push(`${path} must have at least ${schema.minItems} item(s)`);
+        }
+        value.forEach((item, i) => {
+            errors.push(...validateAgainstSchema(item, schema.items, `${path}[${i}]`));
+        });
+    }
+
+    if (schema.type === 'object') {
+        for (const key of schema.required || []) {
+            if (!(key in value)) errors.push(`${path}.${key} is required`);
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (key in value) {
+                errors.push(...validateAgainstSchema(value[key], propertySchema, `${path}.${key}`));
+            }
+        }
+    }
+
+    return errors;
+};
+
+/**
+ * Pull a JSON object out of raw model output, tolerating markdown fences
+ * @param {string} text
+ * @returns {Object} - Parsed object
+ */
+export const parseJsonResponse = (text) => {
+    const trimmed = String(text || '').trim()
+        .replace(/^```(?:json)?\s*/i, '')
+        .replace(/\s*```$/, '');
+
+    const start = trimmed.indexOf('{');
+    const end = trimmed.lastIndexOf('}');
+    if (start === -1 || end < start) {
+        throw new Error('Response does not contain a JSON object');
+    }
+    return JSON.parse(trimmed.slice(start, end + 1));
+};
+
+/**
+ * Keep every valid field from the model and default the rest
+ * @param {Object} candidate - Parsed model output
+ * @returns {Object} - { advice, fieldSources }
+ */
+export const mergeWithDefaults = (candidate) => {
+    const advice = {};
+    const fieldSources = {};
+
+    for (const field of ADVICE_FIELDS) {
+        const fieldErrors = field in candidate
+            ? validateAgainstSchema(candidate[field], ADVICE_SCHEMA.properties[field], field)
+            : [`${field} is required`];
+
+        if (fieldErrors.length === 0) {
+            advice[field] = candidate[field];
+            fieldSources[field] = 'model';
+        } else {
+            advice[field] = DEFAULT_ADVICE[field];
+            fieldSources[field] = 'default';
+        }
+    }
+
+    return { advice, fieldSources };
+};
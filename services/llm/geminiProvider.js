@@ -0,0 +1,74 @@
+import { GoogleGenAI } from "@google/genai";
+
+// Gemini's Schema type expects upper-case type names ("OBJECT", "STRING", ...)
+const toGeminiSchema = (schema) => {
+    const converted = { ...schema, type: schema.type.toUpperCase() };
+    if (schema.items) converted.items = toGeminiSchema(schema.items);
+    if (schema.properties) {
+        converted.properties = Object.fromEntries(
+            Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)])
+        );
+    }
+    return converted;
+};
+
+/**
+ * Google Gemini provider (via @google/genai)
+ */
+class GeminiProvider {
+    constructor() {
+        this.name = 'gemini';
+        this.apiKey = process.env.GEMINI_API_KEY || '';
+        this.model = process.env.GEMINI_MODEL || 'gemini-2.5-flash';
+
+        if (!this.apiKey) {
+            console.warn('⚠️  Warning: GEMINI_API_KEY not found in environment variables');
+        } else {
+            console.log('✓ Gemini API Key loaded');
+            this.ai = new GoogleGenAI({ apiKey: this.apiKey });
+        }
+    }
+
+    isConfigured() {
+        return Boolean(this.apiKey);
+    }
+
+    async generate(prompt, context, { schema } = {}) {
+        const response = await this.ai.models.generateContent({
+            model: this.model,
+            contents: [
+                {
+                    role: "user",
+                    parts: [{ text: prompt }]
+                }
+            ],
+            config: schema
+                ? { responseMimeType: 'application/json', responseSchema: toGeminiSchema(schema) }
+                : undefined
+        });
+
+        return response.text;
+    }
+
+    async *generateStream(prompt, context, { schema, signal } = {}) {
+        const stream = await this.ai.models.generateContentStream({
+            model: this.model,
+            contents: [
+                {
+                    role: "user",
+                    parts: [{ text: prompt }]
+                }
+            ],
+            config: {
+                abortSignal: signal,
+                ...(schema ? { responseMimeType: 'application/json', responseSchema: toGeminiSchema(schema) } : {})
+            }
+        });
+
+        for await (const chunk of stream) {
+            if (chunk.text) yield chunk.text;
+        }
+    }
+}
+
+export default GeminiProvider;
@@ -0,0 +1,86 @@
+/**
+ * Incremental parser for a streamed JSON object.
+ *
+ * Feed it text chunks as they arrive; every time a top-level member of the
+ * object is complete it is returned as a [key, value] pair, so callers can act
+ * on "cause" while "symptoms" is still being generated. Text before the
+ * opening brace (e.g. a ```json fence) is ignored.
+ */
+class JsonSectionParser {
+    constructor() {
+        this.buffer = '';
+        this.position = 0;
+        this.depth = 0;
+        this.inString = false;
+        this.escaped = false;
+        this.memberStart = -1;
+        this.done = false;
+    }
+
+    /**
+     * Add a chunk of model output
+     * @param {string} chunk
+     * @returns {Array<Array>} - Newly completed [key, value] pairs
+     */
+    push(chunk) {
+        const completed = [];
+        if (this.done) return completed;
+
+        this.buffer += chunk;
+
+        for (; this.position < this.buffer.length; this.position++) {
+            const char = this.buffer[this.position];
+
+            if (this.inString) {
+                if (this.escaped) {
+                    this.escaped = false;
+                } else if (char === '\\') {
+                    this.escaped = true;
+                } else if (char === '"') {
+                    this.inString = false;
+                }
+                continue;
+            }
+
+            if (this.depth === 0) {
+                // Waiting for the opening brace of the object
+                if (char === '{') {
+                    this.depth = 1;
+                    this.memberStart = this.position + 1;
+                }
+                continue;
+            }
+
+            if (char === '"') {
+                this.inString = true;
+            } else if (char === '{' || char === '[') {
+                this.depth++;
+            } else if (char === '}' || char === ']') {
+                this.depth--;
+                if (this.depth === 0) {
+                    this.emitMember(completed);
+                    this.done = true;
+                    break;
+                }
+            } else if (char === ',' && this.depth === 1) {
+                this.emitMember(completed);
+                this.memberStart = this.position + 1;
+            }
+        }
+
+        return completed;
+    }
+
+    emitMember(completed) {
+        const member = this.buffer.slice(this.memberStart, this.position).trim();
+        if (!member) return;
+
+        try {
+            completed.push(...Object.entries(JSON.parse(`{${member}}`)));
+        } catch (error) {
+            // A malformed member is skipped; the field is defaulted later
+        }
+    }
+}
+
+export default JsonSectionParser;
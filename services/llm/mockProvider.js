@@ -0,0 +1,35 @@
+/**
+ * Deterministic provider for tests and local development. Always answers in
+ * the advice JSON format for the crop and disease it was asked about.
+ */
+class MockProvider {
+    constructor() {
+        this.name = 'mock';
+        this.model = 'mock-advisor';
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async generate(prompt, { crop, disease } = {}) {
+        return JSON.stringify({
+            cause: `${disease} on ${crop} (mock response).`,
+            symptoms: [`Typical signs of ${disease}.`],
+            immediate: 'Remove affected leaves.',
+            chemical: { product: 'Mock fungicide', dose: 2, unit: 'g per litre of water' },
+            organic: 'Neem oil, 5 ml per litre of water.',
+            prevention: 'Rotate crops and keep the field clean.'
+        });
+    }
+
+    async *generateStream(prompt, context) {
+        const text = await this.generate(prompt, context);
+        // Small fixed-size chunks so section boundaries land mid-chunk
+        for (let i = 0; i < text.length; i += 16) {
+            yield text.slice(i, i + 16);
+        }
+    }
+}
+
+export default MockProvider;
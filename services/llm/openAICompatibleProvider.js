@@ -0,0 +1,80 @@
+import axios from "axios";
+
+/**
+ * Any server exposing the OpenAI chat completions API — OpenAI itself, or a
+ * local model behind Ollama, llama.cpp, vLLM, LM Studio and similar.
+ */
+class OpenAICompatibleProvider {
+    constructor() {
+        this.name = 'openai-compatible';
+        this.baseUrl = (process.env.OPENAI_BASE_URL || '').replace(/\/+$/, '');
+        this.apiKey = process.env.OPENAI_API_KEY || '';
+        this.model = process.env.OPENAI_MODEL || '';
+        this.timeout = parseInt(process.env.OPENAI_TIMEOUT_MS, 10) || 60000;
+    }
+
+    isConfigured() {
+        return Boolean(this.baseUrl && this.model);
+    }
+
+    async generate(prompt, context, { schema } = {}) {
+        const response = await axios.post(
+            `${this.baseUrl}/chat/completions`,
+            {
+                model: this.model,
+                messages: [{ role: 'user', content: prompt }],
+                temperature: 0.3,
+                // JSON mode is widely supported; the schema itself goes in the prompt
+                ...(schema ? { response_format: { type: 'json_object' } } : {})
+            },
+            {
+                headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+                timeout: this.timeout
+            }
+        );
+
+        const choice = response.data.choices && response.data.choices[0];
+        if (!choice || !choice.message || !choice.message.content) {
+            throw new Error('Empty response from OpenAI-compatible endpoint');
+        }
+        return choice.message.content;
+    }
+
+    async *generateStream(prompt, context, { schema, signal } = {}) {
+        const response = await axios.post(
+            `${this.baseUrl}/chat/completions`,
+            {
+                model: this.model,
+                messages: [{ role: 'user', content: prompt }],
+                temperature: 0.3,
+                stream: true,
+                ...(schema ? { response_format: { type: 'json_object' } } : {})
+            },
+            {
+                headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+                timeout: this.timeout,
+                responseType: 'stream',
+                signal
+            }
+        );
+
+        // Server-sent events: "data: {json}" lines, terminated by "data: [DONE]"
+        let pending = '';
+        for await (const chunk of response.data) {
+            pending += chunk.toString('utf8');
+            const lines = pending.split('\n');
+            pending = lines.pop();
+
+            for (const line of lines) {
+                const data = line.replace(/^data:\s*/, '').trim();
+                if (!line.startsWith('data:') || !data) continue;
+                if (data === '[DONE]') return;
+
+                const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+                if (delta) yield delta;
+            }
+        }
+    }
+}
+
+export default OpenAICompatibleProvider;
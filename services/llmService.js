@@ -1,31 +1,56 @@
-import { GoogleGenAI } from "@google/genai";
 import dotenv from "dotenv";
+import GeminiProvider from "./llm/geminiProvider.js";
+import OpenAICompatibleProvider from "./llm/openAICompatibleProvider.js";
+import MockProvider from "./llm/mockProvider.js";
+import JsonSectionParser from "./llm/jsonSectionParser.js";
+import { ADVICE_SCHEMA, ADVICE_FIELDS, DEFAULT_ADVICE, validateAgainstSchema, parseJsonResponse, mergeWithDefaults } from "./llm/adviceSchema.js";
+import { OFFLINE_ADVICE, GENERIC_ADVICE } from "../data/offlineAdvice.js";
+import { findClass, getClassByName } from "../data/diseaseCatalog.js";
+import adviceCache from "./adviceCache.js";
+import { retryWithBackoff, runWithConcurrency } from "./taskQueue.js";
 
 dotenv.config();
 
+// 0 is a valid setting (no retries), so only a missing/invalid value falls back
+const parsedRetries = parseInt(process.env.LLM_MAX_RETRIES, 10);
+const MAX_RETRIES = Number.isNaN(parsedRetries) || parsedRetries < 0 ? 2 : parsedRetries;
+const BATCH_CONCURRENCY = parseInt(process.env.LLM_BATCH_CONCURRENCY, 10) || 3;
+
+const PROVIDER_FACTORIES = {
+    'gemini': () => new GeminiProvider(),
+    'openai-compatible': () => new OpenAICompatibleProvider(),
+    'mock': () => new MockProvider()
+};
+
 class LLMService {
     constructor() {
-        // Initialize Gemini client with @google/genai
-        const apiKey = process.env.GEMINI_API_KEY || '';
-        if (!apiKey) {
-            console.warn('⚠️  Warning: GEMINI_API_KEY not found in environment variables');
-        } else {
-            console.log('✓ Gemini API Key loaded');
-        }
+        // Providers are tried in the order given in LLM_PROVIDERS; the offline
+        // knowledge base is always the last resort
+        const names = (process.env.LLM_PROVIDERS || 'gemini')
+            .split(',')
+            .map(name => name.trim())
+            .filter(Boolean);
 
-        this.ai = new GoogleGenAI(apiKey);
-        this.modelName = 'gemini-2.5-flash';
-        console.log(`✓ Gemini AI initialized with model: ${this.modelName}`);
+        this.providers = names
+            .filter(name => {
+                if (!PROVIDER_FACTORIES[name]) {
+                    console.warn(`⚠️  Unknown LLM provider "${name}" ignored`);
+                    return false;
+                }
+                return true;
+            })
+            .map(name => PROVIDER_FACTORIES[name]());
+
+        const active = this.providers.filter(provider => provider.isConfigured());
+        console.log(`✓ LLM providers: ${active.map(p => `${p.name} (${p.model})`).join(' → ') || 'none'} → offline`);
     }
 
     /**
-     * Generate crop disease advice using Gemini AI
-     * @param {Object} diseaseData - { crop, disease, severity, confidence }
-     * @returns {Promise<Object>} - Structured advice object
+     * Build the advice prompt
+     * @param {Object} diseaseData - { crop, disease, severity, severityScore?, confidence, language }
+     * @returns {string}
      */
-    async generateCropAdvice(diseaseData) {
-        const { crop, disease, severity, confidence, language } = diseaseData;
-
+    buildPrompt({ crop, disease, severity, severityScore, confidence, language }) {
         // Language instruction
         const langInstructions = {
             'te': 'Provide the response in Telugu language (తెలుగు).',
@@ -34,115 +59,370 @@ class LLMService {
         };
         const langInstruction = langInstructions[language] || langInstructions['en'];
 
-        // Create the prompt
-        const prompt = `You are an expert agricultural advisor. A farmer has a ${crop} plant infected with ${disease}. The severity is ${severity} and detection confidence is ${(confidence * 100).toFixed(0)}%.
-${langInstruction}
+        // Measured from the photo by severityService when available
+        const affected = typeof severityScore === 'number'
+            ? ` (about ${Math.round(severityScore * 100)}% of the leaf area affected)`
+            : '';
 
-Provide concise, practical advice in the following exact format (keep each point to one short sentence):
+        return `You are an expert agricultural advisor. A farmer has a ${crop} plant infected with ${disease}. The severity is ${severity}${affected} and detection confidence is ${(confidence * 100).toFixed(0)}%.
+${langInstruction} Write the values in that language but keep the JSON keys in English exactly as shown.
 
-CAUSE: [State the primary cause in simple terms]
+Reply with only a JSON object matching this schema (keep each text value to one short sentence):
+${JSON.stringify(ADVICE_SCHEMA, null, 2)}
 
-SYMPTOMS: [List 2-3 visible signs]
+- cause: the primary cause in simple terms
+- symptoms: 2-3 visible signs, one per array item
+- immediate: one quick action to stop the spread
+- chemical: one common pesticide/fungicide split into product, numeric dose and unit, or null if no chemical applies
+- organic: one natural remedy
+- prevention: one simple tip to avoid future occurrence
 
-IMMEDIATE: [One quick action to stop the spread]
+Keep the language simple and practical for farmers. Focus on actionable advice. Match the urgency to the severity: for mild cases favour removing spots and organic care, for severe cases say so plainly in the immediate step. If confidence is below 60%, mention a mild caution in the immediate step.`;
+    }
 
-CHEMICAL: [One common pesticide/fungicide with dosage]
+    /**
+     * Generate crop disease advice, served from the advice cache when possible
+     * @param {Object} diseaseData - { crop, disease, severity, confidence, language, className? }
+     * @returns {Promise<Object>} - Structured advice object
+     */
+    async generateCropAdvice(diseaseData) {
+        const cacheEntry = adviceCache.describe(diseaseData);
 
-ORGANIC: [One natural remedy]
+        const cached = await this.lookupCache(cacheEntry, diseaseData);
+        if (cached) return cached;
 
-PREVENTION: [One simple tip to avoid future occurrence]
+        const advice = await this.generateFreshAdvice(diseaseData);
+        advice.metadata.cached = false;
+        this.storeInCache(cacheEntry, advice);
 
-Keep the language simple and practical for farmers. Focus on actionable advice. If confidence is below 60%, mention a mild caution in the IMMEDIATE step.`;
+        return advice;
+    }
 
+    /**
+     * Cached advice for a request, with metadata adjusted to the caller
+     * @param {Object} cacheEntry - Output of adviceCache.describe
+     * @param {Object} diseaseData
+     * @returns {Promise<Object|null>}
+     */
+    async lookupCache(cacheEntry, diseaseData) {
         try {
-            console.log(`🤖 Generating AI advice for ${crop} - ${disease}...`);
-
-            const response = await this.ai.models.generateContent({
-                model: this.modelName,
-                contents: [
-                    {
-                        role: "user",
-                        parts: [{ text: prompt }]
+            const cached = await adviceCache.get(cacheEntry.key);
+            if (!cached) return null;
+
+            console.log(`⚡ Advice cache hit for ${cacheEntry.key}`);
+            // A deep copy: callers may change the advice, and the entry is shared by later hits
+            const advice = structuredClone(cached.advice);
+            return {
+                ...advice,
+                metadata: {
+                    ...advice.metadata,
+                    confidence: diseaseData.confidence,
+                    cached: true,
+                    cacheAgeSeconds: Math.round((Date.now() - cached.createdAt) / 1000)
+                }
+            };
+        } catch (error) {
+            console.error('⚠️  Advice cache lookup failed:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Cache advice in the background. Only complete model answers are kept:
+     * offline or partly defaulted advice should be retried against the LLM
+     * next time.
+     * @param {Object} cacheEntry - Output of adviceCache.describe
+     * @param {Object} advice
+     */
+    storeInCache(cacheEntry, advice) {
+        const complete = Object.values(advice.fieldSources).every(source => source === 'model');
+        if (!complete) return;
+
+        adviceCache.set(cacheEntry, advice).catch(error => {
+            console.error('⚠️  Failed to store advice in cache:', error.message);
+        });
+    }
+
+    /**
+     * Stream advice one section at a time as the provider produces it.
+     * Sections are validated individually; there is no retry once output has
+     * been sent, so missing or invalid sections are defaulted at the end (or
+     * taken from the offline knowledge base if the stream broke off).
+     * @param {Object} diseaseData - { crop, disease, severity, confidence, language, className? }
+     * @param {Object} options - { signal } aborts the upstream request
+     * @yields {Object} - { type: 'section', field, value, source }, then { type: 'done', advice }
+     */
+    async *streamCropAdvice(diseaseData, { signal } = {}) {
+        const cacheEntry = adviceCache.describe(diseaseData);
+
+        const cached = await this.lookupCache(cacheEntry, diseaseData);
+        if (cached) {
+            for (const field of ADVICE_FIELDS) {
+                yield { type: 'section', field, value: cached[field], source: cached.fieldSources[field] };
+            }
+            yield { type: 'done', advice: cached };
+            return;
+        }
+
+        const { crop, disease, severity, confidence, language } = diseaseData;
+        const prompt = this.buildPrompt(diseaseData);
+        const received = {};
+        let answeredBy = null;
+        let brokeOff = false;
+
+        for (const provider of this.providers) {
+            if (!provider.isConfigured() || !provider.generateStream) continue;
+
+            const parser = new JsonSectionParser();
+            try {
+                console.log(`🤖 Streaming AI advice for ${crop} - ${disease} with ${provider.name}...`);
+
+                const stream = provider.generateStream(prompt, diseaseData, { schema: ADVICE_SCHEMA, signal });
+                for await (const chunk of stream) {
+                    for (const [field, value] of parser.push(chunk)) {
+                        const fieldSchema = ADVICE_SCHEMA.properties[field];
+                        if (!fieldSchema || field in received) continue;
+                        if (validateAgainstSchema(value, fieldSchema, field).length > 0) continue;
+
+                        received[field] = value;
+                        answeredBy = provider;
+                        yield { type: 'section', field, value, source: 'model' };
                     }
-                ],
-            });
+                }
+                if (answeredBy) break;
+            } catch (error) {
+                if (signal && signal.aborted) return;
+
+                console.error(`❌ Error streaming crop advice with ${provider.name}:`, error.message);
+                // Once sections have been sent we can't switch provider mid-answer
+                if (answeredBy) {
+                    brokeOff = true;
+                    break;
+                }
+            }
+        }
+
+        if (signal && signal.aborted) return;
+
+        if (!answeredBy) {
+            console.warn(`⚠️  All LLM providers failed, streaming offline advice for ${crop} - ${disease}`);
+        }
+
+        const offline = this.getOfflineAdvice(diseaseData);
+        const advice = { fieldSources: {} };
 
-            const output = response.text;
-            console.log('✅ AI response received successfully');
+        for (const field of ADVICE_FIELDS) {
+            if (field in received) {
+                advice[field] = received[field];
+                advice.fieldSources[field] = 'model';
+                continue;
+            }
 
-            // Parse the response
-            const advice = this.parseAdviceResponse(output);
+            const useOffline = !answeredBy || brokeOff;
+            advice[field] = useOffline ? offline[field] : DEFAULT_ADVICE[field];
+            advice.fieldSources[field] = useOffline ? 'offline' : 'default';
+            yield { type: 'section', field, value: advice[field], source: advice.fieldSources[field] };
+        }
 
-            // Add metadata
-            advice.metadata = {
+        advice.metadata = answeredBy
+            ? {
                 crop,
                 disease,
                 severity,
                 confidence,
+                language: language || 'en',
                 generatedAt: new Date().toISOString(),
-                // source: 'gemini-ai',
-                model: this.modelName
-            };
-
-            return advice;
-        } catch (error) {
-            console.error('❌ Error generating crop advice with Gemini API:', error.message);
-            if (error.status) {
-                console.error('   Status:', error.status, error.statusText);
+                source: answeredBy.name,
+                model: answeredBy.model,
+                cached: false
             }
+            : { ...offline.metadata, cached: false };
+
+        this.storeInCache(cacheEntry, advice);
+        yield { type: 'done', advice };
+    }
+
+    /**
+     * Generate crop disease advice, failing over between providers
+     * @param {Object} diseaseData - { crop, disease, severity, confidence, language, className? }
+     * @returns {Promise<Object>} - Structured advice object
+     */
+    async generateFreshAdvice(diseaseData) {
+        const { crop, disease, severity, confidence, language } = diseaseData;
+        const prompt = this.buildPrompt(diseaseData);
 
-            // Throw error instead of using fallback
-            throw new Error(`Failed to generate advice from Gemini AI: ${error.message}`);
+        for (const provider of this.providers) {
+            if (!provider.isConfigured()) continue;
+
+            try {
+                console.log(`🤖 Generating AI advice for ${crop} - ${disease} with ${provider.name}...`);
+
+                const { advice, fieldSources } = await this.requestStructuredAdvice(provider, prompt, diseaseData);
+                console.log('✅ AI response received successfully');
+
+                advice.fieldSources = fieldSources;
+
+                // Add metadata
+                advice.metadata = {
+                    crop,
+                    disease,
+                    severity,
+                    confidence,
+                    language: language || 'en',
+                    generatedAt: new Date().toISOString(),
+                    source: provider.name,
+                    model: provider.model
+                };
+
+                return advice;
+            } catch (error) {
+                console.error(`❌ Error generating crop advice with ${provider.name}:`, error.message);
+                if (error.status) {
+                    console.error('   Status:', error.status, error.statusText);
+                }
+            }
         }
+
+        console.warn(`⚠️  All LLM providers failed, using offline advice for ${crop} - ${disease}`);
+        return this.getOfflineAdvice(diseaseData);
     }
 
     /**
-     * Parse the LLM response into structured format
-     * @param {string} text - Raw LLM response
-     * @returns {Object} - Parsed advice object
+     * Call a provider, backing off and retrying on rate limits and 5xx errors
+     * @param {Object} provider
+     * @param {string} prompt
+     * @param {Object} diseaseData
+     * @param {Object} options - { schema }
+     * @returns {Promise<string>} - Raw model output
      */
-    parseAdviceResponse(text) {
-        const advice = {
-            cause: '',
-            symptoms: '',
-            immediate: '',
-            chemical: '',
-            organic: '',
-            prevention: ''
-        };
+    callProvider(provider, prompt, diseaseData, options) {
+        return retryWithBackoff(
+            () => provider.generate(prompt, diseaseData, options),
+            { retries: MAX_RETRIES }
+        );
+    }
 
-        try {
-            // Extract each field using regex
-            const causeMatch = text.match(/CAUSE:\s*(.+?)(?=\n\n|SYMPTOMS:|$)/is);
-            const symptomsMatch = text.match(/SYMPTOMS:\s*(.+?)(?=\n\n|IMMEDIATE:|$)/is);
-            const immediateMatch = text.match(/IMMEDIATE:\s*(.+?)(?=\n\n|CHEMICAL:|$)/is);
-            const chemicalMatch = text.match(/CHEMICAL:\s*(.+?)(?=\n\n|ORGANIC:|$)/is);
-            const organicMatch = text.match(/ORGANIC:\s*(.+?)(?=\n\n|PREVENTION:|$)/is);
-            const preventionMatch = text.match(/PREVENTION:\s*(.+?)(?=\n\n|$)/is);
-
-            advice.cause = causeMatch ? causeMatch[1].trim() : 'Unable to determine cause';
-            advice.symptoms = symptomsMatch ? symptomsMatch[1].trim() : 'Unable to determine symptoms';
-            advice.immediate = immediateMatch ? immediateMatch[1].trim() : 'Consult agricultural expert';
-            advice.chemical = chemicalMatch ? chemicalMatch[1].trim() : 'Consult local agriculture office';
-            advice.organic = organicMatch ? organicMatch[1].trim() : 'Neem oil spray recommended';
-            advice.prevention = preventionMatch ? preventionMatch[1].trim() : 'Maintain proper plant hygiene';
+    /**
+     * Ask a provider for schema-conforming advice. Invalid output gets one
+     * retry with the validation errors; if it is still invalid, valid fields
+     * are kept and the rest defaulted.
+     * @param {Object} provider
+     * @param {string} prompt
+     * @param {Object} diseaseData
+     * @returns {Promise<Object>} - { advice, fieldSources }
+     */
+    async requestStructuredAdvice(provider, prompt, diseaseData) {
+        const options = { schema: ADVICE_SCHEMA };
+        let candidate = null;
+        let errors;
 
+        // Provider errors propagate so the caller can fail over; only bad
+        // output earns a retry
+        const firstReply = await this.callProvider(provider, prompt, diseaseData, options);
+        try {
+            candidate = parseJsonResponse(firstReply);
+            errors = validateAgainstSchema(candidate, ADVICE_SCHEMA);
         } catch (error) {
-            console.error('⚠️  Error parsing advice response:', error);
-            throw new Error('Failed to parse AI response');
+            errors = [error.message];
+        }
+
+        if (errors.length > 0) {
+            console.warn(`⚠️  Invalid advice from ${provider.name}, retrying: ${errors.join('; ')}`);
+
+            const retryPrompt = `${prompt}
+
+Your previous reply was rejected for these reasons:
+${errors.map(error => `- ${error}`).join('\n')}
+Reply again with only a JSON object that matches the schema.`;
+
+            const retryReply = await this.callProvider(provider, retryPrompt, diseaseData, options);
+            try {
+                candidate = parseJsonResponse(retryReply);
+            } catch (error) {
+                // Keep whatever the first attempt produced
+                if (!candidate) throw error;
+            }
+        }
+
+        if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) {
+            throw new Error('Provider did not return a JSON object');
         }
 
+        return mergeWithDefaults(candidate);
+    }
+
+    /**
+     * Curated advice from the offline knowledge base
+     * @param {Object} diseaseData - { crop, disease, severity, confidence, language, className? }
+     * @returns {Object} - Structured advice object
+     */
+    getOfflineAdvice({ crop, disease, severity, confidence, language, className }) {
+        const entry = (className && getClassByName(className)) || findClass(crop, disease);
+        const curated = entry ? OFFLINE_ADVICE[entry.className] : null;
+        const source = curated || GENERIC_ADVICE;
+
+        const advice = {};
+        const fieldSources = {};
+        for (const field of ADVICE_FIELDS) {
+            advice[field] = source[field];
+            fieldSources[field] = 'offline';
+        }
+        advice.fieldSources = fieldSources;
+
+        advice.metadata = {
+            crop,
+            disease,
+            severity,
+            confidence,
+            // Offline advice is only curated in English
+            language: 'en',
+            requestedLanguage: language || 'en',
+            generatedAt: new Date().toISOString(),
+            source: 'offline',
+            model: curated ? `offline-kb:${entry.className}` : 'offline-kb:generic'
+        };
+
         return advice;
     }
 
     /**
-     * Batch generate advice for multiple diseases
+     * Batch generate advice for multiple diseases. Identical items (same
+     * cache key) are generated once, at most BATCH_CONCURRENCY run at a time,
+     * and one failure never sinks the rest of the batch.
      * @param {Array} diseaseDataArray
-     * @returns {Promise<Array>}
+     * @param {Object} options - { concurrency }
+     * @returns {Promise<Array>} - [{ index, success, data } | { index, success: false, error }]
      */
-    async generateBatchAdvice(diseaseDataArray) {
-        const promises = diseaseDataArray.map(data => this.generateCropAdvice(data));
-        return Promise.all(promises);
+    async generateBatchAdvice(diseaseDataArray, { concurrency = BATCH_CONCURRENCY } = {}) {
+        const uniqueItems = new Map();
+        const itemKeys = diseaseDataArray.map(data => {
+            const { key } = adviceCache.describe(data);
+            if (!uniqueItems.has(key)) uniqueItems.set(key, data);
+            return key;
+        });
+
+        const keys = [...uniqueItems.keys()];
+        const settled = await runWithConcurrency(
+            keys,
+            concurrency,
+            key => this.generateCropAdvice(uniqueItems.get(key))
+        );
+        const byKey = new Map(keys.map((key, i) => [key, settled[i]]));
+
+        return diseaseDataArray.map((data, index) => {
+            const outcome = byKey.get(itemKeys[index]);
+            if (outcome.status === 'rejected') {
+                return { index, success: false, error: outcome.reason.message };
+            }
+            return {
+                index,
+                success: true,
+                data: {
+                    ...outcome.value,
+                    metadata: { ...outcome.value.metadata, confidence: data.confidence }
+                }
+            };
+        });
     }
 }
 
@@ -0,0 +1,265 @@
+import dotenv from 'dotenv';
+import CommunityPost from '../models/CommunityPost.js';
+import Report from '../models/Report.js';
+import ModerationLog from '../models/ModerationLog.js';
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import { REPUTATION_POINTS, awardReputation } from './reputationService.js';
+
+dotenv.config();
+
+/**
+ * Community moderation: hiding/restoring posts and comments, posting bans,
+ * reports and the audit log.
+ *
+ * Hidden content is kept for moderators but left out of the feed and comment
+ * lists, and a post's commentCount/expertAnswerCount only count visible
+ * comments. Every decision, including automatic ones (report threshold,
+ * content filter), is written to ModerationLog.
+ */
+
+// Open reports on one post/comment that hide it until a moderator decides
+export const REPORT_HIDE_THRESHOLD = parseInt(process.env.REPORT_HIDE_THRESHOLD, 10) || 3;
+
+/**
+ * Write an audit log entry
+ * @param {Object} entry - { moderator, action, targetType, post, comment, targetUser, reason, details }
+ * @returns {Promise<Object>}
+ */
+export const logModeration = (entry) => ModerationLog.create({ moderator: null, ...entry });
+
+/**
+ * Whether a user is currently banned from posting
+ * @param {Object} user
+ * @returns {boolean}
+ */
+export const isPostingBanned = (user) => Boolean(user.postingBannedUntil && user.postingBannedUntil > new Date());
+
+// Counter changes when a comment appears in or disappears from the thread
+const commentCounters = (comment, sign) => ({
+    commentCount: sign,
+    expertAnswerCount: comment.isExpert ? sign : 0
+});
+
+// Reputation an answer earned its author (see reputationService)
+const answerPoints = (post, comment) => {
+    const likes = comment.likes.filter(id => !id.equals(comment.user)).length;
+    const accepted = post.acceptedComment && post.acceptedComment.equals(comment._id) && !comment.user.equals(post.user);
+    return likes * REPUTATION_POINTS.answerLike + (accepted ? REPUTATION_POINTS.acceptedAnswer : 0);
+};
+
+/**
+ * Hide or restore a post
+ * @param {Object} post - CommunityPost document
+ * @param {boolean} hidden
+ * @param {Object} options - { moderator, reason, hiddenReason: 'reports' | 'moderator' | 'filter', action, details }
+ * @returns {Promise<boolean>} - false when the post was already in that state
+ */
+export const setPostHidden = async (post, hidden, { moderator = null, reason = '', hiddenReason = 'moderator', action, details } = {}) => {
+    const result = await CommunityPost.updateOne(
+        { _id: post._id, hidden: hidden ? { $ne: true } : true },
+        hidden
+            ? { hidden: true, hiddenReason, hiddenAt: new Date() }
+            : { hidden: false, hiddenReason: '', $unset: { hiddenAt: 1 } }
+    );
+    if (!result.modifiedCount) return false;
+
+    await logModeration({
+        moderator: moderator ? moderator._id : null,
+        action: action || (hidden ? 'hide' : 'restore'),
+        targetType: 'post',
+        post: post._id,
+        targetUser: post.user,
+        reason,
+        details
+    });
+    return true;
+};
+
+/**
+ * Hide or restore a comment
+ * @param {Object} post - CommunityPost document containing the comment
+ * @param {Object} comment - Comment subdocument
+ * @param {boolean} hidden
+ * @param {Object} options - as for setPostHidden()
+ * @returns {Promise<boolean>} - false when the comment was already in that state
+ */
+export const setCommentHidden = async (post, comment, hidden, { moderator = null, reason = '', hiddenReason = 'moderator', action, details } = {}) => {
+    const result = await CommunityPost.updateOne(
+        { _id: post._id, comments: { $elemMatch: { _id: comment._id, hidden: hidden ? { $ne: true } : true } } },
+        {
+            ...(hidden
+                ? { 'comments.$.hidden': true, 'comments.$.hiddenReason': hiddenReason, 'comments.$.hiddenAt': new Date() }
+                : { 'comments.$.hidden': false, 'comments.$.hiddenReason': '', $unset: { 'comments.$.hiddenAt': 1 } }),
+            $inc: commentCounters(comment, hidden ? -1 : 1)
+        }
+    );
+    if (!result.modifiedCount) return false;
+
+    await logModeration({
+        moderator: moderator ? moderator._id : null,
+        action: action || (hidden ? 'hide' : 'restore'),
+        targetType: 'comment',
+        post: post._id,
+        comment: comment._id,
+        targetUser: comment.user,
+        reason,
+        details
+    });
+    return true;
+};
+
+/**
+ * Close the open reports on a post or comment
+ * @param {Object} target - { post, comment } ids (comment null for the post itself)
+ * @param {string} status - 'actioned' or 'dismissed'
+ * @param {Object} moderator - User document, or null
+ * @returns {Promise<number>} - Reports closed
+ */
+export const resolveReports = async ({ post, comment = null }, status, moderator = null) => {
+    const result = await Report.updateMany(
+        { post, comment, status: 'open' },
+        { status, resolvedBy: moderator ? moderator._id : undefined, resolvedAt: new Date() }
+    );
+    return result.modifiedCount;
+};
+
+/**
+ * Record a user's report and hide the content once it reaches REPORT_HIDE_THRESHOLD
+ * @param {Object} reporter - User document
+ * @param {Object} post - CommunityPost document
+ * @param {Object|null} comment - Comment subdocument, or null to report the post
+ * @param {Object} body - { reason, details }
+ * @returns {Promise<Object>} - { report, hidden }
+ * @throws {Error} - Mongo duplicate-key error (code 11000) when already reported by this user
+ */
+export const fileReport = async (reporter, post, comment, { reason, details }) => {
+    const report = await Report.create({
+        reporter: reporter._id,
+        post: post._id,
+        comment: comment ? comment._id : null,
+        reason,
+        details
+    });
+
+    const updated = comment
+        ? await CommunityPost.findOneAndUpdate(
+            { _id: post._id, 'comments._id': comment._id },
+            { $inc: { 'comments.$.reportCount': 1 } },
+            { new: true, projection: { comments: { $elemMatch: { _id: comment._id } } } }
+        )
+        : await CommunityPost.findByIdAndUpdate(post._id, { $inc: { reportCount: 1 } }, { new: true, projection: { reportCount: 1 } });
+
+    const openReports = await Report.countDocuments({ post: post._id, comment: comment ? comment._id : null, status: 'open' });
+    if (!updated || openReports < REPORT_HIDE_THRESHOLD) {
+        return { report, hidden: false };
+    }
+
+    const options = {
+        hiddenReason: 'reports',
+        action: 'auto_hide',
+        reason: `${openReports} open reports`,
+        details: { reportCount: openReports }
+    };
+    const hidden = comment
+        ? await setCommentHidden(post, updated.comments[0], true, options)
+        : await setPostHidden(post, true, options);
+
+    return { report, hidden };
+};
+
+/**
+ * Publish content the filter wants a moderator to see: hide it and open a
+ * system report so it shows up in the review queue
+ * @param {Object} post - CommunityPost document
+ * @param {Object|null} comment - Comment subdocument, or null for the post
+ * @param {Array<string>} reasons - From the content filter
+ * @returns {Promise<void>}
+ */
+export const holdForReview = async (post, comment, reasons) => {
+    const options = { hiddenReason: 'filter', action: 'filter_hold', reason: reasons.join('; ') };
+    if (comment) {
+        await setCommentHidden(post, comment, true, options);
+    } else {
+        await setPostHidden(post, true, options);
+    }
+    await Report.create({
+        reporter: null,
+        post: post._id,
+        comment: comment ? comment._id : null,
+        reason: 'spam',
+        details: `Content filter: ${reasons.join('; ')}`.slice(0, 500)
+    });
+};
+
+/**
+ * Remove a comment from its post, keeping counters and reputation in step
+ * @param {Object} post - CommunityPost document
+ * @param {Object} comment - Comment subdocument
+ * @returns {Promise<void>}
+ */
+export const deleteComment = async (post, comment) => {
+    const accepted = post.acceptedComment && post.acceptedComment.equals(comment._id);
+    await CommunityPost.updateOne(
+        { _id: post._id },
+        {
+            $pull: { comments: { _id: comment._id } },
+            ...(comment.hidden ? {} : { $inc: commentCounters(comment, -1) }),
+            ...(accepted ? { acceptedComment: null, $unset: { acceptedAt: 1 } } : {})
+        }
+    );
+
+    // Take back the points the answer earned
+    await awardReputation(comment.user, -answerPoints(post, comment));
+    await Report.updateMany({ post: post._id, comment: comment._id, status: 'open' }, { status: 'dismissed', resolvedAt: new Date() });
+    await Notification.deleteMany({ post: post._id, comment: comment._id });
+};
+
+/**
+ * Delete a post, its reports and the reputation its answers earned
+ * @param {Object} post - CommunityPost document (with comments)
+ * @returns {Promise<void>}
+ */
+export const deletePost = async (post) => {
+    for (const comment of post.comments) {
+        await awardReputation(comment.user, -answerPoints(post, comment));
+    }
+    await post.deleteOne();
+    await Report.updateMany({ post: post._id, status: 'open' }, { status: 'dismissed', resolvedAt: new Date() });
+    // Nothing left to open from these
+    await Notification.deleteMany({ post: post._id });
+};
+
+/**
+ * Ban a user from posting and commenting
+ * @param {Object} user - User document to ban
+ * @param {Object} moderator - User document
+ * @param {Object} options - { days (omit for an indefinite ban), reason }
+ * @returns {Promise<Date>} - Ban end
+ */
+export const banUser = async (user, moderator, { days, reason = '' }) => {
+    // "Indefinite" is far enough out that a date comparison still works
+    const until = days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : new Date('9999-12-31T00:00:00Z');
+    await User.updateOne({ _id: user._id }, { postingBannedUntil: until, banReason: reason });
+    await logModeration({
+        moderator: moderator._id,
+        action: 'ban',
+        targetType: 'user',
+        targetUser: user._id,
+        reason,
+        details: { bannedUntil: until, days: days || null }
+    });
+    return until;
+};
+
+/**
+ * Lift a posting ban
+ * @param {Object} user - User document
+ * @param {Object} moderator - User document
+ * @param {string} reason
+ * @returns {Promise<void>}
+ */
+export const unbanUser = async (user, moderator, reason = '') => {
+    await User.updateOne({ _id: user._id }, { postingBannedUntil: null, banReason: '' });
+    await logModeration({ moderator: moderator._id, action: 'unban', targetType: 'user', targetUser: user._id, reason });
+};
@@ -0,0 +1,227 @@
+import AppSettings from '../models/AppSettings.js';
+import Notification, { NOTIFICATION_CHANNELS, NOTIFICATION_TYPES } from '../models/Notification.js';
+import User from '../models/User.js';
+import { sendSms } from './smsService.js';
+import { sendPush } from './pushService.js';
+
+/**
+ * Notifications for calendar reminders and community activity.
+ *
+ * `notify()` stores a Notification (the in-app inbox entry) and hands it to
+ * each channel the recipient has turned on for that category in
+ * AppSettings.notifications. Channels are pluggable like SMS providers: each
+ * implements send(notification, { user, preferences }) and returns 'sent' or
+ * 'skipped'; a throw is recorded as 'failed'. Delivery problems never reach
+ * the caller, so a broken gateway can't fail a comment or a like.
+ */
+
+// Preference category for each notification type
+export const NOTIFICATION_CATEGORIES = {
+    task_due: 'tasks',
+    task_overdue: 'tasks',
+    post_comment: 'replies',
+    answer_accepted: 'replies',
+    expert_feedback: 'replies',
+    post_like: 'likes',
+    comment_like: 'likes'
+};
+
+export const DEFAULT_NOTIFICATION_PREFERENCES = Object.freeze({
+    tasks: ['in_app'],
+    replies: ['in_app'],
+    likes: ['in_app'],
+    reminderLeadHours: 24,
+    pushToken: ''
+});
+
+const SMS_MAX_LENGTH = 160;
+
+const excerpt = (text, length = 120) => {
+    const value = String(text || '').replace(/\s+/g, ' ').trim();
+    return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+};
+
+const dayOf = (date) => new Date(date).toISOString().slice(0, 10);
+
+const actorName = (actor) => (actor && actor.name) || 'Someone';
+
+// Title and body for each type, from the context passed to notify()
+const MESSAGES = {
+    task_due: ({ task, occurrenceDate }) => ({
+        title: `Upcoming: ${task.title}`,
+        body: `Due ${dayOf(occurrenceDate || task.date)}`
+    }),
+    task_overdue: ({ task, occurrenceDate }) => ({
+        title: `Overdue: ${task.title}`,
+        body: `Was due ${dayOf(occurrenceDate || task.date)}. Mark it done or move it to a new date.`
+    }),
+    post_comment: ({ actor, post, comment }) => ({
+        title: post.type === 'question'
+            ? `${actorName(actor)} answered your question`
+            : `${actorName(actor)} commented on your post`,
+        body: excerpt(comment.text)
+    }),
+    post_like: ({ actor, post }) => ({
+        title: `${actorName(actor)} liked your post`,
+        body: excerpt(post.title)
+    }),
+    comment_like: ({ actor, comment }) => ({
+        title: `${actorName(actor)} liked your answer`,
+        body: excerpt(comment.text)
+    }),
+    answer_accepted: ({ post }) => ({
+        title: 'Your answer was accepted',
+        body: excerpt(post.title)
+    }),
+    expert_feedback: ({ actor, feedback }) => ({
+        title: `${actorName(actor)} reviewed your diagnosis`,
+        body: feedback.verdict === 'confirm'
+            ? `Confirmed: ${feedback.disease}`
+            : `Suggested instead: ${feedback.disease}`
+    })
+};
+
+const channels = {
+    // The stored Notification is the inbox entry; nothing else to do
+    in_app: {
+        name: 'in_app',
+        async send() {
+            return 'sent';
+        }
+    },
+    sms: {
+        name: 'sms',
+        async send(notification, { user }) {
+            if (!user || !user.phoneNumber) return 'skipped';
+            const text = notification.body ? `${notification.title}: ${notification.body}` : notification.title;
+            await sendSms(user.phoneNumber, excerpt(text, SMS_MAX_LENGTH));
+            return 'sent';
+        }
+    },
+    push: {
+        name: 'push',
+        async send(notification, { preferences }) {
+            if (!preferences.pushToken) return 'skipped';
+            await sendPush(preferences.pushToken, {
+                title: notification.title,
+                body: notification.body,
+                data: { notificationId: String(notification._id), type: notification.type }
+            });
+            return 'sent';
+        }
+    }
+};
+
+/**
+ * Replace the transport behind a channel (e.g. a fake in tests, or a
+ * different push gateway)
+ * @param {Object} channel - { name: one of NOTIFICATION_CHANNELS, send(notification, { user, preferences }) }
+ */
+export const registerNotificationChannel = (channel) => {
+    if (!NOTIFICATION_CHANNELS.includes(channel.name)) {
+        throw new Error(`Unknown notification channel: ${channel.name}`);
+    }
+    channels[channel.name] = channel;
+};
+
+/**
+ * A user's notification preferences with defaults filled in
+ * @param {Object|string} userId
+ * @returns {Promise<Object>} - { tasks, replies, likes, reminderLeadHours, pushToken }
+ */
+export const getNotificationPreferences = async (userId) => {
+    const settings = await AppSettings.findOne({ user: userId }).select('notifications').lean();
+    return { ...DEFAULT_NOTIFICATION_PREFERENCES, ...(settings && settings.notifications) };
+};
+
+/**
+ * Check notification preferences from a settings request body
+ * @param {Object} value - Partial { tasks, replies, likes, reminderLeadHours, pushToken }
+ * @returns {string|null} - Error message, or null when valid
+ */
+export const validateNotificationPreferences = (value) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return 'notifications must be an object';
+    }
+    for (const [key, setting] of Object.entries(value)) {
+        if (['tasks', 'replies', 'likes'].includes(key)) {
+            if (!Array.isArray(setting) || setting.some(channel => !NOTIFICATION_CHANNELS.includes(channel))) {
+                return `notifications.${key} must be a list of: ${NOTIFICATION_CHANNELS.join(', ')}`;
+            }
+        } else if (key === 'reminderLeadHours') {
+            if (!Number.isInteger(setting) || setting < 1 || setting > 168) {
+                return 'notifications.reminderLeadHours must be a whole number between 1 and 168';
+            }
+        } else if (key === 'pushToken') {
+            if (typeof setting !== 'string' || setting.length > 4096) {
+                return 'notifications.pushToken must be a string';
+            }
+        } else {
+            return `Unknown notification setting "${key}"`;
+        }
+    }
+    return null;
+};
+
+/**
+ * Notify a user and deliver on the channels they chose. Never throws.
+ * @param {Object|string} userId - Recipient
+ * @param {string} type - One of NOTIFICATION_TYPES
+ * @param {Object} context - What MESSAGES[type] needs: { actor, post, comment, task, occurrenceDate, diagnosis, feedback }
+ * @param {Object} options - { dedupeKey, preferences (skip the lookup when already loaded) }
+ * @returns {Promise<Object|null>} - The Notification, or null when turned off, a duplicate or self-inflicted
+ */
+export const notify = async (userId, type, context = {}, { dedupeKey = null, preferences } = {}) => {
+    try {
+        if (!NOTIFICATION_TYPES.includes(type)) {
+            throw new Error(`Unknown notification type: ${type}`);
+        }
+        const { actor, post, comment, task, occurrenceDate, diagnosis } = context;
+        // Liking or answering your own post isn't news
+        if (actor && String(actor._id) === String(userId)) return null;
+
+        const prefs = preferences || await getNotificationPreferences(userId);
+        const wanted = [...new Set(prefs[NOTIFICATION_CATEGORIES[type]] || [])];
+        if (!wanted.length) return null;
+
+        const notification = await Notification.create({
+            user: userId,
+            type,
+            ...MESSAGES[type](context),
+            actor: actor ? actor._id : null,
+            post: post ? post._id : undefined,
+            comment: comment ? comment._id : undefined,
+            task: task ? task._id : undefined,
+            occurrenceDate,
+            diagnosis: diagnosis ? diagnosis._id : undefined,
+            channels: wanted,
+            dedupeKey
+        });
+
+        const user = wanted.includes('sms') ? await User.findById(userId).select('phoneNumber') : null;
+        for (const name of wanted) {
+            try {
+                const status = await channels[name].send(notification, { user, preferences: prefs });
+                notification.deliveries.push({ channel: name, status: status || 'sent' });
+            } catch (error) {
+                console.error(`Notification ${notification._id} failed on ${name}:`, error.message);
+                notification.deliveries.push({ channel: name, status: 'failed', error: error.message });
+            }
+        }
+        await notification.save();
+
+        return notification;
+    } catch (error) {
+        if (error.code !== 11000) {
+            console.error(`Failed to notify ${userId} (${type}):`, error.message);
+        }
+        return null;
+    }
+};
+
+/**
+ * Unread notifications in a user's inbox
+ * @param {Object|string} userId
+ * @returns {Promise<number>}
+ */
+export const countUnread = (userId) => Notification.countDocuments({ user: userId, channels: 'in_app', read: false });
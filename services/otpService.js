@@ -0,0 +1,121 @@
+import crypto from "crypto";
+import dotenv from "dotenv";
+import OtpCode from "../models/OtpCode.js";
+import { sendSms } from "./smsService.js";
+
+dotenv.config();
+
+const OTP_LENGTH = 6;
+const OTP_TTL_SECONDS = parseInt(process.env.OTP_TTL_SECONDS, 10) || 300;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 5;
+const OTP_RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS, 10) || 60;
+
+const otpSecret = () => {
+    const secret = process.env.OTP_SECRET || process.env.JWT_SECRET;
+    if (!secret) {
+        throw new Error('OTP_SECRET (or JWT_SECRET) is not configured');
+    }
+    return secret;
+};
+
+const hashCode = (phoneNumber, code) => {
+    return crypto.createHmac('sha256', otpSecret()).update(`${phoneNumber}:${code}`).digest('hex');
+};
+
+const generateCode = () => {
+    return crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+};
+
+/**
+ * Issue a fresh OTP for a phone number and send it by SMS.
+ * Wrong guesses carry over to the new code while the old one is still live,
+ * so resending doesn't reset the attempt limit; once it is used up no new
+ * code is sent until the current one expires. The cooldown and the lock are
+ * part of the update filter, so of several parallel requests only one gets
+ * a code sent.
+ * @param {string} phoneNumber
+ * @returns {Promise<Object>} - { sent, expiresIn } or { sent: false, retryAfter, locked }
+ */
+export const issueOtp = async (phoneNumber) => {
+    const now = new Date();
+    const code = generateCode();
+    const fresh = {
+        codeHash: hashCode(phoneNumber, code),
+        lastSentAt: now,
+        expiresAt: new Date(now.getTime() + OTP_TTL_SECONDS * 1000)
+    };
+    const cooledDown = { lastSentAt: { $lte: new Date(now.getTime() - OTP_RESEND_COOLDOWN_SECONDS * 1000) } };
+
+    // A live code that isn't locked is replaced but keeps its attempt count
+    const replaced = await OtpCode.updateOne(
+        { phoneNumber, ...cooledDown, expiresAt: { $gt: now }, attempts: { $lt: OTP_MAX_ATTEMPTS } },
+        fresh
+    );
+
+    let issued = replaced.matchedCount > 0;
+    if (!issued) {
+        // An expired code (or none) starts a new count. If a live one is there
+        // instead, the upsert hits the unique phoneNumber index and nothing is sent.
+        try {
+            await OtpCode.updateOne(
+                { phoneNumber, ...cooledDown, expiresAt: { $lte: now } },
+                { ...fresh, attempts: 0 },
+                { upsert: true }
+            );
+            issued = true;
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+        }
+    }
+
+    if (!issued) {
+        const existing = await OtpCode.findOne({ phoneNumber }).select('attempts lastSentAt expiresAt');
+        if (existing && existing.expiresAt > now && existing.attempts >= OTP_MAX_ATTEMPTS) {
+            return { sent: false, retryAfter: Math.ceil((existing.expiresAt - now) / 1000), locked: true };
+        }
+        const elapsed = existing ? (now - existing.lastSentAt) / 1000 : OTP_RESEND_COOLDOWN_SECONDS;
+        return { sent: false, retryAfter: Math.max(Math.ceil(OTP_RESEND_COOLDOWN_SECONDS - elapsed), 1), locked: false };
+    }
+
+    await sendSms(phoneNumber, `Your SWE AI Crop verification code is ${code}. It expires in ${Math.round(OTP_TTL_SECONDS / 60)} minutes.`);
+
+    return { sent: true, expiresIn: OTP_TTL_SECONDS };
+};
+
+/**
+ * Check an OTP. A code can only be used once. Each guess reserves an attempt
+ * atomically before the comparison, so parallel guesses can't get past
+ * OTP_MAX_ATTEMPTS.
+ * @param {string} phoneNumber
+ * @param {string} code
+ * @returns {Promise<Object>} - { valid } or { valid: false, reason }
+ */
+export const verifyOtp = async (phoneNumber, code) => {
+    const now = new Date();
+    const record = await OtpCode.findOneAndUpdate(
+        { phoneNumber, expiresAt: { $gt: now }, attempts: { $lt: OTP_MAX_ATTEMPTS } },
+        { $inc: { attempts: 1 } },
+        { new: true }
+    );
+
+    if (!record) {
+        const existing = await OtpCode.findOne({ phoneNumber }).select('expiresAt');
+        // A locked code is kept until it expires so a resend can't unlock it
+        return { valid: false, reason: existing && existing.expiresAt > now ? 'too_many_attempts' : 'expired' };
+    }
+
+    const expected = Buffer.from(record.codeHash, 'hex');
+    const actual = Buffer.from(hashCode(phoneNumber, String(code || '')), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, actual)) {
+        return {
+            valid: false,
+            reason: 'invalid',
+            attemptsLeft: Math.max(OTP_MAX_ATTEMPTS - record.attempts, 0)
+        };
+    }
+
+    // Whoever deletes it first used it; a parallel correct guess loses
+    const { deletedCount } = await OtpCode.deleteOne({ _id: record._id, codeHash: record.codeHash });
+    return deletedCount ? { valid: true } : { valid: false, reason: 'expired' };
+};
@@ -0,0 +1,43 @@
+/**
+ * Combine CNN predictions for several photos of the same plant into one
+ * consensus ranking.
+ *
+ * Each photo contributes its full class distribution; the consensus is the
+ * mean probability per class, so one blurry photo that is unsure cannot
+ * outvote two clear ones that agree.
+ */
+
+/**
+ * Average class probabilities across predictions
+ * @param {Array<Object>} predictions - CNN responses, each with top_k [{ class_index, confidence }]
+ * @param {Object} options - { topK } number of consensus classes to return
+ * @returns {Object} - { top_k, agreement, imagesUsed }
+ *   agreement is the share of photos whose own top class matches the consensus
+ */
+export const aggregatePredictions = (predictions, { topK = 3 } = {}) => {
+    const totals = new Map();
+
+    for (const prediction of predictions) {
+        for (const { class_index, confidence } of prediction.top_k) {
+            totals.set(class_index, (totals.get(class_index) || 0) + confidence);
+        }
+    }
+
+    // Classes a photo did not report count as 0 for that photo
+    const ranked = [...totals.entries()]
+        .map(([class_index, total]) => ({
+            class_index,
+            confidence: Math.round((total / predictions.length) * 10000) / 10000
+        }))
+        .sort((a, b) => b.confidence - a.confidence)
+        .slice(0, topK);
+
+    const consensus = ranked.length ? ranked[0].class_index : null;
+    const agreeing = predictions.filter(prediction => prediction.top_k[0]?.class_index === consensus).length;
+
+    return {
+        top_k: ranked,
+        agreement: predictions.length ? Math.round((agreeing / predictions.length) * 100) / 100 : 0,
+        imagesUsed: predictions.length
+    };
+};
@@ -0,0 +1,56 @@
+import fs from "fs/promises";
+import path from "path";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Push delivery is pluggable in the same way as SMS (see smsService.js).
+ * Only local stand-ins ship here; a real push gateway (FCM, APNs, ...)
+ * registers itself with `registerPushSender` and is selected through
+ * PUSH_PROVIDER.
+ */
+
+const consoleSender = {
+    name: 'console',
+    async send(token, { title, body }) {
+        console.log(`🔔 Push to ${token.slice(0, 12)}…: ${title}${body ? ` - ${body}` : ''}`);
+    }
+};
+
+const fileSender = {
+    name: 'file',
+    async send(token, message) {
+        const outbox = process.env.PUSH_OUTBOX_FILE || path.join('tmp', 'push_outbox.log');
+        await fs.mkdir(path.dirname(outbox), { recursive: true });
+        const line = JSON.stringify({ to: token, ...message, sentAt: new Date().toISOString() });
+        await fs.appendFile(outbox, line + '\n');
+    }
+};
+
+const senders = {
+    console: consoleSender,
+    file: fileSender
+};
+
+/**
+ * Register an additional push sender
+ * @param {Object} sender - { name, send(token, { title, body, data }) }
+ */
+export const registerPushSender = (sender) => {
+    senders[sender.name] = sender;
+};
+
+/**
+ * Send a push notification through the configured provider
+ * @param {string} token - Device registration token
+ * @param {Object} message - { title, body, data }
+ */
+export const sendPush = async (token, message) => {
+    const providerName = process.env.PUSH_PROVIDER || 'console';
+    const sender = senders[providerName];
+    if (!sender) {
+        throw new Error(`Unknown push provider: ${providerName}`);
+    }
+    await sender.send(token, message);
+};
@@ -0,0 +1,152 @@
+/**
+ * Recurring calendar tasks.
+ *
+ * A task's `recurrence` is { frequency: 'daily' | 'weekly', interval, until?, count? }:
+ * every `interval` days or weeks starting from the task's `date`, ending at
+ * `until` (inclusive) or after `count` occurrences, whichever comes first, or
+ * never. Occurrences are not stored; they are expanded on demand for a date
+ * range, and per-occurrence completion/skips live in `task.exceptions`.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FREQUENCY_DAYS = { daily: 1, weekly: 7 };
+
+export const RECURRENCE_FREQUENCIES = Object.keys(FREQUENCY_DAYS);
+export const OCCURRENCE_STATUSES = ['completed', 'skipped', 'pending'];
+
+// Keeps a week/month view query cheap and bounds the expansion work
+export const MAX_RANGE_DAYS = 366;
+
+const stepMs = (recurrence) => FREQUENCY_DAYS[recurrence.frequency] * (recurrence.interval || 1) * DAY_MS;
+
+/**
+ * Check a recurrence rule from a request body
+ * @param {Object|null} recurrence
+ * @returns {string|null} - Error message, or null when valid (or absent)
+ */
+export const validateRecurrence = (recurrence) => {
+    if (recurrence === null || recurrence === undefined) return null;
+    if (typeof recurrence !== 'object') return 'recurrence must be an object';
+
+    const { frequency, interval, until, count } = recurrence;
+    if (!RECURRENCE_FREQUENCIES.includes(frequency)) {
+        return `recurrence.frequency must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}`;
+    }
+    if (interval !== undefined && !(Number.isInteger(interval) && interval >= 1 && interval <= 365)) {
+        return 'recurrence.interval must be a whole number between 1 and 365';
+    }
+    if (until !== undefined && until !== null && Number.isNaN(new Date(until).getTime())) {
+        return 'recurrence.until must be a date';
+    }
+    if (count !== undefined && count !== null && !(Number.isInteger(count) && count >= 1)) {
+        return 'recurrence.count must be a positive whole number';
+    }
+    return null;
+};
+
+/**
+ * Whether a task has a recurrence rule
+ * @param {Object} task
+ * @returns {boolean}
+ */
+export const isRecurring = (task) => Boolean(task.recurrence && task.recurrence.frequency);
+
+/**
+ * Index of `date` in the task's series, or -1 if it is not an occurrence
+ * @param {Object} task - CalendarTask
+ * @param {Date} date
+ * @returns {number}
+ */
+export const occurrenceIndex = (task, date) => {
+    const start = task.date.getTime();
+    const time = date.getTime();
+
+    if (!isRecurring(task)) return time === start ? 0 : -1;
+
+    const { until, count } = task.recurrence;
+    const offset = time - start;
+    const step = stepMs(task.recurrence);
+
+    if (offset < 0 || offset % step !== 0) return -1;
+    const index = offset / step;
+    if (count && index >= count) return -1;
+    if (until && time > new Date(until).getTime()) return -1;
+    return index;
+};
+
+/**
+ * Date of the last occurrence allowed by `count`, or null without a count
+ * @param {Object} task - CalendarTask
+ * @returns {Date|null}
+ */
+export const countEnd = (task) => {
+    const { count } = task.recurrence || {};
+    if (!isRecurring(task) || !count) return null;
+    return new Date(task.date.getTime() + (count - 1) * stepMs(task.recurrence));
+};
+
+// Shape one occurrence the way the calendar views render it
+const toOccurrence = (task, date) => {
+    const exception = (task.exceptions || []).find(item => item.date.getTime() === date.getTime());
+    const status = exception ? exception.status : (isRecurring(task) ? 'pending' : (task.completed ? 'completed' : 'pending'));
+
+    return {
+        taskId: task._id,
+        date,
+        title: task.title,
+        type: task.type,
+        notes: task.notes,
+        reason: task.reason,
+        diagnosis: task.diagnosis,
+        recurring: isRecurring(task),
+        status,
+        completed: status === 'completed'
+    };
+};
+
+/**
+ * Occurrences of a task between two dates (inclusive)
+ * @param {Object} task - CalendarTask
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Array<Object>}
+ */
+export const expandOccurrences = (task, from, to) => {
+    const start = task.date.getTime();
+
+    if (!isRecurring(task)) {
+        return start >= from.getTime() && start <= to.getTime() ? [toOccurrence(task, task.date)] : [];
+    }
+
+    const { until, count } = task.recurrence;
+    const step = stepMs(task.recurrence);
+    const end = Math.min(to.getTime(), until ? new Date(until).getTime() : Infinity);
+
+    const occurrences = [];
+    let index = Math.max(0, Math.ceil((from.getTime() - start) / step));
+    for (; ; index++) {
+        const time = start + index * step;
+        if (time > end || (count && index >= count)) break;
+        occurrences.push(toOccurrence(task, new Date(time)));
+    }
+    return occurrences;
+};
+
+/**
+ * Mongo filter for tasks that may have an occurrence in [from, to]
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Object}
+ */
+export const rangeFilter = (from, to) => ({
+    $or: [
+        // `null` also matches tasks saved before recurrence existed
+        { recurrence: null, date: { $gte: from, $lte: to } },
+        {
+            'recurrence.frequency': { $in: RECURRENCE_FREQUENCIES },
+            date: { $lte: to },
+            $or: [{ 'recurrence.until': null }, { 'recurrence.until': { $gte: from } }]
+        }
+    ]
+});
@@ -0,0 +1,97 @@
+import dotenv from 'dotenv';
+import CalendarTask from '../models/CalendarTask.js';
+import { expandOccurrences, isRecurring, rangeFilter } from './recurrenceService.js';
+import { getNotificationPreferences, notify } from './notificationService.js';
+
+dotenv.config();
+
+/**
+ * Periodic sweep that turns calendar tasks into reminders:
+ *  - task_due     when a pending occurrence is within the user's
+ *                 reminderLeadHours (AppSettings.notifications)
+ *  - task_overdue when a one-off task is still open a day after its date
+ *                 (a missed occurrence of a recurring task is superseded by
+ *                 the next one, so those only get due reminders)
+ * Each occurrence is notified at most once (Notification.dedupeKey), so
+ * sweeps can overlap or run on several instances without duplicates.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_LEAD_HOURS = 168;
+// Task dates are usually a day, not a time; give the farmer that day
+const OVERDUE_GRACE_MS = 24 * HOUR_MS;
+// Don't dig up tasks that were forgotten long ago (e.g. on first deploy)
+const OVERDUE_WINDOW_MS = 3 * 24 * HOUR_MS;
+
+const REMINDER_INTERVAL_MS = (parseInt(process.env.REMINDER_INTERVAL_MINUTES, 10) || 15) * 60 * 1000;
+
+/**
+ * Send the reminders that are due as of `now`
+ * @param {Date} now
+ * @returns {Promise<Object>} - { due, overdue } notifications created
+ */
+export const runReminderSweep = async (now = new Date()) => {
+    const from = new Date(now.getTime() - OVERDUE_GRACE_MS - OVERDUE_WINDOW_MS);
+    const to = new Date(now.getTime() + MAX_LEAD_HOURS * HOUR_MS);
+    const preferencesByUser = new Map();
+    const sent = { due: 0, overdue: 0 };
+
+    const cursor = CalendarTask.find(rangeFilter(from, to)).lean().cursor();
+    for await (const task of cursor) {
+        const pending = expandOccurrences(task, from, to).filter(occurrence => occurrence.status === 'pending');
+        if (!pending.length) continue;
+
+        const userKey = String(task.user);
+        if (!preferencesByUser.has(userKey)) {
+            preferencesByUser.set(userKey, await getNotificationPreferences(task.user));
+        }
+        const preferences = preferencesByUser.get(userKey);
+        if (!preferences.tasks.length) continue;
+
+        for (const { date } of pending) {
+            const untilDue = date.getTime() - now.getTime();
+            let type = null;
+            if (untilDue >= 0 && untilDue <= preferences.reminderLeadHours * HOUR_MS) {
+                type = 'task_due';
+            } else if (untilDue <= -OVERDUE_GRACE_MS && !isRecurring(task)) {
+                type = 'task_overdue';
+            }
+            if (!type) continue;
+
+            const notification = await notify(task.user, type, { task, occurrenceDate: date }, {
+                dedupeKey: `${type}:${task._id}:${date.toISOString()}`,
+                preferences
+            });
+            if (notification) sent[type === 'task_due' ? 'due' : 'overdue'] += 1;
+        }
+    }
+
+    return sent;
+};
+
+let running = false;
+
+const sweep = async () => {
+    // A slow sweep shouldn't pile up behind itself
+    if (running) return;
+    running = true;
+    try {
+        const { due, overdue } = await runReminderSweep();
+        if (due || overdue) console.log(`🔔 Task reminders sent: ${due} upcoming, ${overdue} overdue`);
+    } catch (error) {
+        console.error('Task reminder sweep failed:', error.message);
+    } finally {
+        running = false;
+    }
+};
+
+/**
+ * Run the reminder sweep now and every REMINDER_INTERVAL_MINUTES (default 15).
+ * REMINDER_SCHEDULER=off disables it, e.g. on extra API instances.
+ */
+export const startReminderScheduler = () => {
+    if (process.env.REMINDER_SCHEDULER === 'off') return;
+    sweep();
+    // unref so the timer never keeps the process alive on its own
+    setInterval(sweep, REMINDER_INTERVAL_MS).unref();
+};
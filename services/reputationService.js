@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+import CommunityPost from '../models/CommunityPost.js';
+import User from '../models/User.js';
+
+/**
+ * Community reputation.
+ *
+ * Users earn points when others like their answers (comments) and when a
+ * question's author accepts one as the solution. Liking or accepting your
+ * own answer earns nothing. `User.reputation` is adjusted as those events
+ * happen; computeReputation() rebuilds it from the posts themselves.
+ */
+
+export const REPUTATION_POINTS = {
+    answerLike: 2,
+    acceptedAnswer: 15
+};
+
+/**
+ * Add (or with a negative value, remove) points for a user
+ * @param {Object} userId
+ * @param {number} points
+ * @returns {Promise<void>}
+ */
+export const awardReputation = async (userId, points) => {
+    if (!userId || !points) return;
+    await User.updateOne({ _id: userId }, { $inc: { reputation: points } });
+};
+
+/**
+ * Recompute a user's reputation from scratch and store it
+ * @param {Object} userId
+ * @returns {Promise<Object>} - { reputation, answers, answerLikes, acceptedAnswers }
+ */
+export const computeReputation = async (userId) => {
+    const id = new mongoose.Types.ObjectId(String(userId));
+
+    const [totals] = await CommunityPost.aggregate([
+        { $match: { 'comments.user': id } },
+        { $unwind: '$comments' },
+        { $match: { 'comments.user': id } },
+        {
+            $group: {
+                _id: null,
+                answers: { $sum: 1 },
+                answerLikes: {
+                    $sum: { $size: { $setDifference: [{ $ifNull: ['$comments.likes', []] }, [id]] } }
+                },
+                acceptedAnswers: {
+                    $sum: {
+                        $cond: [{ $and: [{ $eq: ['$comments._id', '$acceptedComment'] }, { $ne: ['$user', id] }] }, 1, 0]
+                    }
+                }
+            }
+        }
+    ]);
+
+    const { answers = 0, answerLikes = 0, acceptedAnswers = 0 } = totals || {};
+    const reputation = answerLikes * REPUTATION_POINTS.answerLike + acceptedAnswers * REPUTATION_POINTS.acceptedAnswer;
+
+    await User.updateOne({ _id: id }, { reputation });
+    return { reputation, answers, answerLikes, acceptedAnswers };
+};
@@ -0,0 +1,195 @@
+import { Jimp } from "jimp";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Estimate how badly a leaf is affected from the photo itself.
+ *
+ * Pixels are classified by colour: green tissue is healthy, yellow/brown/
+ * reddish tissue may be lesioned, and grey/white/very dark pixels are treated
+ * as background. The score is the lesioned share of the leaf area, banded
+ * into mild / moderate / severe. It is a rough visual measure, not a lab result.
+ *
+ * Limitation: brown soil, mulch, wood or skin behind the leaf has the same
+ * colours as lesions. A yellow/brown patch therefore only counts when
+ * enough of its outline touches green leaf tissue (LESION_MIN_LEAF_BORDER, or
+ * EDGE_LESION_MIN_LEAF_BORDER for patches reaching the image edge, which is
+ * where background usually is): spots inside the leaf and lesions on its
+ * margin pass, while soil around the leaf mostly borders the image edge. A
+ * thin strip of brown background around a leaf that fills the frame, or a
+ * leaf that is almost entirely necrotic, can still be misjudged.
+ */
+
+const readNumber = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) ? value : fallback;
+};
+
+export const SEVERITY_LEVELS = Object.freeze({
+    NONE: 'none',
+    MILD: 'mild',
+    MODERATE: 'moderate',
+    SEVERE: 'severe',
+    UNKNOWN: 'unknown'
+});
+
+// Upper bounds of the lesion fraction for each band
+export const SEVERITY_THRESHOLDS = Object.freeze({
+    mild: readNumber('SEVERITY_MILD_MAX', 0.1),
+    moderate: readNumber('SEVERITY_MODERATE_MAX', 0.3)
+});
+
+// Below this share of leaf pixels the photo is mostly background and the
+// fraction would be noise
+const MIN_LEAF_COVERAGE = 0.05;
+const ANALYSIS_DIMENSION = 256;
+// Share of a candidate lesion patch's outline that must be green leaf
+const LESION_MIN_LEAF_BORDER = 0.3;
+const EDGE_LESION_MIN_LEAF_BORDER = 0.5;
+
+const BACKGROUND = 0;
+const HEALTHY = 1;
+const LESION = 2;
+
+// RGB (0-255) to hue in degrees, saturation and value in 0-1
+const toHsv = (r, g, b) => {
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const delta = max - min;
+
+    let hue = 0;
+    if (delta > 0) {
+        if (max === r) hue = 60 * (((g - b) / delta) % 6);
+        else if (max === g) hue = 60 * ((b - r) / delta + 2);
+        else hue = 60 * ((r - g) / delta + 4);
+    }
+    if (hue < 0) hue += 360;
+
+    return { hue, saturation: max ? delta / max : 0, value: max / 255 };
+};
+
+// HEALTHY, LESION (candidate, see countLeafLesions) or BACKGROUND
+const classifyPixel = (r, g, b) => {
+    const { hue, saturation, value } = toHsv(r, g, b);
+
+    if (value < 0.12 || saturation < 0.18) return BACKGROUND;
+    if (hue >= 70 && hue <= 170) return HEALTHY;
+    if (hue < 70 || hue >= 330) return LESION;
+    return BACKGROUND;
+};
+
+// Lesion-coloured pixels in patches that sit on the leaf: each connected patch
+// counts only when enough of its outline borders healthy tissue
+const countLeafLesions = (kinds, width, height) => {
+    const visited = new Uint8Array(kinds.length);
+    const stack = [];
+    let lesionPixels = 0;
+
+    for (let start = 0; start < kinds.length; start++) {
+        if (kinds[start] !== LESION || visited[start]) continue;
+
+        let size = 0;
+        let leafBorder = 0;
+        let otherBorder = 0;
+        let touchesEdge = false;
+        visited[start] = 1;
+        stack.push(start);
+
+        while (stack.length) {
+            const index = stack.pop();
+            const x = index % width;
+            const y = (index - x) / width;
+            size++;
+
+            for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (nx < 0 || ny < 0 || nx >= width || ny >= height) {
+                    otherBorder++;
+                    touchesEdge = true;
+                    continue;
+                }
+                const next = ny * width + nx;
+                if (kinds[next] === LESION) {
+                    if (!visited[next]) {
+                        visited[next] = 1;
+                        stack.push(next);
+                    }
+                } else if (kinds[next] === HEALTHY) {
+                    leafBorder++;
+                } else {
+                    otherBorder++;
+                }
+            }
+        }
+
+        const minLeafBorder = touchesEdge ? EDGE_LESION_MIN_LEAF_BORDER : LESION_MIN_LEAF_BORDER;
+        if (leafBorder / (leafBorder + otherBorder) >= minLeafBorder) lesionPixels += size;
+    }
+
+    return lesionPixels;
+};
+
+/**
+ * Band a lesion fraction
+ * @param {number} score - 0-1
+ * @returns {string} - SEVERITY_LEVELS value
+ */
+export const severityLevel = (score) => {
+    if (score <= SEVERITY_THRESHOLDS.mild) return SEVERITY_LEVELS.MILD;
+    if (score <= SEVERITY_THRESHOLDS.moderate) return SEVERITY_LEVELS.MODERATE;
+    return SEVERITY_LEVELS.SEVERE;
+};
+
+/**
+ * Score the lesioned share of the leaf in an image
+ * @param {Buffer} buffer - Decodable image (the preprocessed JPEG)
+ * @param {Object} options - { healthy } true when the CNN says the leaf is healthy
+ * @returns {Promise<Object>} - { level, score, leafCoverage }; score is null when unknown
+ */
+export const estimateSeverity = async (buffer, { healthy = false } = {}) => {
+    if (healthy) {
+        return { level: SEVERITY_LEVELS.NONE, score: 0, leafCoverage: null };
+    }
+
+    const image = await Jimp.fromBuffer(buffer);
+    image.scaleToFit({ w: ANALYSIS_DIMENSION, h: ANALYSIS_DIMENSION });
+
+    const { width, height, data } = image.bitmap;
+    const kinds = new Uint8Array(width * height);
+    let healthyPixels = 0;
+
+    for (let pixel = 0; pixel < kinds.length; pixel++) {
+        const i = pixel * 4;
+        kinds[pixel] = classifyPixel(data[i], data[i + 1], data[i + 2]);
+        if (kinds[pixel] === HEALTHY) healthyPixels++;
+    }
+    const lesionPixels = countLeafLesions(kinds, width, height);
+
+    const leafPixels = healthyPixels + lesionPixels;
+    const leafCoverage = Math.round((leafPixels / (width * height)) * 1000) / 1000;
+
+    if (leafCoverage < MIN_LEAF_COVERAGE) {
+        return { level: SEVERITY_LEVELS.UNKNOWN, score: null, leafCoverage };
+    }
+
+    const score = Math.round((lesionPixels / leafPixels) * 1000) / 1000;
+    return { level: severityLevel(score), score, leafCoverage };
+};
+
+/**
+ * Combine per-photo estimates of the same plant (mean score of the usable ones)
+ * @param {Array<Object>} estimates - Results of estimateSeverity
+ * @returns {Object} - { level, score, leafCoverage }
+ */
+export const combineSeverity = (estimates) => {
+    const scored = estimates.filter(estimate => estimate.score !== null);
+    if (scored.length === 0) {
+        return { level: SEVERITY_LEVELS.UNKNOWN, score: null, leafCoverage: null };
+    }
+
+    const score = Math.round((scored.reduce((sum, estimate) => sum + estimate.score, 0) / scored.length) * 1000) / 1000;
+    const leafCoverage = Math.round((scored.reduce((sum, estimate) => sum + estimate.leafCoverage, 0) / scored.length) * 1000) / 1000;
+    return { level: severityLevel(score), score, leafCoverage };
+};
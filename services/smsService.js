@@ -0,0 +1,55 @@
+import fs from "fs/promises";
+import path from "path";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * SMS delivery is pluggable so the OTP flow does not care which gateway sends
+ * the message. Only local stand-ins ship here; a real gateway registers itself
+ * with `registerSmsSender` and is selected through SMS_PROVIDER.
+ */
+
+const consoleSender = {
+    name: 'console',
+    async send(phoneNumber, message) {
+        console.log(`📱 SMS to ${phoneNumber}: ${message}`);
+    }
+};
+
+const fileSender = {
+    name: 'file',
+    async send(phoneNumber, message) {
+        const outbox = process.env.SMS_OUTBOX_FILE || path.join('tmp', 'sms_outbox.log');
+        await fs.mkdir(path.dirname(outbox), { recursive: true });
+        const line = JSON.stringify({ to: phoneNumber, message, sentAt: new Date().toISOString() });
+        await fs.appendFile(outbox, line + '\n');
+    }
+};
+
+const senders = {
+    console: consoleSender,
+    file: fileSender
+};
+
+/**
+ * Register an additional SMS sender
+ * @param {Object} sender - { name, send(phoneNumber, message) }
+ */
+export const registerSmsSender = (sender) => {
+    senders[sender.name] = sender;
+};
+
+/**
+ * Send an SMS through the configured provider
+ * @param {string} phoneNumber
+ * @param {string} message
+ */
+export const sendSms = async (phoneNumber, message) => {
+    const providerName = process.env.SMS_PROVIDER || 'console';
+    const sender = senders[providerName];
+    if (!sender) {
+        throw new Error(`Unknown SMS provider: ${providerName}`);
+    }
+    await sender.send(phoneNumber, message);
+};
@@ -0,0 +1,47 @@
+import dotenv from "dotenv";
+import LocalDiskStorage from "./localDiskStorage.js";
+
+dotenv.config();
+
+/**
+ * Pluggable blob storage for uploaded images.
+ *
+ * Every driver implements:
+ *   put(key, buffer, contentType) -> key
+ *   get(key) -> { buffer, contentType } | null
+ *   delete(key)
+ *
+ * The driver is picked with STORAGE_DRIVER (default "local"). Cloud drivers
+ * can be added with `registerStorageDriver` without touching the callers.
+ */
+
+const driverFactories = {
+    local: () => new LocalDiskStorage(process.env.STORAGE_LOCAL_DIR || 'uploads')
+};
+
+let instance = null;
+
+/**
+ * Register an additional storage driver
+ * @param {string} name
+ * @param {Function} factory - returns a driver instance
+ */
+export const registerStorageDriver = (name, factory) => {
+    driverFactories[name] = factory;
+};
+
+/**
+ * Get the configured storage driver (created on first use)
+ * @returns {Object}
+ */
+export const getBlobStorage = () => {
+    if (!instance) {
+        const driverName = process.env.STORAGE_DRIVER || 'local';
+        const factory = driverFactories[driverName];
+        if (!factory) {
+            throw new Error(`Unknown storage driver: ${driverName}`);
+        }
+        instance = factory();
+    }
+    return instance;
+};
@@ -0,0 +1,58 @@
+import fs from "fs/promises";
+import path from "path";
+
+const CONTENT_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.webp': 'image/webp'
+};
+
+/**
+ * Blob storage backed by a directory on the local disk.
+ * Keys are relative paths such as "diagnoses/<userId>/<id>.jpg".
+ */
+class LocalDiskStorage {
+    constructor(rootDir) {
+        this.name = 'local';
+        this.rootDir = path.resolve(rootDir);
+    }
+
+    // Resolve a key inside the root, refusing anything that escapes it
+    resolveKey(key) {
+        const fullPath = path.resolve(this.rootDir, key);
+        if (!fullPath.startsWith(this.rootDir + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return fullPath;
+    }
+
+    async put(key, buffer) {
+        const fullPath = this.resolveKey(key);
+        await fs.mkdir(path.dirname(fullPath), { recursive: true });
+        await fs.writeFile(fullPath, buffer);
+        return key;
+    }
+
+    async get(key) {
+        const fullPath = this.resolveKey(key);
+        try {
+            const buffer = await fs.readFile(fullPath);
+            const contentType = CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+            return { buffer, contentType };
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async delete(key) {
+        try {
+            await fs.unlink(this.resolveKey(key));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+}
+
+export default LocalDiskStorage;
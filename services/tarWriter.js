@@ -0,0 +1,118 @@
+/**
+ * Minimal streaming tar (ustar) writer, enough to package exports without an
+ * archive dependency: regular files only, each added whole from a buffer.
+ *
+ *   const tar = new TarWriter(gzipStream);
+ *   await tar.addFile('dataset/manifest.csv', Buffer.from(csv));
+ *   await tar.finish();
+ */
+
+const BLOCK_SIZE = 512;
+
+// Octal number field, NUL-terminated
+const octal = (value, length) => value.toString(8).padStart(length - 1, '0') + '\0';
+
+// ustar keeps names up to 100 bytes, plus a 155-byte prefix split at a '/'
+const splitName = (name) => {
+    if (Buffer.byteLength(name) <= 100) return { name, prefix: '' };
+
+    const slash = name.lastIndexOf('/', name.length - 1);
+    const prefix = name.slice(0, slash);
+    const rest = name.slice(slash + 1);
+    if (slash <= 0 || Buffer.byteLength(prefix) > 155 || Buffer.byteLength(rest) > 100) {
+        throw new Error(`Path too long for a tar entry: ${name}`);
+    }
+    return { name: rest, prefix };
+};
+
+const buildHeader = (path, size, mtime) => {
+    const header = Buffer.alloc(BLOCK_SIZE);
+    const { name, prefix } = splitName(path);
+
+    header.write(name, 0, 100, 'utf8');
+    header.write(octal(0o644, 8), 100, 8, 'ascii');
+    header.write(octal(0, 8), 108, 8, 'ascii');
+    header.write(octal(0, 8), 116, 8, 'ascii');
+    header.write(octal(size, 12), 124, 12, 'ascii');
+    header.write(octal(Math.floor(mtime.getTime() / 1000), 12), 136, 12, 'ascii');
+    header.write('        ', 148, 8, 'ascii'); // checksum is computed with this field as spaces
+    header.write('0', 156, 1, 'ascii');
+    header.write('ustar\0', 257, 6, 'ascii');
+    header.write('00', 263, 2, 'ascii');
+    header.write(prefix, 345, 155, 'utf8');
+
+    let checksum = 0;
+    for (const byte of header) checksum += byte;
+    header.write(octal(checksum, 7) + ' ', 148, 8, 'ascii');
+
+    return header;
+};
+
+// Wait for 'drain', giving up if the stream closes or fails first (e.g. the
+// download was aborted), which would otherwise leave the writer waiting forever
+const waitForDrain = (stream) => new Promise((resolve, reject) => {
+    const cleanup = () => {
+        stream.off('drain', onDrain);
+        stream.off('close', onClose);
+        stream.off('error', onError);
+    };
+    const onDrain = () => {
+        cleanup();
+        resolve();
+    };
+    const onClose = () => {
+        cleanup();
+        reject(new Error('Archive stream closed before it was finished'));
+    };
+    const onError = (error) => {
+        cleanup();
+        reject(error);
+    };
+    stream.on('drain', onDrain);
+    stream.on('close', onClose);
+    stream.on('error', onError);
+});
+
+class TarWriter {
+    /**
+     * @param {Object} stream - Writable stream the archive is written to
+     */
+    constructor(stream) {
+        this.stream = stream;
+    }
+
+    async write(chunk) {
+        if (this.stream.destroyed || this.stream.writableEnded) {
+            throw new Error('Archive stream closed before it was finished');
+        }
+        if (!this.stream.write(chunk)) {
+            await waitForDrain(this.stream);
+        }
+    }
+
+    /**
+     * Append a file
+     * @param {string} path - Path inside the archive, '/'-separated
+     * @param {Buffer} buffer - File contents
+     * @param {Date} mtime
+     * @returns {Promise<void>}
+     */
+    async addFile(path, buffer, mtime = new Date()) {
+        await this.write(buildHeader(path, buffer.length, mtime));
+        await this.write(buffer);
+
+        const padding = (BLOCK_SIZE - (buffer.length % BLOCK_SIZE)) % BLOCK_SIZE;
+        if (padding) await this.write(Buffer.alloc(padding));
+    }
+
+    /**
+     * Write the end-of-archive marker and end the stream
+     * @returns {Promise<void>}
+     */
+    async finish() {
+        await this.write(Buffer.alloc(BLOCK_SIZE * 2));
+        this.stream.end();
+    }
+}
+
+export default TarWriter;
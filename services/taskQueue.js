@@ -0,0 +1,79 @@
+/**
+ * Small helpers for running many async jobs without flooding upstream APIs.
+ */
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * HTTP status carried by an SDK or axios error, if any
+ * @param {Error} error
+ * @returns {number|undefined}
+ */
+export const errorStatus = (error) => {
+    return error.status || (error.response && error.response.status) || undefined;
+};
+
+/**
+ * Rate limits and server errors are worth retrying; bad requests are not
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isRetryableError = (error) => {
+    const status = errorStatus(error);
+    return status === 429 || (status >= 500 && status < 600);
+};
+
+/**
+ * Run `fn`, retrying with exponential backoff and jitter on retryable errors
+ * @param {Function} fn - async () => result
+ * @param {Object} options - { retries, baseDelayMs, maxDelayMs, shouldRetry }
+ * @returns {Promise<*>}
+ */
+export const retryWithBackoff = async (fn, {
+    retries = 2,
+    baseDelayMs = 500,
+    maxDelayMs = 8000,
+    shouldRetry = isRetryableError
+} = {}) => {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn();
+        } catch (error) {
+            if (attempt >= retries || !shouldRetry(error)) throw error;
+
+            const delay = Math.min(baseDelayMs * 2 ** attempt, maxDelayMs);
+            const jittered = delay / 2 + Math.random() * delay / 2;
+            console.warn(`⏳ Retrying after ${errorStatus(error)} in ${Math.round(jittered)}ms (attempt ${attempt + 1}/${retries})`);
+            await sleep(jittered);
+        }
+    }
+};
+
+/**
+ * Run `worker` over every item with at most `concurrency` in flight.
+ * Never rejects: each result is { status: 'fulfilled', value } or
+ * { status: 'rejected', reason }, in input order.
+ * @param {Array} items
+ * @param {number} concurrency
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>}
+ */
+export const runWithConcurrency = async (items, concurrency, worker) => {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const runner = async () => {
+        while (next < items.length) {
+            const index = next++;
+            try {
+                results[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+            } catch (reason) {
+                results[index] = { status: 'rejected', reason };
+            }
+        }
+    };
+
+    const workers = Array.from({ length: Math.min(concurrency, items.length) }, runner);
+    await Promise.all(workers);
+    return results;
+};
@@ -0,0 +1,69 @@
+import jwt from "jsonwebtoken";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL = process.env.JWT_REFRESH_EXPIRES_IN || '30d';
+
+const accessSecret = () => {
+    if (!process.env.JWT_SECRET) {
+        throw new Error('JWT_SECRET is not configured');
+    }
+    return process.env.JWT_SECRET;
+};
+
+const refreshSecret = () => process.env.JWT_REFRESH_SECRET || accessSecret();
+
+/**
+ * Sign a short-lived access token for API calls
+ * @param {Object} user - User document
+ * @returns {string}
+ */
+export const signAccessToken = (user) => {
+    return jwt.sign(
+        { sub: user._id.toString(), role: user.role, type: 'access' },
+        accessSecret(),
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+};
+
+/**
+ * Sign a long-lived refresh token. The token version lets logout revoke every
+ * refresh token issued before it.
+ * @param {Object} user - User document (with tokenVersion selected)
+ * @returns {string}
+ */
+export const signRefreshToken = (user) => {
+    return jwt.sign(
+        { sub: user._id.toString(), ver: user.tokenVersion || 0, type: 'refresh' },
+        refreshSecret(),
+        { expiresIn: REFRESH_TOKEN_TTL }
+    );
+};
+
+/**
+ * Verify an access token, throwing if it is invalid or expired
+ * @param {string} token
+ * @returns {Object} - Decoded payload
+ */
+export const verifyAccessToken = (token) => {
+    const payload = jwt.verify(token, accessSecret());
+    if (payload.type !== 'access') {
+        throw new Error('Not an access token');
+    }
+    return payload;
+};
+
+/**
+ * Verify a refresh token, throwing if it is invalid or expired
+ * @param {string} token
+ * @returns {Object} - Decoded payload
+ */
+export const verifyRefreshToken = (token) => {
+    const payload = jwt.verify(token, refreshSecret());
+    if (payload.type !== 'refresh') {
+        throw new Error('Not a refresh token');
+    }
+    return payload;
+};
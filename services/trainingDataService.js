@@ -0,0 +1,277 @@
+import zlib from 'zlib';
+import { pipeline } from 'stream/promises';
+import DiagnosisRecord from '../models/DiagnosisRecord.js';
+import { getBlobStorage } from './storage/blobStorage.js';
+import { getClassByName } from '../data/diseaseCatalog.js';
+import { summarizeExpertFeedback } from './diagnosisService.js';
+import TarWriter from './tarWriter.js';
+
+/**
+ * Labelled data for retraining the CNN, built from the corrections people
+ * make to its predictions.
+ *
+ * A diagnosis is labelled when an expert confirmed/corrected it from a
+ * community post, or its owner sent a correction. Expert verdicts win over
+ * the owner's; among experts the most agreed label wins. A label of null
+ * means "not in the catalogue" and is exported under NOT_IN_LIST.
+ */
+
+export const NOT_IN_LIST = 'not_in_list';
+export const LABEL_SOURCES = ['expert', 'owner'];
+
+const DATASET_ROOT = 'dataset';
+
+/**
+ * Validate a farmer's correction of their own diagnosis
+ * @param {Object} body - { className } or { notInList: true }, plus an optional note
+ * @returns {Object} - { correction } or { error }
+ */
+export const buildOwnerCorrection = ({ className, notInList, note }) => {
+    if (notInList === true) {
+        if (className) return { error: 'Send either className or notInList, not both' };
+        return {
+            correction: { className: null, notInList: true, note: note ? String(note).slice(0, 1000) : '', createdAt: new Date() }
+        };
+    }
+    if (!className) {
+        return { error: 'Give the correct className, or notInList: true if the disease is not in the list' };
+    }
+
+    const label = getClassByName(String(className));
+    if (!label) return { error: `Unknown className "${className}"` };
+
+    return {
+        correction: {
+            className: label.className,
+            classIndex: label.index,
+            notInList: false,
+            note: note ? String(note).slice(0, 1000) : '',
+            createdAt: new Date()
+        }
+    };
+};
+
+/**
+ * Decide the training label of a diagnosis
+ * @param {Object} record - DiagnosisRecord (lean or document)
+ * @param {string} source - 'expert', 'owner' or 'any'
+ * @returns {Object|null} - { className, classIndex, source, agreement, votes }, null when unlabelled
+ */
+export const resolveLabel = (record, source = 'any') => {
+    const feedback = record.expertFeedback || [];
+    if (feedback.length && source !== 'owner') {
+        const [top] = summarizeExpertFeedback(feedback).labels;
+        const label = top.className ? getClassByName(top.className) : null;
+        return {
+            className: label ? label.className : null,
+            classIndex: label ? label.index : null,
+            source: 'expert',
+            agreement: top.count / feedback.length,
+            votes: feedback.length
+        };
+    }
+
+    const correction = record.ownerCorrection;
+    if (correction && source !== 'expert') {
+        return {
+            className: correction.notInList ? null : correction.className,
+            classIndex: correction.notInList ? null : correction.classIndex,
+            source: 'owner',
+            agreement: 1,
+            votes: 1
+        };
+    }
+
+    return null;
+};
+
+/**
+ * Mongo filter for diagnoses that carry a label
+ * @param {Object} options - { from, to, source: 'expert' | 'owner' | 'any' }
+ * @returns {Object}
+ */
+export const labelledFilter = ({ from, to, source = 'any' } = {}) => {
+    const hasExpert = { 'expertFeedback.0': { $exists: true } };
+    const hasOwner = { ownerCorrection: { $ne: null } };
+    const filter = {
+        imageKey: { $nin: ['', null] },
+        ...(source === 'expert' ? hasExpert : source === 'owner' ? hasOwner : { $or: [hasExpert, hasOwner] })
+    };
+
+    if (from || to) {
+        filter.timestamp = {};
+        if (from) filter.timestamp.$gte = from;
+        if (to) filter.timestamp.$lte = to;
+    }
+    return filter;
+};
+
+// Predicted -> corrected pair counts, plus per-class precision/recall
+const createConfusion = () => ({ pairs: new Map(), total: 0, correct: 0 });
+
+const addToConfusion = (confusion, predicted, actual) => {
+    const key = `${predicted}\t${actual}`;
+    confusion.pairs.set(key, (confusion.pairs.get(key) || 0) + 1);
+    confusion.total += 1;
+    if (predicted === actual) confusion.correct += 1;
+};
+
+const summarizeConfusion = (confusion) => {
+    const pairs = [...confusion.pairs.entries()]
+        .map(([key, count]) => {
+            const [predicted, actual] = key.split('\t');
+            return { predicted, actual, count };
+        })
+        .sort((a, b) => b.count - a.count || a.predicted.localeCompare(b.predicted));
+
+    const classes = new Map();
+    const classStats = (name) => {
+        if (!classes.has(name)) classes.set(name, { className: name, predicted: 0, actual: 0, correct: 0 });
+        return classes.get(name);
+    };
+    for (const { predicted, actual, count } of pairs) {
+        classStats(predicted).predicted += count;
+        classStats(actual).actual += count;
+        if (predicted === actual) classStats(predicted).correct += count;
+    }
+
+    const ratio = (a, b) => (b ? Math.round((a / b) * 1000) / 1000 : null);
+    return {
+        total: confusion.total,
+        correct: confusion.correct,
+        accuracy: ratio(confusion.correct, confusion.total),
+        pairs,
+        // Classes the model gets wrong most often first
+        classes: [...classes.values()]
+            .map(entry => ({
+                ...entry,
+                precision: ratio(entry.correct, entry.predicted),
+                recall: ratio(entry.correct, entry.actual)
+            }))
+            .sort((a, b) => (b.actual - b.correct) - (a.actual - a.correct) || a.className.localeCompare(b.className))
+    };
+};
+
+/**
+ * Predicted vs corrected classes over all labelled diagnoses
+ * @param {Object} options - as for labelledFilter()
+ * @returns {Promise<Object>} - { total, correct, accuracy, pairs: [{ predicted, actual, count }], classes }
+ */
+export const buildConfusion = async (options = {}) => {
+    const confusion = createConfusion();
+    const cursor = DiagnosisRecord.find(labelledFilter(options))
+        .select('className expertFeedback ownerCorrection')
+        .lean()
+        .cursor();
+
+    for await (const record of cursor) {
+        const label = resolveLabel(record, options.source);
+        if (label) addToConfusion(confusion, record.className || 'unknown', label.className || NOT_IN_LIST);
+    }
+    return summarizeConfusion(confusion);
+};
+
+const MANIFEST_COLUMNS = [
+    'id', 'image', 'label', 'labelIndex', 'source', 'agreement', 'votes',
+    'predicted', 'predictedIndex', 'confidence', 'modelVersion', 'crop', 'timestamp'
+];
+
+const csvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (columns, rows) => [
+    columns.join(','),
+    ...rows.map(row => columns.map(column => csvCell(row[column])).join(','))
+].join('\n') + '\n';
+
+const imageExtension = (key) => {
+    const match = /\.[a-z0-9]+$/i.exec(key);
+    return match ? match[0].toLowerCase() : '.jpg';
+};
+
+/**
+ * Write a gzipped tar retraining dataset:
+ *   dataset/images/<className | not_in_list>/<diagnosisId>.<ext>
+ *   dataset/manifest.csv, dataset/manifest.jsonl - one row per image
+ *   dataset/confusion.csv - predicted vs corrected counts
+ * No user ids are included. If `output` closes early (an aborted download)
+ * the export stops and the promise rejects.
+ * @param {Object} output - Writable stream (e.g. the HTTP response)
+ * @param {Object} options - labelledFilter() options plus includeNotInList
+ * @returns {Promise<Object>} - { images, skipped } once the archive is written
+ */
+export const writeTrainingExport = async (output, { includeNotInList = true, ...options } = {}) => {
+    const gzip = zlib.createGzip();
+    // Destroys gzip when output closes, so pending writes fail instead of hanging
+    const piping = pipeline(gzip, output);
+    piping.catch(() => {}); // awaited below; this only keeps an early failure from going unhandled
+    const tar = new TarWriter(gzip);
+    const storage = getBlobStorage();
+
+    const rows = [];
+    const confusion = createConfusion();
+    let skipped = 0;
+
+    const cursor = DiagnosisRecord.find(labelledFilter(options))
+        .select('imageKey crop classIndex className confidenceScore modelVersion expertFeedback ownerCorrection timestamp')
+        .sort({ timestamp: 1 })
+        .lean()
+        .cursor();
+
+    try {
+        for await (const record of cursor) {
+            const label = resolveLabel(record, options.source);
+            if (!label || (!label.className && !includeNotInList)) continue;
+
+            const blob = await storage.get(record.imageKey);
+            if (!blob) {
+                // Image deleted from storage since; nothing to train on
+                skipped += 1;
+                continue;
+            }
+
+            const folder = label.className || NOT_IN_LIST;
+            const image = `images/${folder}/${record._id}${imageExtension(record.imageKey)}`;
+            await tar.addFile(`${DATASET_ROOT}/${image}`, blob.buffer, record.timestamp);
+
+            rows.push({
+                id: String(record._id),
+                image,
+                label: folder,
+                labelIndex: label.classIndex,
+                source: label.source,
+                agreement: Math.round(label.agreement * 1000) / 1000,
+                votes: label.votes,
+                predicted: record.className || '',
+                predictedIndex: record.classIndex,
+                confidence: record.confidenceScore,
+                modelVersion: record.modelVersion || '',
+                crop: record.crop || '',
+                timestamp: record.timestamp
+            });
+            addToConfusion(confusion, record.className || 'unknown', folder);
+        }
+
+        const now = new Date();
+        const summary = summarizeConfusion(confusion);
+        await tar.addFile(`${DATASET_ROOT}/manifest.csv`, Buffer.from(toCsv(MANIFEST_COLUMNS, rows)), now);
+        await tar.addFile(
+            `${DATASET_ROOT}/manifest.jsonl`,
+            Buffer.from(rows.map(row => JSON.stringify(row)).join('\n') + (rows.length ? '\n' : '')),
+            now
+        );
+        await tar.addFile(`${DATASET_ROOT}/confusion.csv`, Buffer.from(toCsv(['predicted', 'actual', 'count'], summary.pairs)), now);
+        await tar.finish();
+        await piping;
+    } catch (error) {
+        gzip.destroy();
+        throw error;
+    } finally {
+        await cursor.close();
+    }
+
+    return { images: rows.length, skipped };
+};
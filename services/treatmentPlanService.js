@@ -0,0 +1,185 @@
+import CalendarTask from '../models/CalendarTask.js';
+
+/**
+ * Turn a saved diagnosis and its advice into calendar tasks: an immediate
+ * action, one or more treatment applications, re-inspections and a
+ * prevention reminder. How many applications and how soon to re-check
+ * depends on the estimated severity.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const PLAN_SCHEDULES = Object.freeze({
+    mild: { applications: 1, repeatDays: 7, inspectAfterDays: 7 },
+    moderate: { applications: 2, repeatDays: 7, inspectAfterDays: 5 },
+    severe: { applications: 3, repeatDays: 5, inspectAfterDays: 3 }
+});
+
+// Days after the last application before the prevention reminder
+const PREVENTION_AFTER_DAYS = 14;
+
+// Records saved before severity was measured, or where it couldn't be, get the middle plan
+const scheduleFor = (severity) => PLAN_SCHEDULES[String(severity).toLowerCase()] || PLAN_SCHEDULES.moderate;
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const describeChemical = ({ product, dose, unit }) => {
+    return dose ? `${product}: ${dose} ${unit}`.trim() : product;
+};
+
+/**
+ * Build (unsaved) task specs for a diagnosis
+ * @param {Object} record - DiagnosisRecord with advice
+ * @param {Object} options - { startDate }
+ * @returns {Array<Object>} - { title, type, date, notes, reason }
+ */
+export const buildTreatmentPlan = (record, { startDate = new Date() } = {}) => {
+    const advice = record.advice || {};
+    const label = `${record.crop} ${record.predictedDisease}`.trim();
+    const diagnosedOn = new Date(record.timestamp).toISOString().slice(0, 10);
+    const severity = record.severity || 'unknown';
+    const reason = `${label} diagnosed on ${diagnosedOn} (severity: ${severity})`;
+    const schedule = scheduleFor(severity);
+
+    const tasks = [];
+
+    if (advice.immediate) {
+        tasks.push({ title: `Act now: ${label}`, type: 'other', date: startDate, notes: advice.immediate, reason });
+    }
+
+    // Mild cases start with the organic remedy when there is one
+    const useChemical = advice.chemical && (severity !== 'mild' || !advice.organic);
+    for (let i = 0; i < schedule.applications; i++) {
+        const date = addDays(startDate, i * schedule.repeatDays);
+        const round = schedule.applications > 1 ? ` (${i + 1}/${schedule.applications})` : '';
+
+        if (useChemical) {
+            tasks.push({
+                title: `Spray ${advice.chemical.product}${round}`,
+                type: 'pesticide',
+                date,
+                notes: [describeChemical(advice.chemical), advice.organic && `Organic alternative: ${advice.organic}`]
+                    .filter(Boolean).join('\n'),
+                reason
+            });
+        } else if (advice.organic) {
+            tasks.push({ title: `Apply organic treatment${round}`, type: 'pesticide', date, notes: advice.organic, reason });
+        }
+    }
+
+    const lastApplication = addDays(startDate, (schedule.applications - 1) * schedule.repeatDays);
+    const inspectionNotes = 'Take a new photo of the same plant to compare with the original diagnosis.';
+    tasks.push({
+        title: `Re-check ${label}`,
+        type: 'inspection',
+        date: addDays(startDate, schedule.inspectAfterDays),
+        notes: inspectionNotes,
+        reason
+    });
+    if (schedule.applications > 1) {
+        tasks.push({
+            title: `Final check: ${label}`,
+            type: 'inspection',
+            date: addDays(lastApplication, schedule.inspectAfterDays),
+            notes: inspectionNotes,
+            reason
+        });
+    }
+
+    if (advice.prevention) {
+        tasks.push({
+            title: `Prevent ${record.predictedDisease} returning`,
+            type: 'prevention',
+            date: addDays(lastApplication, PREVENTION_AFTER_DAYS),
+            notes: advice.prevention,
+            reason
+        });
+    }
+
+    return tasks.sort((a, b) => a.date - b.date);
+};
+
+/**
+ * Create the calendar tasks for a diagnosis
+ * @param {Object} user - User document
+ * @param {Object} record - DiagnosisRecord
+ * @param {Object} options - { startDate, replace } replace drops the plan's open tasks first
+ * @returns {Promise<Object>} - { created, tasks }; created is false when a plan already exists
+ */
+export const createTreatmentPlan = async (user, record, { startDate, replace = false } = {}) => {
+    const existing = await CalendarTask.find({ user: user._id, diagnosis: record._id }).sort({ date: 1 });
+    if (existing.length && !replace) {
+        return { created: false, tasks: existing };
+    }
+
+    if (existing.length) {
+        // Completed tasks stay as a record of what was actually done
+        await CalendarTask.deleteMany({ user: user._id, diagnosis: record._id, completed: false });
+    }
+
+    const tasks = await CalendarTask.insertMany(buildTreatmentPlan(record, { startDate }).map(task => ({
+        ...task,
+        user: user._id,
+        field: record.field || null,
+        diagnosis: record._id
+    })));
+
+    return { created: true, tasks };
+};
+
+const SEVERITY_ORDER = ['none', 'mild', 'moderate', 'severe'];
+
+// Score changes smaller than this are treated as noise
+const SEVERITY_SCORE_TOLERANCE = 0.05;
+
+const summarize = (record) => ({
+    diagnosisId: record._id,
+    disease: record.predictedDisease,
+    className: record.className,
+    confidence: record.confidenceScore,
+    severity: record.severity,
+    severityScore: record.severityScore ?? null,
+    timestamp: record.timestamp
+});
+
+/**
+ * Compare a follow-up photo's diagnosis with the original
+ * @param {Object} before - Original DiagnosisRecord
+ * @param {Object} after - Follow-up diagnosis ({ className, predictedDisease, severity, severityScore, ... })
+ * @returns {Object} - { before, after, sameDisease, severityChange, trend }
+ *   trend is 'resolved' | 'improving' | 'stable' | 'worsening' | 'changed' (different disease)
+ *   or 'unclear' (severity couldn't be measured)
+ */
+export const compareDiagnoses = (before, after) => {
+    const sameDisease = Boolean(before.className) && before.className === after.className;
+    const healthyNow = after.severity === 'none';
+
+    const bothScored = typeof before.severityScore === 'number' && typeof after.severityScore === 'number';
+    const severityChange = bothScored
+        ? Math.round((after.severityScore - before.severityScore) * 1000) / 1000
+        : null;
+
+    let trend;
+    if (healthyNow) {
+        trend = 'resolved';
+    } else if (!sameDisease) {
+        trend = 'changed';
+    } else if (bothScored) {
+        if (severityChange <= -SEVERITY_SCORE_TOLERANCE) trend = 'improving';
+        else if (severityChange >= SEVERITY_SCORE_TOLERANCE) trend = 'worsening';
+        else trend = 'stable';
+    } else {
+        const from = SEVERITY_ORDER.indexOf(String(before.severity).toLowerCase());
+        const to = SEVERITY_ORDER.indexOf(String(after.severity).toLowerCase());
+        if (from === -1 || to === -1) trend = 'unclear';
+        else trend = to < from ? 'improving' : to > from ? 'worsening' : 'stable';
+    }
+
+    return {
+        before: summarize(before),
+        after: summarize(after),
+        sameDisease,
+        severityChange,
+        trend
+    };
+};
@@ -0,0 +1,74 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Confidence triage for CNN predictions.
+ *
+ * A prediction is only "confident" when the top class is both likely enough on
+ * its own and clearly ahead of the runner-up. Below the unknown threshold we
+ * do not trust any class; everything in between is "ambiguous".
+ */
+
+const readThreshold = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) ? value : fallback;
+};
+
+export const DEFAULT_THRESHOLDS = Object.freeze({
+    confident: readThreshold('TRIAGE_CONFIDENT_THRESHOLD', 0.7),
+    unknown: readThreshold('TRIAGE_UNKNOWN_THRESHOLD', 0.4),
+    margin: readThreshold('TRIAGE_MIN_MARGIN', 0.2)
+});
+
+export const TRIAGE_BANDS = Object.freeze({
+    CONFIDENT: 'confident',
+    AMBIGUOUS: 'ambiguous',
+    UNKNOWN: 'unknown'
+});
+
+const RETAKE_HINTS = {
+    ambiguous: {
+        en: 'The photo matches more than one disease. Retake it in daylight with a single affected leaf filling the frame.',
+        hi: 'फोटो एक से अधिक रोगों से मेल खाती है। दिन की रोशनी में एक प्रभावित पत्ती को पूरे फ्रेम में रखकर दोबारा फोटो लें।',
+        te: 'ఫోటో ఒకటి కంటే ఎక్కువ తెగుళ్లతో సరిపోలుతోంది. పగటి వెలుతురులో ఒకే ప్రభావిత ఆకు ఫ్రేమ్ నిండేలా మళ్లీ ఫోటో తీయండి.'
+    },
+    unknown: {
+        en: 'We could not recognise this leaf. Retake the photo closer and in focus, or ask an expert in the community.',
+        hi: 'हम इस पत्ती को पहचान नहीं सके। पास से और साफ फोटो दोबारा लें, या समुदाय में किसी विशेषज्ञ से पूछें।',
+        te: 'ఈ ఆకును గుర్తించలేకపోయాము. దగ్గరగా, స్పష్టంగా మళ్లీ ఫోటో తీయండి లేదా కమ్యూనిటీలో నిపుణుడిని అడగండి.'
+    }
+};
+
+/**
+ * Classify ranked predictions into a confidence band
+ * @param {Array} topK - [{ class_index, confidence }] sorted by confidence desc
+ * @param {Object} thresholds - { confident, unknown, margin }
+ * @returns {Object} - { band, topConfidence, margin }
+ */
+export const triagePrediction = (topK, thresholds = DEFAULT_THRESHOLDS) => {
+    const [first, second] = topK;
+    const topConfidence = first ? first.confidence : 0;
+    const margin = topConfidence - (second ? second.confidence : 0);
+
+    let band = TRIAGE_BANDS.AMBIGUOUS;
+    if (topConfidence < thresholds.unknown) {
+        band = TRIAGE_BANDS.UNKNOWN;
+    } else if (topConfidence >= thresholds.confident && margin >= thresholds.margin) {
+        band = TRIAGE_BANDS.CONFIDENT;
+    }
+
+    return { band, topConfidence, margin };
+};
+
+/**
+ * Localised "retake photo" hint for a non-confident band
+ * @param {string} band
+ * @param {string} language
+ * @returns {string|null}
+ */
+export const getRetakeHint = (band, language = 'en') => {
+    const hints = RETAKE_HINTS[band];
+    if (!hints) return null;
+    return hints[language] || hints.en;
+};